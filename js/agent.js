@@ -1,44 +1,106 @@
 // js/agent.js
 
 import { Config, emotionNames, HEAD_MOVEMENT_LABELS, NUM_HEAD_MOVEMENTS } from './config.js';
-import { Enyphansyntrix, Affinitaetssyndrom, Strukturkondensation, ReflexiveIntegration } from './syntrometry-core.js'; // Synkolator is internal to Strukturkondensation
-import { zeros, tensor, clamp, displayError, inspectTensor, norm } from './utils.js';
+import { Enyphansyntrix, Affinitaetssyndrom, Strukturkondensation, ReflexiveIntegration, Korporator } from './syntrometry-core.js'; // Synkolator is internal to Strukturkondensation
+import { zeros, tensor, clamp, displayError, inspectTensor, norm, SeededRandom, getSharedRandom } from './utils.js';
+import { CURRENT_STATE_VERSION, migrateAgentState } from './stateMigration.js';
+import { EmotionTrainer } from './emotionTraining.js';
+import { GestureFeedbackTrainer, selectHeadMovement } from './gestureFeedback.js';
+import { createTuningStrategy, clampTuningParameter } from './parameterTuning.js';
+import { MetronHistory } from './metronCalculus.js';
+import { createRihEstimator } from './rihEstimators.js';
+import { TrajectoryAnalyzer } from './trajectoryAnalysis.js';
+import { TelezentrumEstimator } from './telezentrum.js';
 
 // Assumes tf is available globally
 
 // --- Constants ---
 const NUM_GRAPH_FEATURES = 2; // From Syntrometry visualization (varianceZ, avgDistToRih)
 const BELIEF_EMBEDDING_DIM = Config.Agent?.HIDDEN_DIM ?? 64;
-// Input: Core State (DIMENSIONS) + Graph Features (NUM_GRAPH_FEATURES) + Self State (BELIEF_EMBEDDING_DIM)
-const BELIEF_NETWORK_INPUT_DIM = (Config?.DIMENSIONS ?? 12) + NUM_GRAPH_FEATURES + BELIEF_EMBEDDING_DIM;
+// Input: Core State (DIMENSIONS) + Graph Features (NUM_GRAPH_FEATURES) + Self State (the agent's hiddenDim)
+const CORE_AND_GRAPH_INPUT_DIM = (Config?.DIMENSIONS ?? 12) + NUM_GRAPH_FEATURES;
 // Input to Cascade: Projected from Belief Embedding
 const CASCADE_INPUT_DIM = Config?.DIMENSIONS ?? 12; // Cascade operates on core dimension space
 const EMOTIONAL_DECAY_RATE = 0.97; // How much previous emotion persists
 const SELF_STATE_DECAY = 0.98; // How much previous self-state persists
 const SELF_STATE_LEARN_RATE = 0.05; // Base learning rate for self-state update from belief
 
+let agentInstanceCounter = 0; // Keeps tf.variable names unique when several agents coexist (e.g. in a Metroplex)
+
 /**
  * Represents the Syntrometric Agent V2.3.
  * Integrates core Syntrometry concepts with TF.js models for belief formation,
  * emotional response, self-state modeling, and parameter self-tuning.
  */
 export class SyntrometricAgent {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.hiddenDim] - Belief embedding and self-state size (defaults to Config.Agent.HIDDEN_DIM).
+     * @param {SeededRandom} [options.rng] - Random source shared with the environment (defaults to the shared generator).
+     * @param {number} [options.seed] - Creates a dedicated generator with this seed when no rng is given.
+     * @param {boolean} [options.trainingEnabled] - Train the networks online (defaults to Config.RL.TRAINING_ENABLED).
+     * @param {boolean} [options.emotionTrainingEnabled] - Train the emotional module from environment events (defaults to Config.EmotionLearning.ENABLED).
+     * @param {Function} [options.emotionTargetShaper] - Custom target shaper for emotion training (see EMOTION_TARGET_SHAPERS).
+     * @param {'argmax'|'sample'} [options.headMovementSelection] - Gesture selection mode (defaults to Config.HeadMovement.SELECTION).
+     * @param {number} [options.headMovementTemperature] - Softmax temperature for 'sample' (defaults to Config.HeadMovement.TEMPERATURE).
+     * @param {string} [options.tuningStrategy] - Integration/Reflexivity tuner name (defaults to Config.RL.TUNING_STRATEGY).
+     * @param {'konzenter'|'exzenter'|null} [options.korporation] - Korporate the belief cascade with an environment-state cascade (defaults to Config.KORPORATION.MODE).
+     * @param {string} [options.rihEstimator] - RIH estimator name (defaults to Config.RIH_ESTIMATOR, see RIH_ESTIMATORS).
+     * @param {'pad'|'interpolate'|'dtw'} [options.affinityAlignment] - Alignment of levels with different lengths (defaults to Config.AFFINITY.ALIGNMENT).
+     * @param {boolean} [options.memoryAffinity] - Compare the cascade with each remembered cascade (defaults to Config.AFFINITY.MEMORY_AFFINITY).
+     * @param {boolean} [options.trajectoryContext] - Feed the trajectory phase into the emotional context signal (defaults to Config.Trajectory.FEED_CONTEXT).
+     * @param {boolean} [options.metronFeatures] - Append Metrondifferentials of the core state to the belief network input
+     *        (defaults to Config.MetronCalculus.FEATURES_ENABLED; fixed for the agent's lifetime as it changes the input size).
+     */
+    constructor(options = {}) {
+        this.rng = options.rng ?? (typeof options.seed === 'number' ? new SeededRandom(options.seed) : getSharedRandom());
+        this.hiddenDim = options.hiddenDim ?? BELIEF_EMBEDDING_DIM; // Belief embedding / self-state size
+        this.instanceId = agentInstanceCounter++;
+
         // --- Initialize Core Syntrometry Modules (Non-TF) ---
-        this.enyphansyntrix = new Enyphansyntrix('continuous');
-        this.affinitaetssyndrom = new Affinitaetssyndrom();
-        this.strukturkondensation = new Strukturkondensation(Config.CASCADE_LEVELS, Config.CASCADE_STAGE || 2);
+        this.enyphansyntrix = new Enyphansyntrix('continuous', this.rng);
+        this.affinitaetssyndrom = new Affinitaetssyndrom(options.affinityAlignment ?? Config.AFFINITY?.ALIGNMENT ?? 'pad');
+        this.memoryAffinityEnabled = options.memoryAffinity ?? Config.AFFINITY?.MEMORY_AFFINITY ?? false;
+        this.strukturkondensation = this._buildStrukturkondensation();
         this.reflexiveIntegration = new ReflexiveIntegration();
+        this.korporator = null;
+        this.setKorporation(options.korporation !== undefined ? options.korporation : (Config.KORPORATION?.MODE ?? null));
+        this.setRihEstimator(options.rihEstimator ?? Config.RIH_ESTIMATOR ?? 'moment');
 
         // --- V2 Features & State Tracking ---
         this.memorySize = Config.Agent?.HISTORY_SIZE ?? 15;
-        this.memoryBuffer = []; // Holds last N { timestamp: number, beliefEmbedding: tf.Tensor }
+        this.memoryBuffer = []; // Holds last N { timestamp: number, beliefEmbedding: tf.Tensor, cascadeHistory: number[][] | null }
         this.lastRIH = 0.0;
         this.lastCascadeVariance = 0.0;
         this.latestTrustScore = 1.0;
         this.latestAffinities = []; // Cache affinities from last step
+        this.latestAffinityMatrix = []; // Level × level affinities of the last cascade
+        this.latestMemoryAffinities = null; // [memory entry][level] affinities with remembered cascades, when enabled
         this.latestCascadeHistoryArrays = []; // Cache history arrays for viz
+        this.latestCascadeLevels = []; // Per-level metadata ({ level, type, stage, combination, size, change }) matching the history arrays
         this.latestBeliefEmbedding = null; // Cache tensor clone for inspector
+        this.telezentrumEstimator = new TelezentrumEstimator();
+        this.latestTelezentrum = null; // Report of the last TelezentrumEstimator.observe (distance, stability, goal, transition)
+        this.trajectoryAnalyzer = new TrajectoryAnalyzer();
+        this.trajectoryContextEnabled = options.trajectoryContext ?? Config.Trajectory?.FEED_CONTEXT ?? false;
+        this.latestTrajectory = { phase: this.trajectoryAnalyzer.phase, scores: null, event: null };
+
+        // --- Online Training ---
+        this.trainingEnabled = options.trainingEnabled ?? Config.RL?.TRAINING_ENABLED ?? false;
+        this.pendingTransition = null; // { beliefNetInput: number[], coreState: number[] } from the previous step
+        this.trainingStats = this._emptyTrainingStats();
+        this.emotionTrainingEnabled = options.emotionTrainingEnabled ?? Config.EmotionLearning?.ENABLED ?? false;
+        this.emotionTargetShaper = options.emotionTargetShaper ?? null;
+        this.headMovementSelection = options.headMovementSelection ?? Config.HeadMovement?.SELECTION ?? 'argmax';
+        this.headMovementTemperature = options.headMovementTemperature ?? Config.HeadMovement?.TEMPERATURE ?? 1.0;
+        this.lastHeadMovement = null; // { input: number[], index: number, label: string } of the last gesture, for feedback
+        this.metronHistory = (options.metronFeatures ?? Config.MetronCalculus?.FEATURES_ENABLED ?? false)
+            ? new MetronHistory(Config.DIMENSIONS, { order: Config.MetronCalculus?.ORDER ?? 1 })
+            : null;
+        this.beliefNetworkInputDim = CORE_AND_GRAPH_INPUT_DIM + this.hiddenDim + (this.metronHistory?.featureSize ?? 0);
+        this.parameterTuner = createTuningStrategy(options.tuningStrategy ?? Config.RL?.TUNING_STRATEGY ?? 'heuristic', { rng: this.rng });
+        this.manualParameters = null; // { integration, reflexivity } while the user overrides the tuner
+        this.handbackStepsRemaining = 0; // Steps left in the blend from manual values back to the tuner
 
         // --- Initialize TF Members ---
         this._set_tf_members_null(); // Nullify TF members initially
@@ -68,28 +130,34 @@ export class SyntrometricAgent {
     /** Encapsulates the creation of all TF-related components. */
     _initializeTfComponents() {
         // --- Self-Learning Parameters ---
-        this.integrationParam = tf.keep(tf.variable(tf.scalar(Math.random() * 0.5 + 0.25), true, 'agentIntegrationParam'));
-        this.reflexivityParam = tf.keep(tf.variable(tf.scalar(Math.random() * 0.5 + 0.25), true, 'agentReflexivityParam'));
+        // tf.tidy disposes the initial values; the variables hold their own copies
+        this.integrationParam = tf.keep(tf.tidy(() => tf.variable(tf.scalar(this.rng.next() * 0.5 + 0.25), true, `agentIntegrationParam_${this.instanceId}`)));
+        this.reflexivityParam = tf.keep(tf.tidy(() => tf.variable(tf.scalar(this.rng.next() * 0.5 + 0.25), true, `agentReflexivityParam_${this.instanceId}`)));
 
         // --- Belief Network ---
         this.beliefNetwork = tf.sequential({ name: 'beliefNetwork'});
-        this.beliefNetwork.add(tf.layers.dense({ units: Config.Agent.HIDDEN_DIM * 2, inputShape: [BELIEF_NETWORK_INPUT_DIM], activation: 'relu' }));
-        this.beliefNetwork.add(tf.layers.dropout({ rate: 0.1 }));
-        this.beliefNetwork.add(tf.layers.dense({ units: BELIEF_EMBEDDING_DIM, activation: 'tanh' }));
+        this.beliefNetwork.add(tf.layers.dense({ units: this.hiddenDim * 2, inputShape: [this.beliefNetworkInputDim], activation: 'relu', kernelInitializer: this._seededInitializer() }));
+        this.beliefNetwork.add(tf.layers.dropout({ rate: 0.1, seed: this.rng.tfSeed() }));
+        this.beliefNetwork.add(tf.layers.dense({ units: this.hiddenDim, activation: 'tanh', kernelInitializer: this._seededInitializer() }));
 
         // --- Cascade Input Projection Layer ---
-        this.cascadeInputLayer = tf.layers.dense({ units: CASCADE_INPUT_DIM, inputShape: [BELIEF_EMBEDDING_DIM], activation: 'tanh', name:'cascadeInputLayer' });
+        this.cascadeInputLayer = tf.layers.dense({ units: CASCADE_INPUT_DIM, inputShape: [this.hiddenDim], activation: 'tanh', name:'cascadeInputLayer', kernelInitializer: this._seededInitializer() });
 
-        // --- Value and Feedback Heads (Structure present, not actively trained) ---
-        this.valueHead = tf.layers.dense({ units: 1, inputShape: [BELIEF_EMBEDDING_DIM], name: 'valueHead'});
-        this.feedbackHead = tf.layers.dense({ units: Config.DIMENSIONS, inputShape: [BELIEF_EMBEDDING_DIM], name: 'feedbackHead'});
+        // --- Value and Feedback Heads (trained by _trainOnTransition when training is enabled) ---
+        this.valueHead = tf.layers.dense({ units: 1, inputShape: [this.hiddenDim], name: 'valueHead', kernelInitializer: this._seededInitializer() });
+        this.feedbackHead = tf.layers.dense({ units: Config.DIMENSIONS, inputShape: [this.hiddenDim], name: 'feedbackHead', kernelInitializer: this._seededInitializer() });
+        // Standalone layers only create weights when first applied; build them now so getWeights/setWeights work before the first step (e.g. on load)
+        [this.cascadeInputLayer, this.valueHead, this.feedbackHead].forEach(layer => layer.build([null, this.hiddenDim]));
 
         // --- Self-State Model ---
-        this.selfState = tf.keep(tf.variable(tf.randomNormal([BELIEF_EMBEDDING_DIM], 0, 0.1), true, 'agentSelfState'));
+        const initialSelfState = Array.from({ length: this.hiddenDim }, () => this.rng.normal(0, 0.1));
+        this.selfState = tf.keep(tf.tidy(() => tf.variable(tf.tensor(initialSelfState, [this.hiddenDim]), true, `agentSelfState_${this.instanceId}`)));
 
         // --- Emotion and Head Movement Models ---
         this.emotionalModule = this._buildEmotionalModel();
         this.headMovementHead = this._buildHeadMovementModel();
+        this.emotionTrainer = new EmotionTrainer(this.emotionalModule, { rng: this.rng, targetShaper: this.emotionTargetShaper ?? undefined });
+        this.gestureTrainer = new GestureFeedbackTrainer(this.headMovementHead);
 
         // --- Previous Emotion State ---
         this.prevEmotions = tf.keep(tf.zeros([1, Config.Agent.EMOTION_DIM]));
@@ -99,6 +167,11 @@ export class SyntrometricAgent {
         this.optimizer = tf.train.adam(learningRate);
     }
 
+    /** Glorot-uniform kernel initializer seeded from the agent's random source, so weights replay per seed. */
+    _seededInitializer() {
+        return tf.initializers.glorotUniform({ seed: this.rng.tfSeed() });
+    }
+
     /** Helper to validate essential components after TF initialization attempt. */
     _validateComponents() {
         const components = {
@@ -126,6 +199,7 @@ export class SyntrometricAgent {
         this.integrationParam = null; this.reflexivityParam = null; this.selfState = null;
         this.beliefNetwork = null; this.cascadeInputLayer = null; this.valueHead = null; this.feedbackHead = null;
         this.emotionalModule = null; this.headMovementHead = null; this.prevEmotions = null;
+        this.emotionTrainer = null; this.gestureTrainer = null;
         this.optimizer = null;
         this.latestBeliefEmbedding = null;
     }
@@ -141,9 +215,9 @@ export class SyntrometricAgent {
                  this.memoryBuffer = []; // Clear array
                  return;
              }
-             if (item instanceof tf.LayersModel) {
+             if (item instanceof tf.LayersModel || item instanceof tf.layers.Layer) { // Models and standalone layers (the Dense heads)
                  item.weights.forEach(w => safeDispose(w?.val)); // Dispose weights' tensors
-                 // Models themselves don't need disposal in the same way as tensors.
+                 // Models and layers themselves don't need disposal in the same way as tensors.
              } else if (item instanceof tf.Tensor && !item.isDisposed) {
                   try { item.dispose(); } catch (e) { console.error("Dispose error (tensor/var):", e); }
              }
@@ -162,19 +236,34 @@ export class SyntrometricAgent {
          safeDispose(this.latestBeliefEmbedding); // Disposes cached tensor clone
          safeDispose(this.memoryBuffer); // Disposes tensors within the buffer
 
-         this.optimizer = null; // Optimizer doesn't have a dispose method
+         if (typeof this.optimizer?.dispose === 'function') this.optimizer.dispose(); // Adam moment accumulators from training
+         this.emotionTrainer?.dispose();
+         this.gestureTrainer?.dispose();
+         this.strukturkondensation?.dispose(); // Learned Synkolator weights, if any
+         this.optimizer = null;
          // console.log("Agent TF members disposed.");
     }
 
+    /** Builds the cascade from Config.CASCADE_LEVEL_CONFIG, or uniform levels with Config.CASCADE_SYNKOLATOR. */
+    _buildStrukturkondensation() {
+        const synkolatorConfig = Config.CASCADE_SYNKOLATOR ?? {};
+        return new Strukturkondensation(Config.CASCADE_LEVEL_CONFIG ?? Config.CASCADE_LEVELS, Config.CASCADE_STAGE || 2, synkolatorConfig.TYPE ?? 'pyramidal', {
+            combination: synkolatorConfig.COMBINATION,
+            maxCombinations: synkolatorConfig.MAX_COMBINATIONS,
+            rng: this.rng,
+            inputSize: CASCADE_INPUT_DIM
+        });
+    }
+
     // --- TF Model Builders ---
     _buildEmotionalModel() {
         if (typeof tf === 'undefined') return null;
         try {
             const model = tf.sequential({ name: 'emotionalModule' });
             const inputDim = (Config.DIMENSIONS || 12) + (Config.Agent.EMOTION_DIM || 6) + 1 + 1; // State + PrevEmotion + Reward + EventContext
-            model.add(tf.layers.dense({ units: 32, inputShape: [inputDim], activation: 'relu' }));
-            model.add(tf.layers.dense({ units: 16, activation: 'relu' }));
-            model.add(tf.layers.dense({ units: Config.Agent.EMOTION_DIM || 6, activation: 'sigmoid' }));
+            model.add(tf.layers.dense({ units: 32, inputShape: [inputDim], activation: 'relu', kernelInitializer: this._seededInitializer() }));
+            model.add(tf.layers.dense({ units: 16, activation: 'relu', kernelInitializer: this._seededInitializer() }));
+            model.add(tf.layers.dense({ units: Config.Agent.EMOTION_DIM || 6, activation: 'sigmoid', kernelInitializer: this._seededInitializer() }));
             return model;
         } catch (e) { console.error("Failed building emotional model:", e); return null; }
      }
@@ -184,22 +273,230 @@ export class SyntrometricAgent {
         try {
             const model = tf.sequential({ name: 'headMovementHead' });
             const inputDim = 1 + 1 + 1 + (Config.Agent.EMOTION_DIM || 6); // RIH + Affinity + DominantEmotionIdx + EmotionsVector
-            model.add(tf.layers.dense({ units: 16, inputShape: [inputDim], activation: 'relu' }));
-            model.add(tf.layers.dense({ units: NUM_HEAD_MOVEMENTS })); // Output logits
+            model.add(tf.layers.dense({ units: 16, inputShape: [inputDim], activation: 'relu', kernelInitializer: this._seededInitializer() }));
+            model.add(tf.layers.dense({ units: NUM_HEAD_MOVEMENTS, kernelInitializer: this._seededInitializer() })); // Output logits
             return model;
         } catch (e) { console.error("Failed building head movement model:", e); return null; }
     }
 
+    // --- Online Training ---
+
+    /** @returns {Object} Training statistics before any update. */
+    _emptyTrainingStats() {
+        return { steps: 0, totalLoss: null, valueLoss: null, feedbackLoss: null, cascadeLoss: null, tdError: null, avgTotalLoss: null };
+    }
+
+    /**
+     * Turns online training on or off. Turning it off drops the pending transition
+     * so a later re-enable does not train across the gap.
+     * @param {boolean} enabled
+     */
+    setTrainingEnabled(enabled) {
+        this.trainingEnabled = !!enabled;
+        if (!this.trainingEnabled) this.pendingTransition = null;
+    }
+
+    /**
+     * Turns supervised emotion training on or off. Collected samples are kept.
+     * @param {boolean} enabled
+     */
+    setEmotionTrainingEnabled(enabled) {
+        this.emotionTrainingEnabled = !!enabled;
+    }
+
+    /**
+     * Sets how gestures are chosen from the head movement logits.
+     * @param {'argmax'|'sample'} mode - Greedy or softmax-temperature sampling.
+     * @param {number} [temperature] - Sampling temperature (kept if omitted).
+     */
+    setHeadMovementSelection(mode, temperature = this.headMovementTemperature) {
+        this.headMovementSelection = mode === 'sample' ? 'sample' : 'argmax';
+        if (Number.isFinite(temperature) && temperature > 0) this.headMovementTemperature = temperature;
+    }
+
+    /**
+     * Switches the strategy that tunes integrationParam and reflexivityParam. The new strategy starts fresh.
+     * @param {string} name - Key of PARAMETER_TUNING_STRATEGIES ('heuristic', 'gradient', 'es').
+     */
+    setTuningStrategy(name) {
+        this.parameterTuner = createTuningStrategy(name, { rng: this.rng });
+    }
+
+    /**
+     * Turns korporation of the belief cascade with an environment-state cascade on or off.
+     * While on, the reported RIH is that of the composite syntrix's final level.
+     * @param {'konzenter'|'exzenter'|null} mode - Korporation mode, or null to use the belief cascade alone.
+     */
+    setKorporation(mode) {
+        this.korporator = mode
+            ? new Korporator(mode, { weight: Config.KORPORATION?.WEIGHT ?? 0.5, coupling: Config.KORPORATION?.COUPLING ?? 0.5 })
+            : null;
+    }
+
+    /**
+     * Switches the estimator that turns the cascade into the RIH score. Window-based estimators start
+     * with an empty window (score 0 until Config.RIHEstimators.MIN_SAMPLES steps are collected).
+     * @param {string} name - Key of RIH_ESTIMATORS ('moment', 'totalCorrelation', 'spectral', 'phi').
+     */
+    setRihEstimator(name) {
+        this.rihEstimator = createRihEstimator(name);
+        this.latestRihDiagnostics = null;
+    }
+
+    /**
+     * Sets how cascade levels of different lengths are aligned before their affinity is computed.
+     * @param {'pad'|'interpolate'|'dtw'} alignment - See AFFINITY_ALIGNMENTS.
+     */
+    setAffinityAlignment(alignment) {
+        this.affinitaetssyndrom = new Affinitaetssyndrom(alignment);
+    }
+
+    /**
+     * Takes manual control of integrationParam and reflexivityParam. The values are written into the
+     * variables at the start of every step and the tuning strategy is suspended until release.
+     * @param {number} integration - Integration value (clamped to the tuner range).
+     * @param {number} reflexivity - Reflexivity value (clamped to the tuner range).
+     */
+    setManualParameters(integration, reflexivity) {
+        if (!Number.isFinite(integration) || !Number.isFinite(reflexivity)) return;
+        this.manualParameters = { integration: clampTuningParameter(integration), reflexivity: clampTuningParameter(reflexivity) };
+        this.handbackStepsRemaining = 0;
+    }
+
+    /**
+     * Returns control to the tuning strategy. The tuner restarts from the manual values and its
+     * steps are ramped in over Config.RL.MANUAL_HANDBACK_STEPS so the parameters do not jump.
+     */
+    releaseManualParameters() {
+        if (!this.manualParameters) return;
+        this.manualParameters = null;
+        this.handbackStepsRemaining = Config.RL?.MANUAL_HANDBACK_STEPS ?? 0;
+        this.parameterTuner?.reset();
+    }
+
+    /** @returns {'manual'|'handback'|'auto'} Who currently controls integration and reflexivity. */
+    getParameterControl() {
+        if (this.manualParameters) return 'manual';
+        return this.handbackStepsRemaining > 0 ? 'handback' : 'auto';
+    }
+
+    /** Writes the manual override values into the parameter variables. */
+    _applyManualParameters() {
+        if (!this.manualParameters) return;
+        tf.tidy(() => {
+            this.integrationParam.assign(tf.scalar(this.manualParameters.integration));
+            this.reflexivityParam.assign(tf.scalar(this.manualParameters.reflexivity));
+        });
+    }
+
+    /**
+     * Labels the most recent gesture and retrains the head movement head on all labels.
+     * @param {Object} feedback - { correct: boolean } or { label: string } (one of HEAD_MOVEMENT_LABELS).
+     * @returns {Object|null} Label/training stats, or null if there is no gesture to label or the feedback is invalid.
+     */
+    giveHeadMovementFeedback(feedback) {
+        if (!this.lastHeadMovement || !this.gestureTrainer) return null;
+        try {
+            const accepted = this.gestureTrainer.addLabel(this.lastHeadMovement.input, this.lastHeadMovement.index, feedback);
+            return accepted ? this.gestureTrainer.getStats() : null;
+        } catch (e) {
+            console.error("Error training head movement from feedback:", e);
+            displayError(`Gesture feedback training failed: ${e.message}`, false, 'error-message');
+            return null;
+        }
+    }
+
+    /** Trainable variables of the belief network, cascade projection, both heads and any learned Synkolator weights. */
+    _trainableVariables() {
+        return [this.beliefNetwork, this.cascadeInputLayer, this.valueHead, this.feedbackHead]
+            .flatMap(model => model?.trainableWeights ?? [])
+            .map(weight => weight.val)
+            .concat(this.strukturkondensation?.getTrainableVariables() ?? []);
+    }
+
+    /**
+     * One Adam step on the transition (previous step -> current step):
+     *  - valueHead: TD(0) target reward + GAMMA * V(current belief); the TD error is the advantage estimate.
+     *  - feedbackHead: reconstruct the current (next) core state from the previous belief.
+     *  - cascadeInputLayer: reconstruct the previous core state, keeping the cascade input in core space.
+     *  - RIH objective (RIH_LOSS_WEIGHT > 0): maximize the smoothed RIH of the previous belief's cascade
+     *    (korporated with the previous core state's cascade when a Korporator is set), computed with the differentiable Strukturkondensation.forward / ReflexiveIntegration.computeTensor.
+     * Gradients flow through beliefNetwork from all losses.
+     * @param {{beliefNetInput: number[], coreState: number[]}} previous - Inputs of the previous step.
+     * @param {number} reward - Reward received on arrival in the current state.
+     * @param {number[]} currentBeliefNetInput - Belief network input of the current step.
+     * @param {number[]} currentCoreState - Core state of the current step.
+     */
+    _trainOnTransition(previous, reward, currentBeliefNetInput, currentCoreState) {
+        const gamma = Config.RL?.GAMMA ?? 0.95;
+        const valueWeight = Config.RL?.VALUE_LOSS_WEIGHT ?? 1.0;
+        const feedbackWeight = Config.RL?.FEEDBACK_LOSS_WEIGHT ?? 0.5;
+        const cascadeWeight = Config.RL?.CASCADE_LOSS_WEIGHT ?? 0.25;
+        const rihWeight = Config.RL?.RIH_LOSS_WEIGHT ?? 0;
+        const lossParts = {};
+
+        const totalLoss = tf.tidy(() => {
+            // Bootstrapped target uses the current weights without gradient
+            const nextValue = this.valueHead.apply(this.beliefNetwork.apply(tf.tensor2d([currentBeliefNetInput]))).reshape([]);
+            const valueTarget = tf.scalar(Number.isFinite(reward) ? reward : 0).add(nextValue.mul(gamma));
+            const previousInput = tf.tensor2d([previous.beliefNetInput]);
+            const previousCore = tf.tensor2d([previous.coreState]);
+            const nextCore = tf.tensor2d([currentCoreState]);
+
+            const loss = this.optimizer.minimize(() => {
+                const belief = this.beliefNetwork.apply(previousInput);
+                const value = this.valueHead.apply(belief).reshape([]);
+                const tdError = valueTarget.sub(value);
+                const valueLoss = tdError.square();
+                const feedbackLoss = tf.losses.meanSquaredError(nextCore, this.feedbackHead.apply(belief));
+                const cascadeInput = this.cascadeInputLayer.apply(belief);
+                const cascadeLoss = tf.losses.meanSquaredError(previousCore, cascadeInput);
+
+                lossParts.tdError = tdError.dataSync()[0];
+                lossParts.valueLoss = valueLoss.dataSync()[0];
+                lossParts.feedbackLoss = feedbackLoss.dataSync()[0];
+                lossParts.cascadeLoss = cascadeLoss.dataSync()[0];
+                let total = valueLoss.mul(valueWeight).add(feedbackLoss.mul(feedbackWeight)).add(cascadeLoss.mul(cascadeWeight));
+                if (rihWeight > 0) {
+                    let levels = this.strukturkondensation.forward(cascadeInput.reshape([CASCADE_INPUT_DIM]));
+                    if (this.korporator) { // Same joint structure the reported RIH is computed on
+                        const environmentLevels = this.strukturkondensation.forward(previousCore.reshape([Config.DIMENSIONS]));
+                        const compositeLevels = this.korporator.korporate(levels, environmentLevels);
+                        if (compositeLevels.length > 0) levels = compositeLevels;
+                    }
+                    const rih = this.reflexiveIntegration.computeTensor(levels[levels.length - 1], { smooth: true });
+                    lossParts.rihObjective = rih.dataSync()[0];
+                    total = total.sub(rih.mul(rihWeight));
+                }
+                return total;
+            }, true, this._trainableVariables());
+            return loss.dataSync()[0];
+        });
+
+        const steps = this.trainingStats.steps + 1;
+        const previousAvg = this.trainingStats.avgTotalLoss ?? totalLoss;
+        this.trainingStats = {
+            steps,
+            totalLoss,
+            ...lossParts,
+            avgTotalLoss: previousAvg + (totalLoss - previousAvg) * 0.05 // Exponential moving average for display
+        };
+    }
+
     // --- Core Methods ---
 
-    /** Adds the latest belief embedding tensor to the memory buffer, maintaining size. */
-    _updateMemory(beliefTensor) {
+    /** Adds the latest belief embedding tensor (and the cascade it produced) to the memory buffer, maintaining size. */
+    _updateMemory(beliefTensor, cascadeHistory = null) {
         if (typeof tf === 'undefined' || !beliefTensor || beliefTensor.isDisposed) return;
-        if (beliefTensor.rank !== 1 || beliefTensor.shape[0] !== BELIEF_EMBEDDING_DIM) {
+        if (beliefTensor.rank !== 1 || beliefTensor.shape[0] !== this.hiddenDim) {
              // console.warn(`[Agent Memory] Invalid belief tensor shape: ${beliefTensor.shape}. Skipping update.`); // Noisy
              return;
         }
-        this.memoryBuffer.push({ timestamp: Date.now(), beliefEmbedding: tf.keep(beliefTensor.clone()) });
+        this.memoryBuffer.push({
+            timestamp: Date.now(),
+            beliefEmbedding: tf.keep(beliefTensor.clone()),
+            cascadeHistory: Array.isArray(cascadeHistory) ? cascadeHistory.map(level => [...level]) : null
+        });
         while (this.memoryBuffer.length > this.memorySize) {
             const oldEntry = this.memoryBuffer.shift();
             if (oldEntry?.beliefEmbedding && !oldEntry.beliefEmbedding.isDisposed) {
@@ -208,10 +505,26 @@ export class SyntrometricAgent {
         }
     }
 
+    /**
+     * Level-by-level affinity of a cascade with each remembered cascade (level i against level i).
+     * Memory entries without a cascade (e.g. from older saved states) are skipped.
+     * @param {number[][]} cascadeHistory - Current cascade levels.
+     * @returns {number[][]} [memory entry (oldest first)][level] affinities.
+     */
+    _computeMemoryAffinities(cascadeHistory) {
+        if (!Array.isArray(cascadeHistory) || cascadeHistory.length === 0) return [];
+        return this.memoryBuffer
+            .filter(entry => Array.isArray(entry.cascadeHistory) && entry.cascadeHistory.length > 0)
+            .map(entry => {
+                const matrix = this.affinitaetssyndrom.computeMatrix(cascadeHistory, entry.cascadeHistory);
+                return cascadeHistory.map((_, level) => matrix[level]?.[level] ?? 0);
+            });
+    }
+
     /** Computes a trust score based on the similarity of the current belief to recent beliefs in memory. */
     _computeTrust(currentBeliefEmbedding) {
         if (typeof tf === 'undefined' || !currentBeliefEmbedding || currentBeliefEmbedding.isDisposed) return 0.5;
-        if (currentBeliefEmbedding.rank !== 1 || currentBeliefEmbedding.shape[0] !== BELIEF_EMBEDDING_DIM) return 0.5;
+        if (currentBeliefEmbedding.rank !== 1 || currentBeliefEmbedding.shape[0] !== this.hiddenDim) return 0.5;
         if (this.memoryBuffer.length === 0) return 1.0;
 
         let avgSimilarityValue = 0.5; // Default trust
@@ -224,7 +537,7 @@ export class SyntrometricAgent {
                 const validSimilarities = this.memoryBuffer
                     .map(memEntry => {
                         const memTensor = memEntry?.beliefEmbedding;
-                        if (!memTensor || memTensor.isDisposed || memTensor.rank !== 1 || memTensor.shape[0] !== BELIEF_EMBEDDING_DIM) return null;
+                        if (!memTensor || memTensor.isDisposed || memTensor.rank !== 1 || memTensor.shape[0] !== this.hiddenDim) return null;
                         const flatMem = memTensor;
                         const memNorm = flatMem.norm();
                         const normProd = currentNorm.mul(memNorm);
@@ -247,56 +560,42 @@ export class SyntrometricAgent {
     }
 
 
-    /** Heuristically adjusts integration and reflexivity parameters based on performance metrics. */
+    /** Adjusts integration and reflexivity parameters with the selected tuning strategy. */
     _learnParameters(trustScore, rihScore, cascadeVariance) {
         if (typeof tf === 'undefined' || !this.integrationParam || !this.reflexivityParam || this.integrationParam.isDisposed || this.reflexivityParam.isDisposed) {
             return;
         }
+        if (this.manualParameters) { // Tuner suspended while the user holds the parameters
+            this.lastCascadeVariance = cascadeVariance;
+            return;
+        }
 
-        // Get current values safely
-        const { newIntegration, newReflexivity } = tf.tidy(() => {
-            const learningRate = Config.RL?.PARAM_LEARN_RATE ?? 0.006;
-            const decayFactor = Config.RL?.PARAM_DECAY ?? 0.03;
-            let integrationDelta = 0.0;
-            let reflexivityDelta = 0.0;
-
-            const rihChange = rihScore - this.lastRIH;
-            const varianceChange = cascadeVariance - this.lastCascadeVariance;
-
-            // --- Heuristic Rules (as before) ---
-            if ((rihScore > 0.7 && trustScore > 0.7) || (rihChange > 0.02 && trustScore > 0.6)) {
-                integrationDelta += 1.0; reflexivityDelta -= 1.0;
-            } else if (rihScore < 0.3 || trustScore < 0.4 || (rihChange < -0.03 && trustScore < 0.7)) {
-                integrationDelta -= 1.0; reflexivityDelta += 1.2;
-            }
-            const highVarianceThreshold = 0.15; const increasingVarianceThreshold = 0.01;
-            if (cascadeVariance > highVarianceThreshold || varianceChange > increasingVarianceThreshold) {
-                integrationDelta += 0.6 * clamp(cascadeVariance - highVarianceThreshold, 0, 1);
-                reflexivityDelta += 0.4 * clamp(varianceChange, 0, 0.1);
-            } else if (cascadeVariance < 0.02 && varianceChange <= 0) {
-                reflexivityDelta += 0.3;
+        const current = {
+            integration: this.integrationParam.dataSync()[0],
+            reflexivity: this.reflexivityParam.dataSync()[0]
+        };
+        try {
+            const next = this.parameterTuner.update(
+                { trustScore, rihScore, cascadeVariance, lastRIH: this.lastRIH, lastCascadeVariance: this.lastCascadeVariance },
+                current
+            );
+            let newIntegration = clampTuningParameter(Number.isFinite(next?.integration) ? next.integration : current.integration);
+            let newReflexivity = clampTuningParameter(Number.isFinite(next?.reflexivity) ? next.reflexivity : current.reflexivity);
+            if (this.handbackStepsRemaining > 0) {
+                // Ramp the tuner's step in linearly after a manual override
+                const handbackSteps = Math.max(1, Config.RL?.MANUAL_HANDBACK_STEPS ?? 1);
+                const weight = 1 - this.handbackStepsRemaining / (handbackSteps + 1);
+                newIntegration = current.integration + (newIntegration - current.integration) * weight;
+                newReflexivity = current.reflexivity + (newReflexivity - current.reflexivity) * weight;
+                this.handbackStepsRemaining--;
             }
-            // Mean reversion
-            // FIX: Access variables directly inside tidy
-            const currentIntegrationValue = this.integrationParam.dataSync()[0]; 
-            const currentReflexivityValue = this.reflexivityParam.dataSync()[0];
-            integrationDelta += (0.5 - currentIntegrationValue) * decayFactor;
-            reflexivityDelta += (0.5 - currentReflexivityValue) * decayFactor;
-
-            // Calculate new values
-            const updatedIntegration = this.integrationParam.add(tf.scalar(integrationDelta * learningRate)).clipByValue(0.05, 0.95);
-            const updatedReflexivity = this.reflexivityParam.add(tf.scalar(reflexivityDelta * learningRate)).clipByValue(0.05, 0.95);
-
-            return { newIntegration: updatedIntegration, newReflexivity: updatedReflexivity };
-        });
-
-        // Assign new values outside tidy block
-        this.integrationParam.assign(newIntegration);
-        this.reflexivityParam.assign(newReflexivity);
-
-        // Dispose intermediate tensors created by tidy
-        tf.dispose(newIntegration);
-        tf.dispose(newReflexivity);
+            tf.tidy(() => {
+                this.integrationParam.assign(tf.scalar(newIntegration));
+                this.reflexivityParam.assign(tf.scalar(newReflexivity));
+            });
+        } catch (e) {
+            console.error(`Error in ${this.parameterTuner?.name ?? 'parameter'} tuning:`, e);
+        }
 
         // Update last values for next step's calculation
         this.lastCascadeVariance = cascadeVariance;
@@ -350,13 +649,14 @@ export class SyntrometricAgent {
              return {
                  cascadeHistory: [], rihScore: 0, affinities: [], emotions: defaultEmotions, hmLabel: 'idle',
                  responseText: "Error: Agent component invalid.", integration: 0.5, reflexivity: 0.5,
-                 trustScore: 0.0, beliefNorm: 0, feedbackNorm: 0, selfStateNorm: 0
+                 trustScore: 0.0, beliefNorm: 0, feedbackNorm: 0, feedbackSignal: [], selfStateNorm: 0
              };
         }
         // --- End Pre-Check ---
 
         let currentIntegration = 0.5, currentReflexivity = 0.5;
         try {
+            this._applyManualParameters();
             if (!this.integrationParam.isDisposed) currentIntegration = this.integrationParam.dataSync()[0];
             if (!this.reflexivityParam.isDisposed) currentReflexivity = this.reflexivityParam.dataSync()[0];
         } catch (e) { console.error("Error reading agent parameters:", e); }
@@ -376,7 +676,7 @@ export class SyntrometricAgent {
 
                 const coreStateTensor = tf.tensor(stateArray.slice(0, coreDim)); // Shape [coreDim]
                 const graphFeaturesTensor = tf.tensor(graphFeatures); // Shape [NUM_GRAPH_FEATURES]
-                const currentSelfState = this.selfState; // Shape [BELIEF_EMBEDDING_DIM]
+                const currentSelfState = this.selfState; // Shape [this.hiddenDim]
 
                 // 2. Input Modulation & Perturbation (Enyphansyntrix)
                 const rihModulation = this.lastRIH * (currentReflexivity * 2 - 1);
@@ -385,36 +685,52 @@ export class SyntrometricAgent {
                 const perturbedInput = this.enyphansyntrix.apply(modulatedInput, perturbationScale); // Shape [coreDim]
 
                 // 3. Belief Formation
-                const beliefNetInput = tf.concat([
+                const beliefNetInputParts = [
                     perturbedInput.reshape([1, coreDim]),
                     graphFeaturesTensor.reshape([1, NUM_GRAPH_FEATURES]),
-                    currentSelfState.reshape([1, BELIEF_EMBEDDING_DIM])
-                ], 1);
-                if (beliefNetInput.shape[1] !== BELIEF_NETWORK_INPUT_DIM) {
-                     throw new Error(`Belief network input dim mismatch: expected ${BELIEF_NETWORK_INPUT_DIM}, got ${beliefNetInput.shape[1]}`);
+                    currentSelfState.reshape([1, this.hiddenDim])
+                ];
+                if (this.metronHistory) { // Rate-of-change features of the unperturbed core state on the τ-lattice
+                    this.metronHistory.push(stateArray.slice(0, coreDim));
+                    beliefNetInputParts.push(tf.tensor2d([this.metronHistory.getFeatures()]));
+                }
+                const beliefNetInput = tf.concat(beliefNetInputParts, 1);
+                if (beliefNetInput.shape[1] !== this.beliefNetworkInputDim) {
+                     throw new Error(`Belief network input dim mismatch: expected ${this.beliefNetworkInputDim}, got ${beliefNetInput.shape[1]}`);
                 }
-                const beliefEmbedding = this.beliefNetwork.apply(beliefNetInput).reshape([BELIEF_EMBEDDING_DIM]); // Shape [BELIEF_EMBEDDING_DIM]
+                const beliefEmbedding = this.beliefNetwork.apply(beliefNetInput).reshape([this.hiddenDim]); // Shape [this.hiddenDim]
+                const beliefNetInputArray = this.trainingEnabled ? beliefNetInput.arraySync()[0] : null; // Replayed by _trainOnTransition
 
                 // --- Keep a clone of the belief embedding *outside* the tidy scope ---
                 // This is crucial for updating memory and self-state later.
                 keptBeliefForUpdates = tf.keep(beliefEmbedding.clone());
 
                 // 4. Cascade Processing (Strukturkondensation)
-                const cascadeInput = this.cascadeInputLayer.apply(beliefEmbedding.reshape([1, BELIEF_EMBEDDING_DIM])).reshape([CASCADE_INPUT_DIM]);
+                const cascadeInput = this.cascadeInputLayer.apply(beliefEmbedding.reshape([1, this.hiddenDim])).reshape([CASCADE_INPUT_DIM]);
                 const cascadeHistoryTensors = this.strukturkondensation.process(cascadeInput); // Returns array of kept tensors
                 const cascadeHistoryArrays = cascadeHistoryTensors.map(t => t.arraySync()); // JS arrays for output
                 const lastCascadeLevelTensor = cascadeHistoryTensors.length > 0 ? cascadeHistoryTensors[cascadeHistoryTensors.length - 1] : tf.tensor([]);
 
                 // 5. Compute RIH & Affinities
-                const currentRihScore = this.reflexiveIntegration.compute(lastCascadeLevelTensor);
-                const currentAffinities = [];
-                if (cascadeHistoryTensors.length > 1) {
-                    for (let i = 0; i < cascadeHistoryTensors.length - 1; i++) {
-                        if (cascadeHistoryTensors[i]?.shape[0] > 0 && cascadeHistoryTensors[i+1]?.shape[0] > 0 && !cascadeHistoryTensors[i].isDisposed && !cascadeHistoryTensors[i+1].isDisposed) {
-                            currentAffinities.push(this.affinitaetssyndrom.compute(cascadeHistoryTensors[i], cascadeHistoryTensors[i+1]));
-                        } else { currentAffinities.push(0); }
-                    }
+                let rihLevelArrays = cascadeHistoryArrays; // Structure the RIH estimator sees
+                let korporation = null;
+                if (this.korporator) {
+                    // Korporate with a syntrix built from the unperturbed environment core state
+                    const environmentLevels = this.strukturkondensation.forward(coreStateTensor);
+                    const compositeLevels = this.korporator.korporate(cascadeHistoryTensors, environmentLevels);
+                    const beliefRih = this.reflexiveIntegration.compute(lastCascadeLevelTensor);
+                    if (compositeLevels.length > 0) rihLevelArrays = compositeLevels.map(level => level.arraySync());
+                    korporation = { // Moment RIH of the belief and composite final levels, whatever the estimator
+                        mode: this.korporator.mode,
+                        beliefRih,
+                        jointRih: compositeLevels.length > 0 ? this.reflexiveIntegration.compute(compositeLevels[compositeLevels.length - 1]) : beliefRih,
+                        levelSizes: compositeLevels.map(level => level.shape[0])
+                    };
                 }
+                const rihEstimate = this.rihEstimator.estimate(rihLevelArrays);
+                const currentRihScore = rihEstimate.score;
+                const affinityMatrix = this.affinitaetssyndrom.computeMatrix(cascadeHistoryTensors);
+                const currentAffinities = affinityMatrix.slice(0, -1).map((row, i) => row[i + 1]); // Adjacent levels
                 const currentAvgAffinity = currentAffinities.length > 0 ? currentAffinities.reduce((a, b) => a + b, 0) / currentAffinities.length : 0;
 
                 // 6. Compute Trust Score (Needs beliefEmbedding, calculation done outside tidy using kept tensor)
@@ -428,8 +744,8 @@ export class SyntrometricAgent {
                 const cascadeFeatures = [clamp(varFinal, 0, 10), clamp(meanFinal, -10, 10)];
 
                 // 8. Value/Feedback Prediction (optional, keep structure)
-                const valuePred = this.valueHead.apply(beliefEmbedding.reshape([1, BELIEF_EMBEDDING_DIM])).reshape([]);
-                const feedbackSignal = this.feedbackHead.apply(beliefEmbedding.reshape([1, BELIEF_EMBEDDING_DIM])).reshape([Config.DIMENSIONS]);
+                const valuePred = this.valueHead.apply(beliefEmbedding.reshape([1, this.hiddenDim])).reshape([]);
+                const feedbackSignal = this.feedbackHead.apply(beliefEmbedding.reshape([1, this.hiddenDim])).reshape([Config.DIMENSIONS]);
 
                 // Dispose intermediate cascade tensors (they were kept by process)
                 cascadeHistoryTensors.forEach(t => tf.dispose(t));
@@ -438,13 +754,19 @@ export class SyntrometricAgent {
                 return {
                     cascadeHistoryArrays,
                     currentRihScore: currentRihScore ?? 0,
+                    rihDiagnostics: rihEstimate.diagnostics,
+                    korporation,
                     currentAffinities,
+                    affinityMatrix,
                     currentAvgAffinity: currentAvgAffinity ?? 0,
                     cascadeFeatures,
+                    beliefNetInputArray,
+                    coreStateArray: stateArray.slice(0, coreDim),
                     // Tensors like valuePred, feedbackSignal are disposed by tidy unless kept explicitly
                     // We keep the belief embedding outside using keptBeliefForUpdates
                     beliefNorm: beliefEmbedding.norm().arraySync(), // Calculate norm inside tidy for efficiency
                     feedbackNorm: feedbackSignal.norm().arraySync(),
+                    feedbackSignal: Array.from(feedbackSignal.dataSync()), // Predicted next core state, acted on by the environment
                     selfStateNorm: currentSelfState.norm().arraySync()
                 };
             }); // End tf.tidy for core processing
@@ -462,12 +784,24 @@ export class SyntrometricAgent {
             // Store results for state tracking and visualization
             this.latestRihScore = results.currentRihScore;
             this.latestAffinities = results.currentAffinities;
+            this.latestAffinityMatrix = results.affinityMatrix;
+            this.latestMemoryAffinities = this.memoryAffinityEnabled ? this._computeMemoryAffinities(results.cascadeHistoryArrays) : null;
             this.latestTrustScore = results.currentTrustScore;
+            const beliefArray = keptBeliefForUpdates && !keptBeliefForUpdates.isDisposed ? Array.from(keptBeliefForUpdates.dataSync()) : null;
+            this.latestTelezentrum = (beliefArray && this.telezentrumEstimator.observe(beliefArray)) ?? this.latestTelezentrum;
+            this.latestTrajectory = this.trajectoryAnalyzer.observe({
+                rih: results.currentRihScore,
+                affinity: results.currentAvgAffinity,
+                belief: beliefArray,
+                telezentrumDistance: Config.Telezentrum?.DRIVE_TRAJECTORY ? this.latestTelezentrum?.distance : null,
+                telezentrumId: this.latestTelezentrum?.current?.id ?? null
+            });
             this.latestCascadeHistoryArrays = results.cascadeHistoryArrays;
+            this.latestCascadeLevels = this.strukturkondensation.getLevelMetadata(results.cascadeHistoryArrays.map(level => level.length));
 
             // Update memory and self-state using the kept belief embedding
             if (keptBeliefForUpdates && !keptBeliefForUpdates.isDisposed) {
-                this._updateMemory(keptBeliefForUpdates);
+                this._updateMemory(keptBeliefForUpdates, results.cascadeHistoryArrays);
                 this._updateSelfState(keptBeliefForUpdates, results.currentTrustScore, currentIntegration);
 
                 // Cache the latest belief embedding (dispose previous if exists)
@@ -480,8 +814,21 @@ export class SyntrometricAgent {
             // Learn/Adjust integration/reflexivity parameters
             this._learnParameters(results.currentTrustScore, results.currentRihScore, results.cascadeFeatures[0]);
 
+            // Train networks on the transition that led into this state
+            if (this.trainingEnabled && results.beliefNetInputArray) {
+                if (this.pendingTransition) {
+                    try {
+                        this._trainOnTransition(this.pendingTransition, environmentContext?.reward ?? 0, results.beliefNetInputArray, results.coreStateArray);
+                    } catch (trainError) {
+                        console.error("Error during network training step:", trainError);
+                    }
+                }
+                this.pendingTransition = { beliefNetInput: results.beliefNetInputArray, coreState: results.coreStateArray };
+            }
+
             // Update history for next step's calculations
             this.lastRIH = results.currentRihScore;
+            this.latestRihDiagnostics = results.rihDiagnostics ?? null;
 
         } catch (e) {
              console.error("Error during agent core processing:", e);
@@ -560,8 +907,11 @@ export class SyntrometricAgent {
 
         return {
             cascadeHistory: results.cascadeHistoryArrays || [],
+            cascadeLevels: this.latestCascadeLevels || [],
             rihScore: results.currentRihScore ?? 0,
             affinities: results.currentAffinities || [],
+            affinityMatrix: this.latestAffinityMatrix || [],
+            memoryAffinities: this.latestMemoryAffinities,
             emotions: currentEmotionsTensor, // Return the kept tensor from _updateEmotions
             hmLabel: hmLabel,
             responseText: responseText,
@@ -570,10 +920,29 @@ export class SyntrometricAgent {
             reflexivity: currentReflexivity ?? 0.5,
             beliefNorm: beliefNormValue,
             // feedbackNorm: feedbackNormValue, // Optional
-            selfStateNorm: currentSelfStateNorm
+            feedbackSignal: results.feedbackSignal ?? [],
+            selfStateNorm: currentSelfStateNorm,
+            training: this.trainingEnabled ? { ...this.trainingStats } : null,
+            emotionTraining: this.emotionTrainingEnabled && this.emotionTrainer ? this.emotionTrainer.getStats() : null,
+            tuning: this.parameterTuner?.getState() ?? null,
+            parameterControl: this.getParameterControl(),
+            trajectory: { ...this.latestTrajectory },
+            telezentrum: this.latestTelezentrum ? { ...this.latestTelezentrum } : null,
+            rihDiagnostics: this.latestRihDiagnostics,
+            korporation: results.korporation ?? null
         };
     }
 
+    /**
+     * Context signal of the emotional module: 1 during environment events; with trajectory context on,
+     * at least Config.Trajectory.CONTEXT_SIGNAL of the current trajectory phase.
+     */
+    _contextSignal(environmentContext) {
+        const eventSignal = environmentContext?.eventType ? 1 : 0;
+        if (!this.trajectoryContextEnabled) return eventSignal;
+        return Math.max(eventSignal, Config.Trajectory?.CONTEXT_SIGNAL?.[this.latestTrajectory?.phase] ?? 0);
+    }
+
     /** Internal helper to update emotions */
     async _updateEmotions(rawState, environmentContext) {
         if (!this.emotionalModule) {
@@ -592,11 +961,12 @@ export class SyntrometricAgent {
         while(coreStateForEmotion.length < coreDim) coreStateForEmotion.push(0);
 
         let newEmotionsResult; // Will hold the kept result
+        let trainingSample = null; // { input, predicted } for the emotion trainer
         try {
             const intermediateResult = tf.tidy(() => {
                 const stateTensor = tf.tensor([coreStateForEmotion], [1, coreDim]);
                 const rewardTensor = tf.tensor([[environmentContext.reward || 0]], [1, 1]);
-                const contextSignal = tf.tensor([[environmentContext.eventType ? 1 : 0]], [1, 1]);
+                const contextSignal = tf.tensor([[this._contextSignal(environmentContext)]], [1, 1]);
                 const prevEmotionsInput = this.prevEmotions.reshape([1, emoDim]);
 
                 const input = tf.concat([stateTensor, prevEmotionsInput, rewardTensor, contextSignal], 1);
@@ -607,6 +977,9 @@ export class SyntrometricAgent {
                 }
 
                 const predictedEmotions = this.emotionalModule.predict(input);
+                if (this.emotionTrainingEnabled && this.emotionTrainer) {
+                    trainingSample = { input: input.arraySync()[0], predicted: predictedEmotions.arraySync()[0] };
+                }
                 const decayScalar = tf.scalar(EMOTIONAL_DECAY_RATE);
                 const blendedEmotions = prevEmotionsInput.mul(decayScalar)
                     .add(predictedEmotions.mul(tf.scalar(1.0).sub(decayScalar)))
@@ -622,6 +995,9 @@ export class SyntrometricAgent {
             if (this.prevEmotions && !this.prevEmotions.isDisposed) { tf.dispose(this.prevEmotions); }
             this.prevEmotions = tf.keep(newEmotionsResult.clone()); // Keep a *separate clone* for internal state
 
+            // Label with the active environment event and train periodically
+            if (trainingSample) this.emotionTrainer.observe(trainingSample.input, trainingSample.predicted, environmentContext);
+
         } catch (e) {
              console.error("Error during emotion prediction/tidy block:", e);
              displayError(`TF Error during emotion prediction: ${e.message}`, false, 'error-message');
@@ -651,6 +1027,7 @@ export class SyntrometricAgent {
 
          if (dominantEmotionIndex !== -1) {
              let hmLogits = null;
+             let inputArray = null;
              try {
                  hmLogits = tf.tidy(() => {
                      const rihTensor = tf.tensor([[rihScore]], [1, 1]);
@@ -664,11 +1041,13 @@ export class SyntrometricAgent {
                      if (input.shape[1] !== expectedInputDim) {
                          throw new Error(`Head movement model input dim mismatch: expected ${expectedInputDim}, got ${input.shape[1]}`);
                      }
+                     inputArray = input.arraySync()[0];
                      return this.headMovementHead.predict(input);
                  });
 
-                 const hmIdx = hmLogits.argMax(1).arraySync()[0];
+                 const { index: hmIdx } = selectHeadMovement(hmLogits.arraySync()[0], this.headMovementSelection, this.headMovementTemperature, this.rng);
                  hmLabel = HEAD_MOVEMENT_LABELS[hmIdx] || "idle";
+                 this.lastHeadMovement = { input: inputArray, index: hmIdx, label: hmLabel };
 
              } catch (e) {
                   console.error("Error during head movement prediction tidy:", e);
@@ -683,16 +1062,17 @@ export class SyntrometricAgent {
 
     // --- State Management & Cleanup ---
     getState() {
-         if(typeof tf === 'undefined') return { version: "2.3.1", error: "TensorFlow not available" };
+         if(typeof tf === 'undefined') return { version: CURRENT_STATE_VERSION, error: "TensorFlow not available" };
 
          try {
              const memoryArrays = this.memoryBuffer.map(entry => ({
                  timestamp: entry.timestamp,
-                 beliefEmbedding: entry.beliefEmbedding && !entry.beliefEmbedding.isDisposed ? entry.beliefEmbedding.arraySync() : null
+                 beliefEmbedding: entry.beliefEmbedding && !entry.beliefEmbedding.isDisposed ? entry.beliefEmbedding.arraySync() : null,
+                 cascadeHistory: entry.cascadeHistory ?? null
              })).filter(e => e.beliefEmbedding !== null); // Filter out entries where tensor was invalid
 
              const prevEmotionsArray = this.prevEmotions && !this.prevEmotions.isDisposed ? this.prevEmotions.arraySync()[0] : zeros([Config.Agent.EMOTION_DIM]);
-             let selfStateArray = zeros([BELIEF_EMBEDDING_DIM]);
+             let selfStateArray = zeros([this.hiddenDim]);
              if (this.selfState && !this.selfState.isDisposed) selfStateArray = Array.from(this.selfState.dataSync());
              const integrationVal = this.integrationParam && !this.integrationParam.isDisposed ? this.integrationParam.dataSync()[0] : 0.5;
              const reflexivityVal = this.reflexivityParam && !this.reflexivityParam.isDisposed ? this.reflexivityParam.dataSync()[0] : 0.5;
@@ -709,7 +1089,7 @@ export class SyntrometricAgent {
              };
 
              return {
-                 version: "2.3.1",
+                 version: CURRENT_STATE_VERSION,
                  prevEmotions: prevEmotionsArray,
                  memoryBuffer: memoryArrays, // Stores {timestamp, beliefEmbedding (array)}
                  lastRIH: this.lastRIH,
@@ -724,14 +1104,38 @@ export class SyntrometricAgent {
                  feedbackHeadWeights: getWeightsSafe(this.feedbackHead),
                  emotionalModuleWeights: getWeightsSafe(this.emotionalModule),
                  headMovementHeadWeights: getWeightsSafe(this.headMovementHead),
+                 synkolatorWeights: this.strukturkondensation?.getWeightsState() ?? [], // Learned Synkolator weights by level and input size
                  // NOTE: Optimizer state is generally NOT saved/loaded this way easily.
              };
          } catch(e) {
              console.error("Error getting agent state:", e);
-             return { version: "2.3.1", error: `Failed to get state: ${e.message}` };
+             return { version: CURRENT_STATE_VERSION, error: `Failed to get state: ${e.message}` };
          }
     }
 
+    /**
+     * Returns the freshly initialized weights of every saved model, used by the state
+     * migration to pad weights when HIDDEN_DIM or DIMENSIONS changed.
+     * @returns {Object} { [weightsKey]: [{ shape, data }] }
+     */
+    _getWeightTemplates() {
+        const models = {
+            beliefNetworkWeights: this.beliefNetwork,
+            cascadeInputLayerWeights: this.cascadeInputLayer,
+            valueHeadWeights: this.valueHead,
+            feedbackHeadWeights: this.feedbackHead,
+            emotionalModuleWeights: this.emotionalModule,
+            headMovementHeadWeights: this.headMovementHead
+        };
+        const templates = {};
+        Object.entries(models).forEach(([key, model]) => {
+            if (model && typeof model.getWeights === 'function') {
+                templates[key] = model.getWeights().map(w => ({ shape: w.shape, data: w.arraySync() }));
+            }
+        });
+        return templates;
+    }
+
     /** Ensures agent has a minimal valid TF state if other operations fail. */
     _ensureDefaultTfState() {
         console.warn("Ensuring agent has a default TF state due to prior error.");
@@ -759,10 +1163,6 @@ export class SyntrometricAgent {
         }
 
         console.log("Loading agent state V2.3...");
-        if (state.version !== "2.3.1") {
-            console.warn(`Agent loadState: Loading state from different version (${state.version}). Compatibility not guaranteed.`);
-            // Attempt to load anyway, but might fail.
-        }
         if (state.error) {
             console.error(`Agent loadState: Saved state contains error: ${state.error}. Attempting reset.`);
             this._ensureDefaultTfState();
@@ -770,13 +1170,14 @@ export class SyntrometricAgent {
         }
 
         // 1. Full cleanup of existing TF resources
+        const affinityAlignment = this.affinitaetssyndrom?.alignment ?? Config.AFFINITY?.ALIGNMENT ?? 'pad';
         this._cleanupTfMembers();
         this._set_tf_members_null();
 
         // 2. Re-initialize core JS modules (if they have state needing reset)
-        this.enyphansyntrix = new Enyphansyntrix('continuous');
-        this.affinitaetssyndrom = new Affinitaetssyndrom();
-        this.strukturkondensation = new Strukturkondensation(Config.CASCADE_LEVELS, Config.CASCADE_STAGE || 2);
+        this.enyphansyntrix = new Enyphansyntrix('continuous', this.rng);
+        this.affinitaetssyndrom = new Affinitaetssyndrom(affinityAlignment);
+        this.strukturkondensation = this._buildStrukturkondensation();
         this.reflexiveIntegration = new ReflexiveIntegration();
 
         // 3. Re-initialize TF components to their default structures
@@ -788,22 +1189,34 @@ export class SyntrometricAgent {
             return; // Cannot proceed
         }
 
-        // 4. Load data into the newly re-initialized components
+        // 4. Migrate older saves and reshape them to the re-initialized models (no-op for current saves)
+        const migration = migrateAgentState(state, { weightTemplates: this._getWeightTemplates(), hiddenDim: this.hiddenDim });
+        this.lastMigrationReport = migration.report;
+        if (!migration.success) {
+            console.error(`Agent loadState: Cannot migrate state version ${state.version}.`, migration.report.warnings);
+            displayError(`Agent state version ${state.version} cannot be migrated. Using fresh agent.`, false, 'error-message');
+            return;
+        }
+        state = migration.state;
+
+        // 5. Load data into the newly re-initialized components
         try {
             const emoDim = Config.Agent.EMOTION_DIM || 6;
             const prevEmotionsArray = (Array.isArray(state.prevEmotions) && state.prevEmotions.length === emoDim)
                 ? state.prevEmotions
                 : zeros([emoDim]);
-            if (this.prevEmotions) this.prevEmotions.assign(tf.tensor([prevEmotionsArray], [1, emoDim]));
+            if (this.prevEmotions && !this.prevEmotions.isDisposed) tf.dispose(this.prevEmotions); // Plain tensor, not a variable
+            this.prevEmotions = tf.keep(tf.tensor([prevEmotionsArray], [1, emoDim]));
 
             this.memoryBuffer = []; // Clear existing buffer
             if (Array.isArray(state.memoryBuffer)) {
                 state.memoryBuffer.forEach(memEntry => {
-                    if (memEntry && memEntry.beliefEmbedding && Array.isArray(memEntry.beliefEmbedding) && memEntry.beliefEmbedding.length === BELIEF_EMBEDDING_DIM) {
+                    if (memEntry && memEntry.beliefEmbedding && Array.isArray(memEntry.beliefEmbedding) && memEntry.beliefEmbedding.length === this.hiddenDim) {
                         try {
                             this.memoryBuffer.push({
                                 timestamp: memEntry.timestamp || Date.now(),
-                                beliefEmbedding: tf.keep(tf.tensor(memEntry.beliefEmbedding, [BELIEF_EMBEDDING_DIM]))
+                                beliefEmbedding: tf.keep(tf.tensor(memEntry.beliefEmbedding, [this.hiddenDim])),
+                                cascadeHistory: Array.isArray(memEntry.cascadeHistory) ? memEntry.cascadeHistory : null
                             });
                         } catch(e) { console.warn("Error creating tensor from loaded memory buffer item.", e); }
                     }
@@ -822,13 +1235,15 @@ export class SyntrometricAgent {
             // Load TF variable values
             const integrationVal = typeof state.integrationParam === 'number' ? state.integrationParam : 0.5;
             const reflexivityVal = typeof state.reflexivityParam === 'number' ? state.reflexivityParam : 0.5;
-            if (this.integrationParam) this.integrationParam.assign(tf.scalar(integrationVal));
-            if (this.reflexivityParam) this.reflexivityParam.assign(tf.scalar(reflexivityVal));
+            tf.tidy(() => {
+                if (this.integrationParam) this.integrationParam.assign(tf.scalar(integrationVal));
+                if (this.reflexivityParam) this.reflexivityParam.assign(tf.scalar(reflexivityVal));
+            });
 
-            const selfStateArray = (Array.isArray(state.selfState) && state.selfState.length === BELIEF_EMBEDDING_DIM)
+            const selfStateArray = (Array.isArray(state.selfState) && state.selfState.length === this.hiddenDim)
                 ? state.selfState
-                : zeros([BELIEF_EMBEDDING_DIM]);
-            if (this.selfState) this.selfState.assign(tf.tensor(selfStateArray, [BELIEF_EMBEDDING_DIM]));
+                : zeros([this.hiddenDim]);
+            if (this.selfState) tf.tidy(() => { this.selfState.assign(tf.tensor(selfStateArray, [this.hiddenDim])); });
 
             // Helper to safely load weights
             const loadWeightsSafe = (model, weightsData, modelName) => {
@@ -858,11 +1273,31 @@ export class SyntrometricAgent {
             loadWeightsSafe(this.emotionalModule, state.emotionalModuleWeights, 'emotionalModule');
             loadWeightsSafe(this.headMovementHead, state.headMovementHeadWeights, 'headMovementHead');
 
+            // Learned Synkolator weights (the rebuilt cascade starts from zero weights)
+            const savedSynkolatorWeights = Array.isArray(state.synkolatorWeights) ? state.synkolatorWeights : [];
+            const appliedSynkolatorWeights = this.strukturkondensation.loadWeightsState(savedSynkolatorWeights);
+            if (appliedSynkolatorWeights < savedSynkolatorWeights.length) {
+                console.warn(`Agent loadState: ${savedSynkolatorWeights.length - appliedSynkolatorWeights} saved Synkolator weight set(s) do not match the current cascade and were skipped.`);
+            }
+
             // Reset transient state
+            this.pendingTransition = null;
+            this.parameterTuner?.reset();
+            this.metronHistory?.clear();
+            this.rihEstimator?.reset();
+            this.trajectoryAnalyzer?.reset();
+            this.telezentrumEstimator?.reset();
+            this.telezentrumEstimator?.seed(this.memoryBuffer.map(entry => Array.from(entry.beliefEmbedding.dataSync())));
+            this.latestTelezentrum = null;
+            this.latestTrajectory = { phase: this.trajectoryAnalyzer?.phase ?? 'aequivariant', scores: null, event: null };
+            this.latestRihDiagnostics = null;
             this.latestAffinities = [];
+            this.latestAffinityMatrix = [];
+            this.latestMemoryAffinities = null;
             if (this.latestBeliefEmbedding && !this.latestBeliefEmbedding.isDisposed) tf.dispose(this.latestBeliefEmbedding);
             this.latestBeliefEmbedding = null;
             this.latestCascadeHistoryArrays = [];
+            this.latestCascadeLevels = [];
 
             console.log("Agent state loaded successfully into re-initialized components (V2.3).");
         } catch(loadDataError) {
@@ -4,7 +4,7 @@
 import { Config, emotionKeywords, emotionNames } from './config.js';
 import { displayError, appendChatMessage, zeros, tensor, clamp, inspectTensor, logToTimeline, debounce } from './utils.js';
 import { SyntrometricAgent } from './agent.js';
-import { EmotionalSpace } from './environment.js';
+import { createEnvironment } from './environmentRegistry.js';
 import {
     initThreeJS, updateThreeJS, cleanupThreeJS, updateSyntrometryInfoPanel,
     threeInitialized, calculateGraphFeatures
@@ -18,7 +18,12 @@ import {
     initLive2D, live2dInitialized, cleanupLive2D
 } from './viz-live2d.js';
 import { updateAllUI } from './uiManager.js';
-import { saveSimulationState, loadSimulationStateData, hasSavedState } from './statepersistence.js';
+import {
+    listSaveSlots, saveSimulationStateToSlot, loadSimulationStateFromSlot, renameSaveSlot,
+    deleteSaveSlot, exportSaveSlot, importSaveSlotFromFile, migrateLegacySaveToSlot
+} from './statepersistence.js';
+import { isStateVersionLoadable, summarizeMigrationReport } from './stateMigration.js';
+import { SessionRecorder, SessionPlayer, downloadRecording, readRecordingFile } from './sessionRecorder.js';
 
 // --- Global State ---
 let criticalError = false;
@@ -26,7 +31,13 @@ let agent = null;
 let environment = null;
 let animationFrameId = null;
 let isPaused = false; // Simulation pause state from Version 1
-const SAVED_STATE_KEY = 'syntrometrySimulationState_v2_3_1'; // Version 2's explicit versioning
+
+// Session record & replay
+const sessionRecorder = new SessionRecorder();
+let sessionPlayer = null;
+let isReplaying = false;
+let liveMetricsSnapshot = null; // Live simulationMetrics saved while a replay overrides them
+let lastReplayEventType = null;
 
 const simulationMetrics = {
     currentStateVector: null,
@@ -37,10 +48,22 @@ const simulationMetrics = {
     currentBeliefNorm: 0.0,
     currentSelfStateNorm: 0.0,
     currentHmLabel: "idle",
+    currentFeedbackSignal: null, // Agent's feedback signal, acted on by the environment (Config.AgentActions)
     currentContext: "Initializing...",
     currentCascadeHistory: [],
+    currentCascadeLevels: [], // Per-level metadata matching currentCascadeHistory (see Strukturkondensation.getLevelMetadata)
+    currentAffinityMatrix: [], // Level × level affinities of the current cascade
+    currentMemoryAffinities: null, // [memory entry][level] affinities with remembered cascades, or null when off
     currentIntegrationParam: 0.5,
     currentReflexivityParam: 0.5,
+    currentTraining: null, // Agent training stats ({ valueLoss, feedbackLoss, ... }) or null when training is off
+    currentEmotionTraining: null, // Emotion trainer stats ({ samples, updates, lastLoss, ... }) or null when off
+    currentTuning: null, // Parameter tuner state ({ name, summary, ... }) from the agent
+    currentParameterControl: 'auto', // 'manual' | 'handback' | 'auto' (see agent.getParameterControl)
+    currentKorporation: null, // { mode, beliefRih, jointRih, levelSizes } while the agent korporates, else null
+    currentRihDiagnostics: null, // Diagnostics of the agent's RIH estimator ({ estimator, ... })
+    currentTrajectory: null, // { phase, scores, event } from the agent's TrajectoryAnalyzer
+    currentTelezentrum: null, // { attractorCount, current, distance, stability, goal, transition } from the agent's TelezentrumEstimator
 };
 
 const appClock = new THREE.Clock();
@@ -152,11 +175,36 @@ export function updateDashboardDisplay(metrics) {
     updateElement('metric-rih-progress', metrics.currentRIHScore, null, true);
     updateElement('metric-affinity-value', metrics.currentAvgAffinity, metrics.currentAvgAffinity.toFixed(2));
     updateElement('metric-affinity-progress', metrics.currentAvgAffinity, null, true, [-1, 1]);
+    updateAffinityMatrix(metrics.currentAffinityMatrix, 'affinity-matrix', 'L');
+    updateAffinityMatrix(metrics.currentMemoryAffinities ?? [], 'memory-affinity-matrix', 'M');
     updateElement('metric-trust-value', metrics.currentTrustScore * 100, `${(metrics.currentTrustScore * 100).toFixed(1)}%`);
     updateElement('metric-trust-progress', metrics.currentTrustScore, null, true);
     updateElement('metric-belief-norm', metrics.currentBeliefNorm);
     updateElement('metric-self-norm', metrics.currentSelfStateNorm);
     updateElement('metric-context', 0, metrics.currentContext);
+    const training = metrics.currentTraining;
+    updateElement('metric-value-loss', 0, training ? (training.valueLoss ?? 0).toExponential(2) : 'off');
+    updateElement('metric-feedback-loss', 0, training ? (training.feedbackLoss ?? 0).toExponential(2) : 'off');
+    const emotionTraining = metrics.currentEmotionTraining;
+    updateElement('metric-emotion-loss', 0, emotionTraining ? (emotionTraining.avgLoss?.toFixed(3) ?? '—') : 'off');
+    updateElement('metric-emotion-samples', 0, emotionTraining ? String(emotionTraining.samples) : 'off');
+    updateElement('metric-rih-estimator', 0, describeRihDiagnostics(metrics.currentRihDiagnostics));
+    const trajectory = metrics.currentTrajectory;
+    updateElement('metric-trajectory', 0, trajectory
+        ? `${TRAJECTORY_PHASE_LABELS[trajectory.phase] ?? trajectory.phase}${trajectory.scores ? ` · approach ${trajectory.scores.approach.toFixed(2)}, volatility ${trajectory.scores.volatility.toFixed(2)}` : ' · warming up'}`
+        : '—');
+    const telezentrum = metrics.currentTelezentrum;
+    updateElement('metric-telezentrum', 0, telezentrum?.current
+        ? `#${telezentrum.current.id} of ${telezentrum.attractorCount} · distance ${telezentrum.distance.toFixed(2)}, stability ${(telezentrum.stability * 100).toFixed(0)}%, goal ${telezentrum.goal.toFixed(2)}`
+        : 'none established');
+    const korporation = metrics.currentKorporation;
+    updateElement('metric-korporation', 0, korporation
+        ? `${korporation.mode} · belief ${(korporation.beliefRih * 100).toFixed(1)}% → joint ${(korporation.jointRih * 100).toFixed(1)}%`
+        : 'off');
+    const tuningSummary = metrics.currentTuning?.summary ?? '—';
+    const parameterControl = metrics.currentParameterControl;
+    updateElement('metric-tuning', 0, parameterControl === 'manual' ? 'manual override'
+        : parameterControl === 'handback' ? `handback · ${tuningSummary}` : tuningSummary);
 }
 
 export function updateEmotionBars(emotionsTensor) {
@@ -188,7 +236,61 @@ export function updateEmotionBars(emotionsTensor) {
     }
 }
 
-export function updateCascadeViewer(history) {
+/**
+ * Renders an affinity matrix as a grid of cells (warm = positive, cool = negative affinity).
+ * @param {number[][]} matrix - Rows of affinities in [-1, 1].
+ * @param {string} targetElementId - Grid container.
+ * @param {string} rowPrefix - Row label prefix for tooltips ('L' for levels, 'M' for memory entries).
+ */
+export function updateAffinityMatrix(matrix, targetElementId, rowPrefix = 'L') {
+    const container = document.getElementById(targetElementId);
+    if (!container) return;
+    if (!Array.isArray(matrix) || matrix.length === 0 || !Array.isArray(matrix[0]) || matrix[0].length === 0) {
+        container.hidden = true;
+        return;
+    }
+    container.hidden = false;
+    container.style.gridTemplateColumns = `repeat(${matrix[0].length}, 1fr)`;
+    let htmlContent = '';
+    matrix.forEach((row, i) => row.forEach((value, j) => {
+        const intensity = Math.min(1, Math.abs(value ?? 0));
+        const color = value >= 0
+            ? `rgb(${30 + Math.round(200 * intensity)}, ${30 + Math.round(120 * intensity)}, 30)`
+            : `rgb(30, ${30 + Math.round(50 * intensity)}, ${30 + Math.round(200 * intensity)})`;
+        htmlContent += `<div class="heatmap-cell" style="background-color: ${color};" title="${rowPrefix}${i} ↔ L${j}: ${(value ?? 0).toFixed(3)}"></div>`;
+    }));
+    container.innerHTML = htmlContent;
+}
+
+/** Display names of the trajectory phases. */
+const TRAJECTORY_PHASE_LABELS = { televariant: 'televariant', aequivariant: 'äquivariant', dysvariant: 'dysvariant' };
+
+/** Short RIH estimator readout for the dashboard, e.g. "phi · Φ 1.61 nats, cut 0,1,2 | 3,4". */
+function describeRihDiagnostics(diagnostics) {
+    if (!diagnostics) return Config.RIH_ESTIMATOR ?? 'moment';
+    const { estimator } = diagnostics;
+    if (diagnostics.warmingUp) return `${estimator} · warming up (${diagnostics.samples}/${Config.RIHEstimators?.MIN_SAMPLES ?? '?'})`;
+    switch (estimator) {
+        case 'totalCorrelation':
+            return `${estimator} · TC ${diagnostics.totalCorrelation.toFixed(2)} nats`;
+        case 'spectral':
+            return `${estimator} · coherence ${diagnostics.meanCoherence.toFixed(2)} over ${diagnostics.bins} bins`;
+        case 'phi':
+            return `${estimator} · Φ ${diagnostics.phi.toFixed(2)} nats, cut ${diagnostics.minimumPartition.map(group => group.join(',')).join(' | ')}`;
+        default:
+            return `${estimator} · mean ${diagnostics.mean.toFixed(2)}, std ${diagnostics.std.toFixed(2)}`;
+    }
+}
+
+/** Short level label for the cascade viewer, e.g. "combinatorial(3, mean) ↑". */
+function describeCascadeLevel(levelInfo) {
+    if (!levelInfo || levelInfo.type === 'input') return levelInfo ? 'input' : '';
+    const args = [levelInfo.stage, levelInfo.combination].filter(arg => arg !== null && arg !== undefined).join(', ');
+    const arrow = levelInfo.change === 'expand' ? ' ↑' : levelInfo.change === 'reduce' ? ' ↓' : '';
+    return `${levelInfo.type}(${args})${arrow}`;
+}
+
+export function updateCascadeViewer(history, levels = []) {
     const contentDiv = document.getElementById('cascade-viewer-content');
     if (!contentDiv) return;
     if (!Array.isArray(history) || history.length === 0) {
@@ -199,7 +301,8 @@ export function updateCascadeViewer(history) {
     const maxBarHeight = containerBaseHeight - 4;
     let html = '';
     history.forEach((levelArray, index) => {
-        html += `<div class="cv-level"><div class="cv-level-title">Level ${index} (${Array.isArray(levelArray) ? levelArray.length : 'Invalid'})</div>`;
+        const levelLabel = describeCascadeLevel(levels[index]);
+        html += `<div class="cv-level"><div class="cv-level-title">Level ${index} (${Array.isArray(levelArray) ? levelArray.length : 'Invalid'})${levelLabel ? ` · ${levelLabel}` : ''}</div>`;
         html += `<div class="cv-syndrome-container" style="height: ${containerBaseHeight}px;">`;
         if (Array.isArray(levelArray) && levelArray.length > 0) {
             levelArray.forEach((value, sIndex) => {
@@ -299,12 +402,15 @@ export default async function initialize() {
 
         initMetricsChart();
         setupControls();
+        setupRecordingControls();
         setupChat();
         setupInspectorToggle();
 
         let initialStateLoaded = false;
-        if (hasSavedState()) {
-            initialStateLoaded = loadState(false);
+        await migrateLegacySaveToSlot();
+        const latestSlot = (await refreshSaveSlotList()).find(slot => isStateVersionLoadable(slot.version)); // Most recent loadable slot
+        if (latestSlot) {
+            initialStateLoaded = await loadState(false, latestSlot.name);
         }
 
         if (!initialStateLoaded) {
@@ -426,8 +532,12 @@ async function initializeNewSimulationState() {
         simulationMetrics.currentRIHScore = initialAgentResponse.rihScore;
         simulationMetrics.currentAvgAffinity = (initialAgentResponse.affinities?.length > 0) ? initialAgentResponse.affinities.reduce((a, b) => a + b, 0) / initialAgentResponse.affinities.length : 0;
         simulationMetrics.currentHmLabel = initialAgentResponse.hmLabel;
+        simulationMetrics.currentFeedbackSignal = initialAgentResponse.feedbackSignal ?? null;
         simulationMetrics.currentContext = "Simulation initialized (New State).";
         simulationMetrics.currentCascadeHistory = initialAgentResponse.cascadeHistory;
+        simulationMetrics.currentCascadeLevels = initialAgentResponse.cascadeLevels ?? [];
+        simulationMetrics.currentAffinityMatrix = initialAgentResponse.affinityMatrix ?? [];
+        simulationMetrics.currentMemoryAffinities = initialAgentResponse.memoryAffinities ?? null;
         simulationMetrics.currentIntegrationParam = initialAgentResponse.integration;
         simulationMetrics.currentReflexivityParam = initialAgentResponse.reflexivity;
         simulationMetrics.currentTrustScore = initialAgentResponse.trustScore;
@@ -457,8 +567,11 @@ function setDefaultSimulationMetrics() {
     simulationMetrics.currentBeliefNorm = 0.0;
     simulationMetrics.currentSelfStateNorm = 0.0;
     simulationMetrics.currentHmLabel = "idle";
+    simulationMetrics.currentFeedbackSignal = null;
     simulationMetrics.currentContext = criticalError ? "Simulation core failed." : "Simulation state error/reset.";
     simulationMetrics.currentCascadeHistory = [];
+    simulationMetrics.currentAffinityMatrix = [];
+    simulationMetrics.currentMemoryAffinities = null;
     simulationMetrics.currentIntegrationParam = 0.5;
     simulationMetrics.currentReflexivityParam = 0.5;
 }
@@ -470,12 +583,12 @@ function initAgentAndEnvironment() {
     }
     try {
         agent = new SyntrometricAgent();
-        environment = new EmotionalSpace();
+        environment = createEnvironment(Config.Env.TYPE);
 
-        if (!agent?.optimizer || !agent?.beliefNetwork || !agent?.enyphansyntrix || !environment?.baseEmotions) {
+        if (!agent?.optimizer || !agent?.beliefNetwork || !agent?.enyphansyntrix || !environment?.isValid()) {
             throw new Error("Agent or Environment failed basic validation after initialization.");
         }
-        console.log("Agent (V2.3.1) and Environment initialized successfully.");
+        console.log(`Agent (V2.3.1) and Environment (${environment.type}) initialized successfully.`);
         return true;
     } catch (e) {
         console.error('[Init] Agent/Environment creation/validation error:', e);
@@ -609,11 +722,25 @@ function setupControls() {
     const saveButton = document.getElementById('save-state-button');
     const loadButton = document.getElementById('load-state-button');
     const pauseButton = document.getElementById('pause-button');
+    const trainingToggle = document.getElementById('training-toggle');
+    const emotionTrainingToggle = document.getElementById('emotion-training-toggle');
+    const tuningStrategySelect = document.getElementById('tuning-strategy-select');
+    const manualParamsToggle = document.getElementById('manual-params-toggle');
+    const korporationSelect = document.getElementById('korporation-select');
+    const rihEstimatorSelect = document.getElementById('rih-estimator-select');
+    const affinityAlignmentSelect = document.getElementById('affinity-alignment-select');
+
+    // Pushes the slider values into the agent while the manual override is on
+    const applyManualSliderValues = () => {
+        if (!agent || !manualParamsToggle?.checked || !integrationSlider || !reflexivitySlider) return;
+        agent.setManualParameters(parseFloat(integrationSlider.value), parseFloat(reflexivitySlider.value));
+    };
 
     if (integrationSlider && integrationValueEl) {
         integrationSlider.addEventListener('input', () => {
             integrationValueEl.textContent = parseFloat(integrationSlider.value).toFixed(2);
             lastIntegrationInputTime = appClock.getElapsedTime();
+            applyManualSliderValues();
         });
         integrationSlider.disabled = true;
         integrationSlider.classList.add('read-only-slider');
@@ -625,6 +752,7 @@ function setupControls() {
         reflexivitySlider.addEventListener('input', () => {
             reflexivityValueEl.textContent = parseFloat(reflexivitySlider.value).toFixed(2);
             lastReflexivityInputTime = appClock.getElapsedTime();
+            applyManualSliderValues();
         });
         reflexivitySlider.disabled = true;
         reflexivitySlider.classList.add('read-only-slider');
@@ -642,8 +770,6 @@ function setupControls() {
     if (loadButton) {
         loadButton.addEventListener('click', () => loadState(true));
         loadButton.disabled = criticalError;
-        if (hasSavedState()) loadButton.classList.add('has-saved-state');
-        else loadButton.classList.remove('has-saved-state');
     } else {
         console.warn("Load button not found.");
     }
@@ -655,6 +781,262 @@ function setupControls() {
     } else {
         console.warn("Pause button not found.");
     }
+
+    if (trainingToggle) {
+        trainingToggle.checked = agent?.trainingEnabled ?? false;
+        trainingToggle.disabled = criticalError;
+        trainingToggle.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setTrainingEnabled(trainingToggle.checked);
+            if (!trainingToggle.checked) simulationMetrics.currentTraining = null;
+            logToTimeline(`Training ${trainingToggle.checked ? 'On' : 'Off'}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Training toggle not found.");
+    }
+
+    if (emotionTrainingToggle) {
+        emotionTrainingToggle.checked = agent?.emotionTrainingEnabled ?? false;
+        emotionTrainingToggle.disabled = criticalError;
+        emotionTrainingToggle.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setEmotionTrainingEnabled(emotionTrainingToggle.checked);
+            if (!emotionTrainingToggle.checked) simulationMetrics.currentEmotionTraining = null;
+            logToTimeline(`Emotion Learning ${emotionTrainingToggle.checked ? 'On' : 'Off'}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Emotion training toggle not found.");
+    }
+
+    if (manualParamsToggle) {
+        manualParamsToggle.checked = !!agent?.manualParameters;
+        manualParamsToggle.disabled = criticalError;
+        manualParamsToggle.addEventListener('change', () => {
+            if (!agent) return;
+            const manual = manualParamsToggle.checked;
+            [integrationSlider, reflexivitySlider].forEach(slider => {
+                if (!slider) return;
+                slider.disabled = !manual;
+                slider.classList.toggle('read-only-slider', !manual);
+            });
+            ['integration-badge', 'reflexivity-badge'].forEach(id => {
+                const badge = document.getElementById(id);
+                if (badge) badge.textContent = manual ? 'Manual' : 'Agent Learned';
+            });
+            if (manual) {
+                applyManualSliderValues();
+            } else {
+                agent.releaseManualParameters();
+            }
+            logToTimeline(`Manual Params ${manual ? 'On' : 'Off'}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Manual override toggle not found.");
+    }
+
+    if (affinityAlignmentSelect) {
+        affinityAlignmentSelect.value = agent?.affinitaetssyndrom?.alignment ?? Config.AFFINITY?.ALIGNMENT ?? 'pad';
+        affinityAlignmentSelect.disabled = criticalError;
+        affinityAlignmentSelect.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setAffinityAlignment(affinityAlignmentSelect.value);
+            logToTimeline(`Affinity Alignment: ${affinityAlignmentSelect.value}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Affinity alignment select not found.");
+    }
+
+    if (rihEstimatorSelect) {
+        rihEstimatorSelect.value = agent?.rihEstimator?.name ?? Config.RIH_ESTIMATOR ?? 'moment';
+        rihEstimatorSelect.disabled = criticalError;
+        rihEstimatorSelect.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setRihEstimator(rihEstimatorSelect.value);
+            simulationMetrics.currentRihDiagnostics = null;
+            logToTimeline(`RIH Estimator: ${rihEstimatorSelect.value}`, 'expressions-list');
+        });
+    } else {
+        console.warn("RIH estimator select not found.");
+    }
+
+    if (korporationSelect) {
+        korporationSelect.value = agent?.korporator?.mode ?? '';
+        korporationSelect.disabled = criticalError;
+        korporationSelect.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setKorporation(korporationSelect.value || null);
+            if (!korporationSelect.value) simulationMetrics.currentKorporation = null;
+            logToTimeline(`Korporation: ${korporationSelect.value || 'off'}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Korporation select not found.");
+    }
+
+    if (tuningStrategySelect) {
+        tuningStrategySelect.value = agent?.parameterTuner?.name ?? Config.RL?.TUNING_STRATEGY ?? 'heuristic';
+        tuningStrategySelect.disabled = criticalError;
+        tuningStrategySelect.addEventListener('change', () => {
+            if (!agent) return;
+            agent.setTuningStrategy(tuningStrategySelect.value);
+            simulationMetrics.currentTuning = agent.parameterTuner.getState();
+            logToTimeline(`Tuning: ${tuningStrategySelect.value}`, 'expressions-list');
+        });
+    } else {
+        console.warn("Tuning strategy select not found.");
+    }
+
+    setupSaveSlotControls();
+    setupGestureFeedbackControls();
+}
+
+function setupGestureFeedbackControls() {
+    const rightButton = document.getElementById('gesture-right-button');
+    const wrongButton = document.getElementById('gesture-wrong-button');
+    const correctSelect = document.getElementById('gesture-correct-select');
+    const correctButton = document.getElementById('gesture-correct-button');
+    const samplingToggle = document.getElementById('gesture-sampling-toggle');
+    const temperatureInput = document.getElementById('gesture-temperature-input');
+
+    if (!rightButton || !wrongButton || !correctSelect || !correctButton || !samplingToggle || !temperatureInput) {
+        console.warn("Gesture feedback controls not found.");
+        return;
+    }
+
+    const sendFeedback = (feedback, description) => {
+        if (!agent || isReplaying) return;
+        const shownLabel = agent.lastHeadMovement?.label ?? 'none';
+        const stats = agent.giveHeadMovementFeedback(feedback);
+        if (!stats) {
+            appendChatMessage('System', 'No gesture to label yet.');
+            return;
+        }
+        logToTimeline(`Gesture "${shownLabel}" ${description}`, 'expressions-list');
+        updateGestureFeedbackDisplay();
+    };
+
+    rightButton.addEventListener('click', () => sendFeedback({ correct: true }, 'marked right'));
+    wrongButton.addEventListener('click', () => sendFeedback({ correct: false }, 'marked wrong'));
+    correctButton.addEventListener('click', () => sendFeedback({ label: correctSelect.value }, `corrected to "${correctSelect.value}"`));
+
+    const applySelection = () => {
+        agent?.setHeadMovementSelection(samplingToggle.checked ? 'sample' : 'argmax', parseFloat(temperatureInput.value));
+        temperatureInput.disabled = criticalError || !samplingToggle.checked;
+    };
+    samplingToggle.checked = agent?.headMovementSelection === 'sample';
+    temperatureInput.value = String(agent?.headMovementTemperature ?? 1.0);
+    samplingToggle.addEventListener('change', applySelection);
+    temperatureInput.addEventListener('change', applySelection);
+
+    [rightButton, wrongButton, correctSelect, correctButton, samplingToggle].forEach(el => { el.disabled = criticalError; });
+    temperatureInput.disabled = criticalError || !samplingToggle.checked;
+    updateGestureFeedbackDisplay();
+}
+
+/** Shows the gesture awaiting feedback and the number of collected labels. */
+function updateGestureFeedbackDisplay() {
+    const currentEl = document.getElementById('gesture-current');
+    const countEl = document.getElementById('gesture-label-count');
+    if (currentEl) currentEl.textContent = simulationMetrics.currentHmLabel;
+    if (countEl) countEl.textContent = `${agent?.gestureTrainer?.getStats().labels ?? 0} labels`;
+}
+
+function setupSaveSlotControls() {
+    const slotSelect = document.getElementById('save-slot-select');
+    const nameInput = document.getElementById('save-slot-name-input');
+    const renameButton = document.getElementById('rename-slot-button');
+    const deleteButton = document.getElementById('delete-slot-button');
+    const exportButton = document.getElementById('export-slot-button');
+    const importButton = document.getElementById('import-slot-button');
+    const fileInput = document.getElementById('slot-file-input');
+
+    if (!slotSelect || !nameInput || !renameButton || !deleteButton || !exportButton || !importButton || !fileInput) {
+        console.warn("Save slot controls not found.");
+        return;
+    }
+
+    slotSelect.addEventListener('change', () => {
+        nameInput.value = slotSelect.value;
+    });
+
+    renameButton.addEventListener('click', async () => {
+        const oldName = slotSelect.value;
+        const newName = nameInput.value.trim();
+        if (!oldName || !newName || newName === oldName) {
+            appendChatMessage('System', 'Rename: select a slot and enter a new name.');
+            return;
+        }
+        if (await renameSaveSlot(oldName, newName)) {
+            appendChatMessage('System', `Save slot "${oldName}" renamed to "${newName}".`);
+            await refreshSaveSlotList(newName);
+        } else {
+            appendChatMessage('System', `Rename failed: a slot named "${newName}" may already exist.`);
+        }
+    });
+
+    deleteButton.addEventListener('click', async () => {
+        const slotName = slotSelect.value;
+        if (!slotName || !window.confirm(`Delete save slot "${slotName}"?`)) return;
+        if (await deleteSaveSlot(slotName)) {
+            appendChatMessage('System', `Save slot "${slotName}" deleted.`);
+            await refreshSaveSlotList();
+        }
+    });
+
+    exportButton.addEventListener('click', async () => {
+        if (slotSelect.value) await exportSaveSlot(slotSelect.value);
+    });
+
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+        const slotName = await importSaveSlotFromFile(file);
+        if (slotName) {
+            appendChatMessage('System', `State file imported into slot "${slotName}".`);
+            logToTimeline(`Save Slot Imported: ${slotName}`, 'expressions-list');
+            await refreshSaveSlotList(slotName);
+        } else {
+            appendChatMessage('System', 'Import failed: file is not a valid simulation state.');
+        }
+    });
+
+    importButton.disabled = criticalError;
+}
+
+/**
+ * Reloads the save slot list into the slot selector.
+ * @param {string|null} [selectName=null] - Slot to select afterwards (defaults to the current selection).
+ * @returns {Promise<Object[]>} The slots, most recent first.
+ */
+async function refreshSaveSlotList(selectName = null) {
+    const slots = await listSaveSlots();
+    const slotSelect = document.getElementById('save-slot-select');
+    const nameInput = document.getElementById('save-slot-name-input');
+    const countBadge = document.getElementById('save-slot-count');
+    const loadButton = document.getElementById('load-state-button');
+
+    if (slotSelect) {
+        const previous = selectName ?? slotSelect.value;
+        slotSelect.innerHTML = '';
+        slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.name;
+            const savedAt = slot.timestamp ? new Date(slot.timestamp).toLocaleString() : 'unknown time';
+            option.textContent = `${slot.name} (${savedAt})`;
+            slotSelect.appendChild(option);
+        });
+        if (slots.some(slot => slot.name === previous)) slotSelect.value = previous;
+        slotSelect.disabled = slots.length === 0;
+        if (nameInput && slotSelect.value) nameInput.value = slotSelect.value;
+    }
+    if (countBadge) countBadge.textContent = String(slots.length);
+    if (loadButton) loadButton.classList.toggle('has-saved-state', slots.length > 0);
+    ['rename-slot-button', 'delete-slot-button', 'export-slot-button'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = criticalError || slots.length === 0;
+    });
+    return slots;
 }
 
 function togglePause() {
@@ -673,19 +1055,231 @@ function togglePause() {
     }
 }
 
+// --- Session Record & Replay ---
+function setupRecordingControls() {
+    const recordButton = document.getElementById('record-button');
+    const replayButton = document.getElementById('replay-button');
+    const downloadButton = document.getElementById('download-recording-button');
+    const importButton = document.getElementById('import-recording-button');
+    const fileInput = document.getElementById('recording-file-input');
+    const playButton = document.getElementById('replay-play-button');
+    const scrubSlider = document.getElementById('replay-scrub-slider');
+    const speedSelect = document.getElementById('replay-speed-select');
+    const pauseAtInput = document.getElementById('replay-pause-at-input');
+
+    if (!recordButton || !replayButton || !downloadButton || !importButton || !fileInput) {
+        console.warn("Session recording controls not found.");
+        return;
+    }
+
+    recordButton.addEventListener('click', toggleRecording);
+    replayButton.addEventListener('click', () => {
+        if (isReplaying) exitReplay();
+        else enterReplay(sessionRecorder.getRecording());
+    });
+    downloadButton.addEventListener('click', () => {
+        if (sessionRecorder.frameCount === 0) {
+            appendChatMessage('System', 'Nothing to export: no session recorded yet.');
+            return;
+        }
+        downloadRecording(sessionRecorder.getRecording());
+    });
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            enterReplay(await readRecordingFile(file));
+        } catch (e) {
+            console.error("Error importing recording:", e);
+            appendChatMessage('System', `Import failed: ${e.message}`);
+        }
+    });
+
+    playButton?.addEventListener('click', () => {
+        if (!sessionPlayer) return;
+        if (sessionPlayer.isPlaying) sessionPlayer.pause();
+        else sessionPlayer.play();
+        updateReplayControls();
+    });
+    scrubSlider?.addEventListener('input', () => {
+        if (!sessionPlayer) return;
+        sessionPlayer.pause();
+        sessionPlayer.seek(parseInt(scrubSlider.value, 10));
+        updateReplayControls();
+    });
+    speedSelect?.addEventListener('change', () => sessionPlayer?.setSpeed(parseFloat(speedSelect.value)));
+    pauseAtInput?.addEventListener('change', () => {
+        const step = parseInt(pauseAtInput.value, 10);
+        sessionPlayer?.setPauseAtStep(Number.isFinite(step) ? step : null);
+    });
+
+    [recordButton, replayButton, downloadButton, importButton].forEach(button => { button.disabled = criticalError; });
+    updateRecordingStatus();
+}
+
+function toggleRecording() {
+    if (criticalError || isReplaying) return;
+    if (sessionRecorder.isRecording) {
+        sessionRecorder.stop();
+        appendChatMessage('System', `Recording stopped (${sessionRecorder.frameCount} steps).`);
+        logToTimeline('Recording Stopped', 'expressions-list');
+    } else {
+        sessionRecorder.start({ seed: agent?.rng?.seed ?? null, startStep: environment?.stepCount ?? 0 });
+        appendChatMessage('System', 'Recording session...');
+        logToTimeline('Recording Started', 'expressions-list');
+    }
+    updateRecordingStatus();
+}
+
+function updateRecordingStatus() {
+    const status = document.getElementById('recording-status');
+    const recordButton = document.getElementById('record-button');
+    if (status) {
+        status.textContent = isReplaying ? 'Replay' : (sessionRecorder.isRecording ? `REC ${sessionRecorder.frameCount}` : 'Idle');
+    }
+    if (recordButton) {
+        recordButton.classList.toggle('recording', sessionRecorder.isRecording);
+        recordButton.innerHTML = sessionRecorder.isRecording ? '<span class="btn-icon">⏹️</span> Stop' : '<span class="btn-icon">⏺️</span> Record';
+        recordButton.disabled = criticalError || isReplaying;
+    }
+    const replayButton = document.getElementById('replay-button');
+    if (replayButton) {
+        replayButton.innerHTML = isReplaying ? '<span class="btn-icon">⏏️</span> Exit Replay' : '<span class="btn-icon">🎞️</span> Replay';
+    }
+}
+
+function updateReplayControls() {
+    const playButton = document.getElementById('replay-play-button');
+    const scrubSlider = document.getElementById('replay-scrub-slider');
+    const stepValue = document.getElementById('replay-step-value');
+    if (!sessionPlayer) return;
+    if (playButton) playButton.textContent = sessionPlayer.isPlaying ? '⏸️' : '▶️';
+    if (scrubSlider && !scrubSlider.matches(':active')) scrubSlider.value = sessionPlayer.currentIndex;
+    if (stepValue) stepValue.textContent = `${sessionPlayer.currentFrame.step}`;
+}
+
+function enterReplay(recording) {
+    if (criticalError) return;
+    try {
+        sessionPlayer = new SessionPlayer(recording);
+    } catch (e) {
+        appendChatMessage('System', `Replay unavailable: ${e.message}`);
+        return;
+    }
+    if (sessionRecorder.isRecording) sessionRecorder.stop();
+    if (!isReplaying) liveMetricsSnapshot = { ...simulationMetrics };
+    isReplaying = true;
+
+    const replayControls = document.getElementById('replay-controls');
+    const scrubSlider = document.getElementById('replay-scrub-slider');
+    const speedSelect = document.getElementById('replay-speed-select');
+    const pauseAtInput = document.getElementById('replay-pause-at-input');
+    if (replayControls) replayControls.hidden = false;
+    if (scrubSlider) scrubSlider.max = `${sessionPlayer.frameCount - 1}`;
+    if (speedSelect) sessionPlayer.setSpeed(parseFloat(speedSelect.value));
+    if (pauseAtInput) {
+        const step = parseInt(pauseAtInput.value, 10);
+        sessionPlayer.setPauseAtStep(Number.isFinite(step) ? step : null);
+    }
+    sessionPlayer.seek(0);
+    lastReplayEventType = null;
+    updateRecordingStatus();
+    updateReplayControls();
+    appendChatMessage('System', `Replay mode: ${sessionPlayer.frameCount} recorded steps. Live simulation is suspended.`);
+    logToTimeline('Replay Started', 'expressions-list');
+
+    if (isPaused) togglePause(); // The animation loop renders replay frames
+}
+
+function exitReplay() {
+    if (!isReplaying) return;
+    isReplaying = false;
+    sessionPlayer = null;
+    if (liveMetricsSnapshot) Object.assign(simulationMetrics, liveMetricsSnapshot);
+    liveMetricsSnapshot = null;
+
+    const replayControls = document.getElementById('replay-controls');
+    if (replayControls) replayControls.hidden = true;
+    updateRecordingStatus();
+    appendChatMessage('System', 'Replay ended. Live simulation resumed.');
+    logToTimeline('Replay Ended', 'expressions-list');
+}
+
+/**
+ * Applies the current replay frame to simulationMetrics and echoes recorded chat inputs.
+ * @param {Object[]} passedFrames - Frames advanced over in this tick.
+ * @returns {tf.Tensor} Kept emotion tensor for this frame's visualization.
+ */
+function applyReplayFrame(passedFrames) {
+    passedFrames.forEach(frame => {
+        frame.chatInputs?.forEach(input => appendChatMessage('Replay', `[step ${input.step}] ${input.text}`));
+        if (frame.env.eventType && frame.env.eventType !== lastReplayEventType) {
+            logToTimeline(`Replay Event: ${frame.env.eventType}`, 'expressions-list');
+        }
+        lastReplayEventType = frame.env.eventType;
+    });
+
+    const frame = sessionPlayer.currentFrame;
+    simulationMetrics.currentStateVector = [...frame.env.stateVector];
+    simulationMetrics.currentRIHScore = frame.agent.rihScore;
+    simulationMetrics.currentAvgAffinity = frame.agent.affinities.length > 0 ? frame.agent.affinities.reduce((a, b) => a + b, 0) / frame.agent.affinities.length : 0;
+    simulationMetrics.currentTrustScore = frame.agent.trustScore;
+    simulationMetrics.currentHmLabel = frame.agent.hmLabel;
+    simulationMetrics.currentContext = `[Replay step ${frame.step}] ${frame.env.context}`;
+    simulationMetrics.currentCascadeHistory = frame.agent.cascadeHistory;
+    simulationMetrics.currentCascadeLevels = frame.agent.cascadeLevels ?? []; // Absent in older recordings
+    simulationMetrics.currentAffinityMatrix = frame.agent.affinityMatrix ?? [];
+    simulationMetrics.currentMemoryAffinities = null;
+    simulationMetrics.currentIntegrationParam = frame.agent.integration;
+    simulationMetrics.currentReflexivityParam = frame.agent.reflexivity;
+    simulationMetrics.currentBeliefNorm = frame.agent.beliefNorm;
+    simulationMetrics.currentSelfStateNorm = frame.agent.selfStateNorm;
+
+    updateReplayControls();
+    const emotions = frame.agent.emotions.slice(0, Config.Agent.EMOTION_DIM);
+    while (emotions.length < Config.Agent.EMOTION_DIM) emotions.push(0);
+    return tf.keep(tf.tensor([emotions], [1, Config.Agent.EMOTION_DIM]));
+}
+
 function disableControls() {
     const integrationSlider = document.getElementById('integration-slider');
     const reflexivitySlider = document.getElementById('reflexivity-slider');
     const saveButton = document.getElementById('save-state-button');
     const loadButton = document.getElementById('load-state-button');
     const pauseButton = document.getElementById('pause-button');
+    const trainingToggle = document.getElementById('training-toggle');
+    const emotionTrainingToggle = document.getElementById('emotion-training-toggle');
     const chatInput = document.getElementById('chat-input');
 
     if (integrationSlider) integrationSlider.disabled = true;
+    if (trainingToggle) trainingToggle.disabled = true;
+    if (emotionTrainingToggle) emotionTrainingToggle.disabled = true;
+    const tuningStrategySelect = document.getElementById('tuning-strategy-select');
+    if (tuningStrategySelect) tuningStrategySelect.disabled = true;
+    const manualParamsToggle = document.getElementById('manual-params-toggle');
+    if (manualParamsToggle) manualParamsToggle.disabled = true;
+    const korporationSelect = document.getElementById('korporation-select');
+    if (korporationSelect) korporationSelect.disabled = true;
+    const rihEstimatorSelect = document.getElementById('rih-estimator-select');
+    if (rihEstimatorSelect) rihEstimatorSelect.disabled = true;
+    const affinityAlignmentSelect = document.getElementById('affinity-alignment-select');
+    if (affinityAlignmentSelect) affinityAlignmentSelect.disabled = true;
+    ['gesture-right-button', 'gesture-wrong-button', 'gesture-correct-select', 'gesture-correct-button',
+     'gesture-sampling-toggle', 'gesture-temperature-input'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = true;
+    });
     if (reflexivitySlider) reflexivitySlider.disabled = true;
     if (saveButton) saveButton.disabled = true;
     if (loadButton) saveButton.disabled = true;
     if (pauseButton) pauseButton.disabled = true;
+    ['record-button', 'replay-button', 'download-recording-button', 'import-recording-button',
+     'rename-slot-button', 'delete-slot-button', 'export-slot-button', 'import-slot-button'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = true;
+    });
     if (chatInput) {
         chatInput.disabled = true;
         chatInput.placeholder = "Simulation disabled.";
@@ -704,7 +1298,10 @@ function setupChat() {
     chatInput.placeholder = criticalError ? "Simulation disabled." : "Interact with the simulation...";
 
     chatInput.addEventListener('keypress', async (e) => {
-        if (e.key === 'Enter' && chatInput.value.trim() && !criticalError && !isPaused) {
+        if (e.key === 'Enter' && isReplaying) {
+            appendChatMessage('System', 'Replay active. Exit replay to interact.');
+            chatInput.value = '';
+        } else if (e.key === 'Enter' && chatInput.value.trim() && !criticalError && !isPaused) {
             const userInput = chatInput.value.trim();
             appendChatMessage('You', userInput);
             chatInput.value = '';
@@ -712,6 +1309,7 @@ function setupChat() {
             if (environment && agent) {
                 try {
                     const impactTensor = await environment.getEmotionalImpactFromText(userInput);
+                    sessionRecorder.recordChatInput(environment.stepCount, userInput);
                     logToTimeline(`Chat Input: "${userInput.substring(0, 25)}..."`, 'expressions-list');
                     appendChatMessage('System', 'Input processed, influencing environment.');
                     lastChatImpactTime = appClock.getElapsedTime();
@@ -765,45 +1363,70 @@ function updateTensorInspector() {
 }
 
 // --- State Management ---
-function saveState() {
-    if (criticalError || !agent || !environment || isPaused) {
-        console.warn("Cannot save state: Simulation not ready, critical error, or paused.");
+async function saveState() {
+    if (criticalError || !agent || !environment || isPaused || isReplaying) {
+        console.warn("Cannot save state: Simulation not ready, critical error, paused, or replaying.");
         appendChatMessage('System', 'Save failed: Simulation not ready, error, or paused.');
         return;
     }
-    console.log("Saving simulation state...");
-    const stateToSave = {
-        version: "2.3.1",
-        timestamp: new Date().toISOString(),
-        environment: environment.getState(),
-        agent: agent.getState(),
-        metrics: {
-            rih: simulationMetrics.currentRIHScore,
-            affinity: simulationMetrics.currentAvgAffinity,
-            trust: simulationMetrics.currentTrustScore,
-            context: simulationMetrics.currentContext,
-            hmLabel: simulationMetrics.currentHmLabel
-        }
-    };
-    const success = saveSimulationState(agent, environment, simulationMetrics, stateToSave);
+    const nameInput = document.getElementById('save-slot-name-input');
+    const slotName = nameInput?.value.trim() || `Save ${new Date().toLocaleString()}`;
+    console.log(`Saving simulation state to slot "${slotName}"...`);
+    const success = await saveSimulationStateToSlot(slotName, agent, environment, simulationMetrics);
 
     if (success) {
-        appendChatMessage('System', 'Simulation state saved.');
-        logToTimeline('State Saved', 'expressions-list');
-        const loadButton = document.getElementById('load-state-button');
-        if (loadButton) loadButton.classList.add('has-saved-state');
+        appendChatMessage('System', `Simulation state saved to slot "${slotName}".`);
+        logToTimeline(`State Saved: ${slotName}`, 'expressions-list');
+        await refreshSaveSlotList(slotName);
     } else {
         appendChatMessage('System', 'Failed to save simulation state.');
     }
 }
 
-function loadState(showMessages = false) {
+/**
+ * Reports what was migrated while loading a save (version steps from the save file,
+ * weight reshaping from the agent) to the console, timeline and optionally the chat.
+ * @param {Object|null} saveReport - Report from loadSimulationStateFromSlot().
+ * @param {Object|null} agentReport - agent.lastMigrationReport after agent.loadState().
+ * @param {boolean} showMessages - Also report in the chat.
+ */
+function reportStateMigration(saveReport, agentReport, showMessages) {
+    const reports = [saveReport, agentReport].filter(report => report?.migrated);
+    if (reports.length === 0) return;
+
+    const changes = reports.flatMap(report => report.changes);
+    const warnings = reports.flatMap(report => report.warnings);
+    const steps = reports.flatMap(report => report.steps);
+    const summary = summarizeMigrationReport({ ...reports[0], steps, changes, migrated: true });
+    console.log(`[App] ${summary}`, { steps, changes, warnings });
+    logToTimeline(`State Migrated: ${summary}`, 'expressions-list');
+    if (showMessages) {
+        appendChatMessage('System', summary);
+        warnings.forEach(warning => appendChatMessage('System', `Migration warning: ${warning}`));
+    }
+}
+
+/**
+ * Loads a save slot into the running simulation.
+ * @param {boolean} [showMessages=false] - Report the result in the chat.
+ * @param {string|null} [slotName=null] - Slot to load (defaults to the slot selected in the UI).
+ * @returns {Promise<boolean>} Success status
+ */
+async function loadState(showMessages = false, slotName = null) {
     if (!agent || !environment) {
         if (showMessages) appendChatMessage('System', 'Load failed: Core components not ready.');
         console.warn("Cannot load state: Agent or Environment not initialized.");
         return false;
     }
 
+    const slotToLoad = slotName ?? document.getElementById('save-slot-select')?.value;
+    if (!slotToLoad) {
+        if (showMessages) appendChatMessage('System', 'Load failed: No save slot selected.');
+        return false;
+    }
+
+    if (isReplaying) exitReplay();
+
     const wasPaused = isPaused;
     isPaused = true;
     if (animationFrameId) {
@@ -813,7 +1436,7 @@ function loadState(showMessages = false) {
     console.log("Attempting to load state...");
     displayError("Loading state...", false, 'status-message');
 
-    const loadResult = loadSimulationStateData();
+    const loadResult = await loadSimulationStateFromSlot(slotToLoad);
     if (!loadResult.success || !loadResult.data) {
         if (showMessages) appendChatMessage('System', `Load failed: ${loadResult.message}`);
         displayError(`Load failed: ${loadResult.message}`, true, 'error-message');
@@ -824,12 +1447,10 @@ function loadState(showMessages = false) {
     }
 
     try {
-        if (loadResult.data.version !== "2.3.1") {
-            throw new Error(`Incompatible state version (${loadResult.data.version}). Expected 2.3.1.`);
-        }
         console.log(`Applying loaded state V${loadResult.data.version} from ${loadResult.data.timestamp}...`);
         environment.loadState(loadResult.data.environmentState);
         agent.loadState(loadResult.data.agentState);
+        reportStateMigration(loadResult.data.migrationReport, agent.lastMigrationReport, showMessages);
 
         simulationMetrics.currentStateVector = environment.currentStateVector.slice(0, Config.Agent.BASE_STATE_DIM);
         if (simulationMetrics.currentAgentEmotions && !simulationMetrics.currentAgentEmotions.isDisposed) {
@@ -848,9 +1469,11 @@ function loadState(showMessages = false) {
         simulationMetrics.currentAvgAffinity = loadResult.data.metrics.affinity ?? 0;
         simulationMetrics.currentContext = loadResult.data.metrics.context || "State Loaded.";
         simulationMetrics.currentHmLabel = loadResult.data.metrics.hmLabel || "idle";
+        simulationMetrics.currentFeedbackSignal = null; // Recomputed by the next agent step
         simulationMetrics.currentBeliefNorm = 0;
         simulationMetrics.currentSelfStateNorm = agent.selfState && !agent.selfState.isDisposed ? calculateArrayNorm(agent.selfState.dataSync()) : 0.0;
         simulationMetrics.currentCascadeHistory = agent.latestCascadeHistoryArrays || [];
+        simulationMetrics.currentCascadeLevels = agent.latestCascadeLevels || [];
 
         updateAllUI(
             simulationMetrics, agent, simulationMetrics.currentAgentEmotions, 0,
@@ -859,13 +1482,11 @@ function loadState(showMessages = false) {
         );
         updateMetricsChart();
         updateTensorInspector();
-        logToTimeline("State Loaded.", 'expressions-list');
-        if (showMessages) appendChatMessage('System', 'Simulation state loaded successfully.');
+        logToTimeline(`State Loaded: ${slotToLoad}`, 'expressions-list');
+        if (showMessages) appendChatMessage('System', `Simulation state loaded from slot "${slotToLoad}".`);
         displayError("State loaded.", false, 'status-message');
 
         criticalError = false;
-        const loadButton = document.getElementById('load-state-button');
-        if (loadButton) loadButton.classList.add('has-saved-state');
 
         isPaused = wasPaused;
         if (!isPaused) {
@@ -908,13 +1529,23 @@ async function animate() {
     let envStepResult = null;
     let emotionsTensorForViz = null;
 
-    if (agent && environment && simulationMetrics.currentAgentEmotions && !simulationMetrics.currentAgentEmotions.isDisposed) {
+    if (isReplaying && sessionPlayer) {
         try {
-            envStepResult = await environment.step(
-                simulationMetrics.currentAgentEmotions,
-                simulationMetrics.currentRIHScore,
-                simulationMetrics.currentAvgAffinity
-            );
+            emotionsTensorForViz = applyReplayFrame(sessionPlayer.advance());
+        } catch (e) {
+            console.error("Error applying replay frame:", e);
+            displayError(`Replay Error: ${e.message}.`, false, 'error-message');
+            exitReplay();
+        }
+    } else if (agent && environment && simulationMetrics.currentAgentEmotions && !simulationMetrics.currentAgentEmotions.isDisposed) {
+        try {
+            envStepResult = await environment.step({
+                emotions: simulationMetrics.currentAgentEmotions,
+                rihScore: simulationMetrics.currentRIHScore,
+                avgAffinity: simulationMetrics.currentAvgAffinity,
+                headMovement: simulationMetrics.currentHmLabel,
+                feedback: simulationMetrics.currentFeedbackSignal
+            });
             const envStateTensor = envStepResult.state;
             if (!envStateTensor || envStateTensor.isDisposed) {
                 throw new Error("Environment returned invalid state tensor in step.");
@@ -930,7 +1561,7 @@ async function animate() {
             agentResponse = await agent.process(
                 simulationMetrics.currentStateVector,
                 graphFeatures,
-                { eventType: envStepResult.eventType, reward: envStepResult.reward }
+                { eventType: envStepResult.eventType, eventEmotion: envStepResult.eventEmotion ?? null, reward: envStepResult.reward }
             );
             if (!agentResponse || !agentResponse.emotions || agentResponse.emotions.isDisposed) {
                 throw new Error("Agent process returned invalid or disposed emotions tensor.");
@@ -945,13 +1576,40 @@ async function animate() {
             simulationMetrics.currentRIHScore = agentResponse.rihScore;
             simulationMetrics.currentAvgAffinity = (agentResponse.affinities?.length > 0) ? agentResponse.affinities.reduce((a, b) => a + b, 0) / agentResponse.affinities.length : 0;
             simulationMetrics.currentHmLabel = agentResponse.hmLabel;
+            simulationMetrics.currentFeedbackSignal = agentResponse.feedbackSignal ?? null;
             simulationMetrics.currentContext = envStepResult.context;
             simulationMetrics.currentCascadeHistory = agentResponse.cascadeHistory;
+            simulationMetrics.currentCascadeLevels = agentResponse.cascadeLevels ?? [];
+            simulationMetrics.currentAffinityMatrix = agentResponse.affinityMatrix ?? [];
+            simulationMetrics.currentMemoryAffinities = agentResponse.memoryAffinities ?? null;
             simulationMetrics.currentIntegrationParam = agentResponse.integration;
             simulationMetrics.currentReflexivityParam = agentResponse.reflexivity;
             simulationMetrics.currentTrustScore = agentResponse.trustScore;
             simulationMetrics.currentBeliefNorm = agentResponse.beliefNorm ?? 0.0;
             simulationMetrics.currentSelfStateNorm = agentResponse.selfStateNorm ?? 0.0;
+            simulationMetrics.currentTraining = agentResponse.training ?? null;
+            simulationMetrics.currentEmotionTraining = agentResponse.emotionTraining ?? null;
+            simulationMetrics.currentTuning = agentResponse.tuning ?? null;
+            simulationMetrics.currentParameterControl = agentResponse.parameterControl ?? 'auto';
+            simulationMetrics.currentKorporation = agentResponse.korporation ?? null;
+            simulationMetrics.currentRihDiagnostics = agentResponse.rihDiagnostics ?? null;
+            simulationMetrics.currentTrajectory = agentResponse.trajectory ?? null;
+            simulationMetrics.currentTelezentrum = agentResponse.telezentrum ?? null;
+            const attractorTransition = agentResponse.telezentrum?.transition;
+            if (attractorTransition) {
+                logToTimeline(`Telezentrum: #${attractorTransition.from} → #${attractorTransition.to}`, 'expressions-list');
+            }
+            const phaseEvent = agentResponse.trajectory?.event;
+            if (phaseEvent) {
+                logToTimeline(`Phase: ${TRAJECTORY_PHASE_LABELS[phaseEvent.from]} → ${TRAJECTORY_PHASE_LABELS[phaseEvent.to]}`, 'expressions-list');
+            }
+            updateGestureFeedbackDisplay();
+
+            if (sessionRecorder.isRecording) {
+                sessionRecorder.recordEnvironmentStep(environment.stepCount, envStepResult, simulationMetrics.currentStateVector);
+                sessionRecorder.recordAgentResponse(environment.stepCount, agentResponse, agent.selfState);
+                if (sessionRecorder.frameCount % 30 === 0) updateRecordingStatus();
+            }
 
             updateSliderDisplays(simulationMetrics.currentIntegrationParam, simulationMetrics.currentReflexivityParam);
         } catch (e) {
@@ -987,10 +1645,11 @@ async function animate() {
         emotionsTensorForViz = tf.keep(simulationMetrics.currentAgentEmotions.clone());
     }
 
+    const replayFrame = isReplaying ? sessionPlayer?.currentFrame : null;
     try {
         updateAllUI(
             simulationMetrics,
-            agent,
+            replayFrame ? { latestAffinities: replayFrame.agent.affinities, selfState: null } : agent,
             emotionsTensorForViz,
             deltaTime,
             { elapsedTime, lastIntegrationInputTime, lastReflexivityInputTime, lastChatImpactTime, inputFeedbackDuration },
@@ -1007,7 +1666,9 @@ async function animate() {
         updateTensorInspector();
     }
 
-    if (agent?.selfState && !agent.selfState.isDisposed) {
+    if (replayFrame) {
+        updateHeatmap(replayFrame.agent.selfState ?? [], 'heatmap-content');
+    } else if (agent?.selfState && !agent.selfState.isDisposed) {
         try {
             updateHeatmap(Array.from(agent.selfState.dataSync()), 'heatmap-content');
         } catch (e) {
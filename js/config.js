@@ -6,9 +6,35 @@ export const Config = {
     DIMENSIONS: 12, // Number of dimensions in the core processing state vector (used by agent, env, core)
     CASCADE_LEVELS: 4, // Number of levels in the Strukturkondensation cascade
     CASCADE_STAGE: 2, // Synkolator stage (arity) used in Strukturkondensation
+    CASCADE_SYNKOLATOR: { // Synkolator rule of every cascade level
+        TYPE: 'pyramidal', // 'pyramidal' (sliding window) | 'average' | 'combinatorial' (all CASCADE_STAGE-element subsets)
+        COMBINATION: 'mean', // 'combinatorial' only: 'mean' | 'product' | 'max' | 'learned' (softmax-weighted elements)
+        MAX_COMBINATIONS: 32, // 'combinatorial' only: cap on syndromes per level; larger levels use a fixed random subset sample
+    },
+    // Per-level cascade, overriding CASCADE_LEVELS / CASCADE_STAGE / CASCADE_SYNKOLATOR when set. Missing fields use those defaults.
+    // e.g. [{ type: 'pyramidal', stage: 2 }, { type: 'combinatorial', stage: 3, maxCombinations: 40 }, { type: 'pyramidal', stage: 4 }]
+    // A combinatorial level with a large cap expands the level; levels that would receive 0 elements are dropped with a warning.
+    CASCADE_LEVEL_CONFIG: null,
+    KORPORATION: { // Korporator joining the agent's belief cascade with a cascade of the environment state
+        MODE: null, // null (off) | 'konzenter' (blend level by level) | 'exzenter' (keep both, cross-coupled); RIH is then computed on the composite
+        WEIGHT: 0.5, // Konzenter: share of the environment syntrix
+        COUPLING: 0.5, // Exzenter: cross-coupling strength
+    },
+    AFFINITY: { // Affinitaetssyndrom between cascade levels (see Affinitaetssyndrom.computeMatrix)
+        ALIGNMENT: 'pad', // Levels of different lengths: 'pad' (zero-pad) | 'interpolate' (linear resampling) | 'dtw' (dynamic time warping)
+        MEMORY_AFFINITY: false, // Also compare the current cascade level by level with each cascade in the agent's memory
+    },
     RIH_SCALE: 0.5, // Scaling factor for the final RIH score calculation
-    TELE_THRESHOLD: 0.85, // Threshold for televariant state (Not actively used in agent logic currently)
+    RIH_ESTIMATOR: 'moment', // 'moment' (|mean|/std of the final level) | 'totalCorrelation' | 'spectral' | 'phi' (see rihEstimators.js)
+    RIHEstimators: { // Sliding-window settings of the information-theoretic RIH estimators
+        WINDOW: 32, // Steps of per-level features (mean, std) kept
+        MIN_SAMPLES: 8, // Steps before the first non-zero score
+        SEGMENTS: 4, // 'spectral': Welch segments the window is split into (each needs >= 4 steps)
+        RIDGE: 1e-6, // Added to covariance diagonals so constant features do not make them singular
+    },
+    TELE_THRESHOLD: 0.85, // Mean RIH above which a steady trajectory counts as televariant (settled at a Telezentrum, see trajectoryAnalysis.js)
     DYSVARIANT_PROB: 0.02, // Base probability of dysvariant fluctuation in environment
+    RANDOM_SEED: null, // Seed for the shared PRNG used by environment, core and agent (null = random seed per session)
 
     Agent: {
         // BASE_STATE_DIM is calculated below based on DIMENSIONS + EMOTION_DIM
@@ -24,12 +50,132 @@ export const Config = {
         EVENT_GAP: 180, // Minimum steps/frames between the end of one event and the potential start of another
         BASE_EMOTION_DRIFT_RATE: 0.005, // How quickly environment base emotions drift towards agent's emotions
         BASE_EMOTION_REVERSION_RATE: 0.001, // How quickly environment base emotions revert towards neutral (0.5)
+        EVENT_CATALOG: null, // Event catalog (JSON text or object, see eventCatalog.js); null = the six built-in events
+        SCENARIO: null, // Scenario script (text, JSON or object, see scenario.js), e.g. "at step 300 trigger Fear for 200 steps, then Calm"
+        STATE_MAPPING: 'legacy', // Base emotions -> core dimensions: 'legacy', or a spec object { type: 'affine' | 'nonlinear' | 'custom', ... } (see stateMapping.js)
+        MAX_CONCURRENT_EVENTS: 1, // Events that may be active at once (1 = one event followed by EVENT_GAP, the original behaviour)
+        OVERLAP_FREQ: 0.5, // Scale of the trigger probability for an event joining already active ones
+        REWARD_BLEND: 'sum', // How concurrent events' rewards combine: 'sum' | 'mean' | 'strongest' (largest magnitude)
+        TYPE: 'emotionalSpace', // Environment the simulation runs in: 'emotionalSpace' | 'gridWorld' | 'dialogue' (see environmentRegistry.js)
+    },
+    GridWorld: { // Grid world environment: head movements move the agent toward a goal (see gridWorldEnvironment.js)
+        SIZE: 7, // Cells per side
+        WALLS: 8, // Random wall cells (placed so every free cell stays reachable)
+        MOVE_INTERVAL: 5, // Steps between moves; the head movement of every MOVE_INTERVAL-th step is executed
+        MAX_EPISODE_MOVES: 60, // Moves before an episode times out and a new goal appears
+        GOAL_REWARD: 1.0, // Reward for reaching the goal
+        APPROACH_REWARD: 0.1, // Reward per cell the goal distance shrinks (negative when moving away)
+        STEP_COST: 0.01, // Cost of every move (including idle)
+        BUMP_PENALTY: 0.2, // Extra cost of moving into a wall or the border
+        EMOTION_DECAY: 0.02, // Rate at which the world's tone relaxes toward neutral (0.5)
+    },
+    Dialogue: { // Dialogue environment driven by a chat transcript (see dialogueEnvironment.js)
+        TRANSCRIPT: null, // Transcript text ("Speaker: text [nod]" per line) or array of turns; null = built-in example
+        TURN_STEPS: 240, // Steps between turns
+        LOOP: true, // Start over after the last turn (false: done after the last turn)
+        TONE_RATE: 0.05, // Rate at which the conversation's tone moves toward the current turn
+        RESPONSE_WINDOW: 120, // Steps after a turn in which a head movement counts as the response
+        EMPATHY_REWARD: 1.0, // Scale of the per-step reward for matching the tone with the agent's emotions
+        GESTURE_REWARD: 0.5, // Reward for an expected head movement (half of it is lost for an unfitting one)
+    },
+    AgentActions: { // Agent actions acting back on EmotionalSpace (see GESTURE_EFFECTS in environment.js)
+        ENABLED: false, // false: the agent influences the environment only through its emotions (the original behaviour)
+        GESTURE_SHIFT: 0.03, // Base-emotion shift when the agent starts a head movement (scaled by GESTURE_EFFECTS weights)
+        GESTURE_REWARD: 0.3, // Reward for a head movement fitting an active event (half of it is lost for an unfitting one)
+        FEEDBACK_GAIN: 0.1, // Scale of the feedback signal added to the core state every step
+        FEEDBACK_MAX: 0.05, // Bound of the feedback perturbation per core dimension and step
+        FEEDBACK_COST: 0.5, // Reward cost per unit of mean |perturbation| (effort)
+        FEEDBACK_REGULATION_REWARD: 2.0, // Reward per unit of perturbation reinforcing positive / counteracting negative events' targets
     },
     RL: { // Reinforcement Learning / Parameter Tuning related settings
         LR: 0.001, // Base learning rate for the Adam optimizer (if used for model training)
         PARAM_LEARN_RATE: 0.006, // Learning rate for heuristic adjustment of Integration/Reflexivity params
         PARAM_DECAY: 0.03, // Strength of mean reversion for Integration/Reflexivity params towards 0.5
-        // TODO: Consider adding heuristic thresholds (e.g., highVarianceThreshold) here for easier tuning
+        TRAINING_ENABLED: false, // Train beliefNetwork, cascadeInputLayer, valueHead and feedbackHead online each step
+        GAMMA: 0.95, // Discount factor for the valueHead TD(0) target
+        VALUE_LOSS_WEIGHT: 1.0, // Weight of the TD(0) value loss
+        FEEDBACK_LOSS_WEIGHT: 0.5, // Weight of the feedbackHead next-core-state reconstruction loss
+        CASCADE_LOSS_WEIGHT: 0.25, // Weight of the cascadeInputLayer core-state reconstruction loss
+        RIH_LOSS_WEIGHT: 0.0, // Weight of the smoothed-RIH objective (maximized end to end through the cascade); 0 = off
+        TUNING_STRATEGY: 'heuristic', // Integration/Reflexivity tuner: 'heuristic' | 'gradient' | 'es' (see parameterTuning.js)
+        MANUAL_HANDBACK_STEPS: 60, // Steps over which the tuner's updates are ramped back in after a manual override
+        HEURISTIC_TUNING: { // Thresholds of the rule-based tuner
+            HIGH_RIH: 0.7, HIGH_TRUST: 0.7, // Both above: favour integration
+            LOW_RIH: 0.3, LOW_TRUST: 0.4, // Either below: favour reflexivity
+            RIH_RISE: 0.02, RIH_RISE_TRUST: 0.6, // RIH rising with moderate trust also favours integration
+            RIH_DROP: -0.03, RIH_DROP_TRUST: 0.7, // RIH falling without high trust also favours reflexivity
+            HIGH_VARIANCE: 0.15, INCREASING_VARIANCE: 0.01, // Cascade variance triggers
+            LOW_VARIANCE: 0.02, // Flat cascade: nudge reflexivity up
+        },
+        GRADIENT_TUNING: { // Gradient ascent on a fitted surrogate of EMA(RIH x trust)
+            LEARN_RATE: 0.02, // Step size along the surrogate gradient
+            SMOOTHING: 0.1, // EMA rate of the RIH x trust objective
+            WINDOW: 120, // Steps of (params, objective) history the surrogate is fitted on
+            MIN_SAMPLES: 20, // Steps before the first surrogate fit
+            RIDGE: 1e-3, // Ridge regularization of the surrogate fit
+            MAX_GRADIENT_NORM: 1.0, // Gradient clipping
+            EXPLORATION_NOISE: 0.004, // Std of parameter jitter that keeps the fit well-posed
+        },
+        ES_TUNING: { // (1+1) evolution strategy on mean RIH x trust
+            EVAL_STEPS: 40, // Steps each candidate is evaluated for
+            INITIAL_SIGMA: 0.08, MIN_SIGMA: 0.01, MAX_SIGMA: 0.25, // Mutation strength (1/5th rule adapted)
+            SCORE_DECAY: 0.98, // Incumbent score decay per rejected candidate
+        },
+    },
+    EmotionLearning: { // Supervised training of the agent's emotional module from environment events
+        ENABLED: false, // Collect event-labeled samples and train periodically
+        TARGET_SHAPING: 'nudge', // 'onehot' | 'nudge' | 'reward' (see EMOTION_TARGET_SHAPERS in emotionTraining.js)
+        TARGET_HIGH: 0.9, // Target value for the event's emotion
+        TARGET_LOW: 0.1, // Target value for the other emotions
+        NUDGE_RATE: 0.3, // Fraction of the way from the prediction to the target ('nudge'/'reward')
+        REPLAY_SIZE: 512, // Labeled samples kept in the replay buffer
+        MIN_SAMPLES: 32, // Samples required before the first update
+        BATCH_SIZE: 32, // Mini-batch size
+        TRAIN_INTERVAL: 30, // Agent steps between training rounds
+        UPDATES_PER_TRAIN: 2, // Mini-batches per training round
+        LR: 0.002, // Adam learning rate for the emotional module
+    },
+    Trajectory: { // Televariant / äquivariant / dysvariant phase classification of the agent's trajectory (see trajectoryAnalysis.js)
+        WINDOW: 20, // Steps of RIH, affinity and Telezentrum distance considered
+        MIN_SAMPLES: 8, // Steps before the first classification
+        MIN_DWELL: 3, // Consecutive steps a new phase must be suggested before it is adopted
+        TELEZENTRUM_SMOOTHING: 0.05, // Rate of the slow belief average standing in for the Telezentrum
+        CONVERGENCE_RATE: 0.2, // Relative decrease of the Telezentrum distance over the window that counts as converging
+        DIVERGENCE_RATE: 0.2, // Relative increase that counts as diverging
+        DYS_VOLATILITY: 0.15, // std(RIH) + std(affinity) above which the trajectory is unstable
+        RIH_DROP: 0.15, // RIH decrease over the window that counts as a collapse
+        MAX_EVENTS: 20, // Phase-change events kept
+        FEED_CONTEXT: false, // Feed the phase into the emotional module's context signal on the next step
+        CONTEXT_SIGNAL: { televariant: 0.0, aequivariant: 0.0, dysvariant: 1.0 }, // Context signal per phase (1.0 = like an environment event)
+    },
+    Telezentrum: { // Online attractor (Telezentrum) estimation in belief-embedding space (see telezentrum.js)
+        CREATE_RADIUS: 0.6, // Beliefs farther than this from every attractor open a new one
+        MERGE_RADIUS: 0.3, // Attractors whose centres come this close are merged
+        DECAY: 0.995, // Per-step weight decay (half-life ~140 steps), so abandoned attractors fade
+        MIN_WEIGHT: 10, // Weight an attractor needs to count as a Telezentrum
+        MIN_LEARN_RATE: 0.02, // Floor of the centre update rate (1 / visits until then)
+        SMOOTHING: 0.05, // EMA rate of each attractor's spread and centre drift
+        MAX_ATTRACTORS: 8, // The weakest attractor is dropped beyond this
+        MIN_DWELL: 3, // Consecutive steps near another attractor before a transition is reported
+        MAX_TRANSITIONS: 20, // Transitions kept
+        DRIVE_TRAJECTORY: true, // Trajectory analysis measures convergence toward the current Telezentrum instead of a slow belief average
+    },
+    Metroplex: { // Hierarchical Metroplex of sub-agents and a higher-grade agent (see metroplex.js, headless only)
+        SUB_AGENTS: 3, // Sub-agents of the first grade, each with its own cascade
+        BRIDGE: 'mean', // Metroplexbrücke from the sub-agents' final levels to the higher-grade input: 'concat' | 'mean' | 'coupled'
+        INPUT_MODE: 'partition', // 'shared': every sub-agent sees the whole core state; 'partition': one slice of the core dimensions each
+        COUPLING: 0.5, // Cross-coupling of the 'coupled' bridge
+    },
+    MetronCalculus: { // Metrondifferentials of the core state as belief network features (see metronCalculus.js)
+        FEATURES_ENABLED: false, // Append differentials of orders 1..ORDER to the belief network input (changes its input size)
+        ORDER: 1, // Highest differential order; adds DIMENSIONS features per order
+    },
+    HeadMovement: { // Head movement (gesture) selection and user-feedback training
+        SELECTION: 'argmax', // 'argmax' (greedy) | 'sample' (softmax-temperature sampling)
+        TEMPERATURE: 1.0, // Softmax temperature used by 'sample'
+        MAX_LABELS: 500, // User feedback labels kept for training
+        UPDATES_PER_LABEL: 10, // Full-batch cross-entropy steps after each new label
+        LR: 0.01, // Adam learning rate for the head movement head
     },
     Visualization: { // Settings for Concept Graph visualization
         Node: {
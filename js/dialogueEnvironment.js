@@ -0,0 +1,224 @@
+// js/dialogueEnvironment.js
+
+import { Config, emotionNames, HEAD_MOVEMENT_LABELS } from './config.js';
+import { SimulationEnvironment, normalizeAction, readAgentEmotions, analyzeTextEmotions } from './environmentInterface.js';
+import { createStateMapping } from './stateMapping.js';
+import { SeededRandom, getSharedRandom } from './utils.js';
+
+/**
+ * Dialogue environment driven by a chat transcript. Every Config.Dialogue.TURN_STEPS steps the next turn is
+ * spoken; its keywords (Config emotionKeywords) set the tone the conversation moves toward. The core dimensions
+ * come from the tone through a state mapping (Config.Env.STATE_MAPPING, see stateMapping.js), the emotion part is
+ * the tone itself.
+ *
+ * Rewards: every step, EMPATHY_REWARD × (0.5 − mean |agent emotions − tone|); and once per turn, the first
+ * non-idle head movement within RESPONSE_WINDOW steps earns +GESTURE_REWARD if it is an expected response
+ * (the turn's `expect`, else DIALOGUE_RESPONSES for its dominant emotion) and −GESTURE_REWARD / 2 otherwise.
+ *
+ * Transcript: text with one turn per line ("Speaker: text", optionally ending in "[nod]" for the expected
+ * gesture; '#' starts a comment) or an array of strings / { speaker, text, expect }. Chat input is spoken as an
+ * extra turn immediately.
+ */
+
+/** Expected head movements per dominant emotion of a turn. */
+export const DIALOGUE_RESPONSES = {
+    Joy: ['nod'],
+    Calm: ['nod'],
+    Curiosity: ['tilt_left', 'tilt_right'],
+    Surprise: ['tilt_left', 'tilt_right'],
+    Fear: ['nod', 'tilt_left', 'tilt_right'],
+    Frustration: ['nod', 'tilt_left', 'tilt_right']
+};
+
+/** Used when Config.Dialogue.TRANSCRIPT is null. */
+export const DEFAULT_TRANSCRIPT = `User: Hi! I had a wonderful day, everything went great.
+User: But then my train got stuck and I was so annoyed.
+User: Why does that always happen? I want to understand how the schedule works.
+User: Honestly I'm a bit nervous about tomorrow's exam.
+User: Whoa, I just got a message, the exam is postponed! Unexpected.
+User: Okay, I feel calm now. Let's relax.`;
+
+const TURN_LINE = /^(?:([^:]+):\s*)?(.*?)(?:\s*\[(\w+)\])?$/;
+
+/**
+ * Parses a transcript into turns.
+ * @param {string|Array<string|Object>} source - Transcript text or array of turns.
+ * @returns {Array<{speaker: string, text: string, expect: string|null}>}
+ */
+export function parseTranscript(source) {
+    const items = typeof source === 'string'
+        ? source.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean)
+        : (Array.isArray(source) ? source : []);
+    return items.map(item => {
+        if (typeof item === 'string') {
+            const [, speaker, text, expect] = item.match(TURN_LINE);
+            return { speaker: speaker?.trim() || 'User', text, expect: expect ?? null };
+        }
+        if (typeof item?.text !== 'string') return null;
+        return { speaker: item.speaker ?? 'User', text: item.text, expect: item.expect ?? null };
+    }).filter(turn => {
+        if (!turn || turn.text.length === 0) return false;
+        if (turn.expect !== null && !HEAD_MOVEMENT_LABELS.includes(turn.expect)) {
+            console.warn(`[Dialogue] Unknown expected gesture "${turn.expect}" ignored.`);
+            turn.expect = null;
+        }
+        return true;
+    });
+}
+
+export class DialogueEnvironment extends SimulationEnvironment {
+    /**
+     * @param {Object} [options]
+     * @param {string|Array} [options.transcript] - Transcript (defaults to Config.Dialogue.TRANSCRIPT, then DEFAULT_TRANSCRIPT).
+     * @param {string|Object} [options.stateMapping] - Mapping from the tone to the core dimensions (defaults to Config.Env.STATE_MAPPING).
+     * @param {SeededRandom} [options.rng] - Random source for the state mapping's noise.
+     * @param {number} [options.seed] - Creates a dedicated generator with this seed when no rng is given.
+     * @param {Object} [options.settings] - Overrides for Config.Dialogue.
+     */
+    constructor(options = {}) {
+        super('dialogue');
+        this.settings = { ...Config.Dialogue, ...(options.settings ?? {}) };
+        this.settings.TURN_STEPS = Math.max(1, Math.floor(this.settings.TURN_STEPS));
+        this.rng = options.rng ?? (typeof options.seed === 'number' ? new SeededRandom(options.seed) : getSharedRandom());
+        this.stateMapping = createStateMapping(options.stateMapping ?? Config.Env?.STATE_MAPPING ?? null);
+        this.turns = parseTranscript(options.transcript ?? this.settings.TRANSCRIPT ?? DEFAULT_TRANSCRIPT);
+        if (this.turns.length === 0) {
+            console.warn("[Dialogue] Transcript has no turns, using the default transcript.");
+            this.turns = parseTranscript(DEFAULT_TRANSCRIPT);
+        }
+        this._initializeState();
+    }
+
+    _initializeState() {
+        const emotionDim = Config.Agent.EMOTION_DIM;
+        this.stepCount = 0;
+        this.turnIndex = -1; // Index of the transcript turn being spoken (-1 before the first)
+        this.currentTurn = null;
+        this.turnTimer = 0; // Steps until the next turn
+        this.turnStartStep = 0;
+        this.responded = false; // Whether a head movement was rewarded for the current turn
+        this.finished = false;
+        this.tone = new Array(emotionDim).fill(0.5);
+        this.target = new Array(emotionDim).fill(0.5);
+        this._setObservation(new Array(Config.DIMENSIONS).fill(0), this.tone);
+    }
+
+    coreLabels() {
+        return this.stateMapping.getLabels(Config.DIMENSIONS);
+    }
+
+    actionSpec() {
+        return { ...super.actionSpec(), used: ['emotions', 'headMovement'] };
+    }
+
+    /** Speaks a turn: sets the target tone and opens the response window. */
+    _beginTurn(turn) {
+        const { impact, foundKeyword } = analyzeTextEmotions(turn.text);
+        this.currentTurn = { ...turn, dominant: foundKeyword ? emotionNames[impact.indexOf(Math.max(...impact))] : null };
+        this.target = impact.map(value => 0.2 + 0.8 * value);
+        this.turnTimer = this.settings.TURN_STEPS;
+        this.turnStartStep = this.stepCount;
+        this.responded = false;
+    }
+
+    /** Moves to the next transcript turn; returns false when the transcript is over (and does not loop). */
+    _nextTurn() {
+        if (this.turnIndex + 1 >= this.turns.length) {
+            if (!this.settings.LOOP) return false;
+            this.turnIndex = -1;
+        }
+        this.turnIndex++;
+        this._beginTurn(this.turns[this.turnIndex]);
+        return true;
+    }
+
+    _updateObservation() {
+        const core = this.stateMapping.map(this.tone, this.currentStateVector.slice(0, Config.DIMENSIONS), {
+            rng: this.rng, coreDims: Config.DIMENSIONS, emotionDim: this.tone.length, step: this.stepCount
+        });
+        this._setObservation(core, this.tone);
+    }
+
+    async reset() {
+        this._initializeState();
+        this._updateObservation();
+        console.log("Dialogue Reset.");
+        return { state: this._stateTensor() };
+    }
+
+    /**
+     * Advances the conversation by one step and rewards the agent's emotional and gestural response.
+     * @param {Object} action - { emotions, headMovement, ... }.
+     */
+    async step(action, rihScore = 0, avgAffinity = 0) {
+        const { emotions, headMovement } = normalizeAction(action, rihScore, avgAffinity);
+        const agentEmotions = await readAgentEmotions(emotions);
+        const s = this.settings;
+        this.stepCount++;
+
+        let eventType = null;
+        let done = false;
+        this.turnTimer--;
+        if (!this.finished && this.turnTimer <= 0) {
+            if (this._nextTurn()) {
+                eventType = this.currentTurn.dominant;
+            } else {
+                this.finished = true;
+                this.currentTurn = null;
+                this.target = this.target.map(() => 0.5);
+                done = true;
+            }
+        }
+        this.tone = this.tone.map((value, i) => value + (this.target[i] - value) * s.TONE_RATE);
+
+        const mismatch = this.tone.reduce((sum, value, i) => sum + Math.abs((agentEmotions[i] ?? 0) - value), 0) / this.tone.length;
+        let reward = s.EMPATHY_REWARD * (0.5 - mismatch);
+        let context = this.currentTurn ? `${this.currentTurn.speaker}: ${this.currentTurn.text}` : "The conversation has ended.";
+        const inWindow = this.currentTurn && this.stepCount - this.turnStartStep <= s.RESPONSE_WINDOW;
+        if (inWindow && !this.responded && headMovement !== 'idle') {
+            this.responded = true;
+            const expected = this.currentTurn.expect ? [this.currentTurn.expect] : (DIALOGUE_RESPONSES[this.currentTurn.dominant] ?? []);
+            const fitting = expected.includes(headMovement);
+            reward += fitting ? s.GESTURE_REWARD : -s.GESTURE_REWARD / 2;
+            context += fitting ? ` (agent responds: ${headMovement})` : ` (unfitting response: ${headMovement})`;
+        }
+
+        this._updateObservation();
+        return { state: this._stateTensor(), reward, done, context, eventType, eventEmotion: eventType, eventTypes: eventType ? [eventType] : [] };
+    }
+
+    /** Chat input is spoken as an extra turn right away; the transcript continues after it. */
+    async getEmotionalImpactFromText(text) {
+        this._beginTurn({ speaker: 'You', text, expect: null });
+        this.finished = false;
+        return super.getEmotionalImpactFromText(text);
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            baseEmotions: [...this.tone],
+            target: [...this.target],
+            turnIndex: this.turnIndex,
+            currentTurn: this.currentTurn ? { ...this.currentTurn } : null,
+            turnTimer: this.turnTimer,
+            turnStartStep: this.turnStartStep,
+            responded: this.responded,
+            finished: this.finished
+        };
+    }
+
+    loadState(state) {
+        if (!super.loadState(state)) return false;
+        const emotionDim = this.tone.length;
+        if (Array.isArray(state.baseEmotions) && state.baseEmotions.length === emotionDim) this.tone = [...state.baseEmotions];
+        if (Array.isArray(state.target) && state.target.length === emotionDim) this.target = [...state.target];
+        this.turnIndex = Number.isInteger(state.turnIndex) ? Math.min(state.turnIndex, this.turns.length - 1) : -1;
+        this.currentTurn = state.currentTurn && typeof state.currentTurn.text === 'string' ? { ...state.currentTurn } : null;
+        this.turnTimer = Number.isFinite(state.turnTimer) ? state.turnTimer : 0;
+        this.turnStartStep = Number.isFinite(state.turnStartStep) ? state.turnStartStep : this.stepCount;
+        this.responded = state.responded === true;
+        this.finished = state.finished === true;
+        return true;
+    }
+}
@@ -0,0 +1,161 @@
+// js/emotionTraining.js
+
+import { Config, emotionNames } from './config.js';
+import { clamp, getSharedRandom } from './utils.js';
+
+/**
+ * Target shaping functions: map an event to the emotion vector the module is trained towards.
+ * Each receives { eventIndex, predicted, reward, settings } and returns a number[] of EMOTION_DIM in [0, 1].
+ */
+export const EMOTION_TARGET_SHAPERS = {
+    /** Event emotion set to TARGET_HIGH, all others to TARGET_LOW. */
+    onehot: ({ eventIndex, predicted, settings }) =>
+        predicted.map((_, i) => (i === eventIndex ? settings.TARGET_HIGH : settings.TARGET_LOW)),
+
+    /** Current prediction moved NUDGE_RATE of the way towards the one-hot target. */
+    nudge: ({ eventIndex, predicted, settings }) =>
+        predicted.map((p, i) => {
+            const goal = i === eventIndex ? settings.TARGET_HIGH : settings.TARGET_LOW;
+            return clamp(p + (goal - p) * settings.NUDGE_RATE, 0, 1);
+        }),
+
+    /** Like 'nudge', but the step grows with the event's reward magnitude (strong events teach more). */
+    reward: ({ eventIndex, predicted, reward, settings }) => {
+        const rate = clamp(settings.NUDGE_RATE * Math.abs(reward ?? 0), 0, 1);
+        return predicted.map((p, i) => {
+            const goal = i === eventIndex ? settings.TARGET_HIGH : settings.TARGET_LOW;
+            return clamp(p + (goal - p) * rate, 0, 1);
+        });
+    }
+};
+
+/**
+ * Fixed-size FIFO buffer of { input, target } samples with uniform random mini-batch sampling.
+ */
+export class EmotionReplayBuffer {
+    /**
+     * @param {number} capacity - Maximum number of samples kept.
+     * @param {SeededRandom} [rng] - Random source used for sampling.
+     */
+    constructor(capacity, rng = getSharedRandom()) {
+        this.capacity = Math.max(1, capacity);
+        this.rng = rng;
+        this.samples = [];
+    }
+
+    /** @returns {number} Number of stored samples. */
+    get size() {
+        return this.samples.length;
+    }
+
+    /** Adds a sample, dropping the oldest beyond capacity. */
+    add(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.capacity) this.samples.shift();
+    }
+
+    /**
+     * Draws a mini-batch uniformly with replacement.
+     * @param {number} batchSize
+     * @returns {Array<{input: number[], target: number[]}>}
+     */
+    sample(batchSize) {
+        if (this.samples.length === 0) return [];
+        return Array.from({ length: batchSize }, () => this.samples[this.rng.int(this.samples.length)]);
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+/**
+ * Supervised trainer for the agent's emotional module. Environment events ("Joy", "Fear", ...)
+ * label the module's input on the step they are active; the labeled samples go into a replay
+ * buffer and every TRAIN_INTERVAL steps a few mini-batches are fitted with binary cross-entropy.
+ */
+export class EmotionTrainer {
+    /**
+     * @param {tf.Sequential} model - The emotional module (sigmoid outputs).
+     * @param {Object} [options]
+     * @param {SeededRandom} [options.rng] - Random source for mini-batch sampling.
+     * @param {Object} [options.settings] - Overrides for Config.EmotionLearning.
+     * @param {Function} [options.targetShaper] - Custom shaper, used instead of settings.TARGET_SHAPING.
+     */
+    constructor(model, options = {}) {
+        this.model = model;
+        this.settings = { ...Config.EmotionLearning, ...(options.settings ?? {}) };
+        this.targetShaper = options.targetShaper
+            ?? EMOTION_TARGET_SHAPERS[this.settings.TARGET_SHAPING]
+            ?? EMOTION_TARGET_SHAPERS.nudge;
+        this.buffer = new EmotionReplayBuffer(this.settings.REPLAY_SIZE, options.rng);
+        this.optimizer = tf.train.adam(this.settings.LR);
+        this.stepsSinceUpdate = 0;
+        this.stats = { samples: 0, updates: 0, lastLoss: null, avgLoss: null, lastEvent: null };
+    }
+
+    /**
+     * Records one step. The target is the emotion the event belongs to (`eventEmotion`, e.g. Fear for a Shock
+     * compound; callers without it fall back to `eventType`). Steps without a known emotion are ignored.
+     * @param {number[]} input - Emotional module input used this step.
+     * @param {number[]} predicted - Module output for that input.
+     * @param {{eventType: string|null, eventEmotion?: string|null, reward: number}} environmentContext - Context from environment.step().
+     */
+    observe(input, predicted, environmentContext) {
+        this.stepsSinceUpdate++;
+        const eventEmotion = environmentContext?.eventEmotion !== undefined ? environmentContext.eventEmotion : environmentContext?.eventType;
+        const eventIndex = emotionNames.indexOf(eventEmotion);
+        if (eventIndex >= 0 && eventIndex < predicted.length) {
+            const target = this.targetShaper({ eventIndex, predicted, reward: environmentContext.reward, settings: this.settings });
+            this.buffer.add({ input: [...input], target });
+            this.stats.samples = this.buffer.size;
+            this.stats.lastEvent = environmentContext.eventType;
+        }
+
+        if (this.stepsSinceUpdate >= this.settings.TRAIN_INTERVAL && this.buffer.size >= this.settings.MIN_SAMPLES) {
+            this.stepsSinceUpdate = 0;
+            this.train();
+        }
+    }
+
+    /**
+     * Fits UPDATES_PER_TRAIN mini-batches of BATCH_SIZE from the replay buffer.
+     * @returns {number|null} Mean loss over the mini-batches, or null if nothing was trained.
+     */
+    train() {
+        if (!this.model || this.buffer.size === 0) return null;
+        const variables = this.model.trainableWeights.map(weight => weight.val);
+        let lossSum = 0;
+
+        for (let i = 0; i < this.settings.UPDATES_PER_TRAIN; i++) {
+            const batch = this.buffer.sample(this.settings.BATCH_SIZE);
+            lossSum += tf.tidy(() => {
+                const inputs = tf.tensor2d(batch.map(sample => sample.input));
+                const targets = tf.tensor2d(batch.map(sample => sample.target));
+                const loss = this.optimizer.minimize(
+                    () => tf.metrics.binaryCrossentropy(targets, this.model.apply(inputs)).mean(),
+                    true, variables
+                );
+                return loss.dataSync()[0];
+            });
+        }
+
+        const loss = lossSum / this.settings.UPDATES_PER_TRAIN;
+        this.stats.updates++;
+        this.stats.lastLoss = loss;
+        this.stats.avgLoss = this.stats.avgLoss === null ? loss : this.stats.avgLoss + (loss - this.stats.avgLoss) * 0.1;
+        return loss;
+    }
+
+    /** @returns {Object} Copy of the training statistics. */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /** Releases the optimizer state. The model belongs to the agent and is not disposed. */
+    dispose() {
+        if (typeof this.optimizer?.dispose === 'function') this.optimizer.dispose();
+        this.optimizer = null;
+        this.buffer.clear();
+    }
+}
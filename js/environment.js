@@ -1,16 +1,42 @@
 "use strict";
 
-import { Config, emotionKeywords, emotionNames } from './config.js';
-import { zeros, tensor, clamp, displayError } from './utils.js';
+import { Config, emotionNames } from './config.js';
+import { zeros, tensor, clamp, displayError, SeededRandom, getSharedRandom } from './utils.js';
+import { parseEventCatalog, evaluateRewardCurve, preconditionsMet } from './eventCatalog.js';
+import { parseScenario } from './scenario.js';
+import { createStateMapping } from './stateMapping.js';
+import { SimulationEnvironment, normalizeAction, readAgentEmotions, analyzeTextEmotions } from './environmentInterface.js';
 
 // Assumes tf is available globally via CDN
 
+/**
+ * Head movements as communicative acts (Config.AgentActions): starting a gesture shifts the base emotions by
+ * GESTURE_SHIFT × the weights in `emotions`, and is rewarded while an event whose emotion is in `fits` is active
+ * (unfitting gestures during events cost half of GESTURE_REWARD). 'idle' does nothing.
+ */
+export const GESTURE_EFFECTS = {
+    nod: { emotions: { Calm: 1, Joy: 0.5 }, fits: ['Joy', 'Calm'] }, // Affirmation
+    shake: { emotions: { Frustration: 0.5, Fear: -1 }, fits: ['Fear', 'Frustration'] }, // Rejecting a dissonance
+    tilt_left: { emotions: { Curiosity: 1, Surprise: 0.5 }, fits: ['Curiosity', 'Surprise'] }, // Inquiry
+    tilt_right: { emotions: { Curiosity: 1, Surprise: 0.5 }, fits: ['Curiosity', 'Surprise'] }
+};
+
 /**
  * Represents the simulation environment, managing state, events, and rewards.
  * Simulates fluctuations influenced by agent's emotions and random events.
+ * Registered as 'emotionalSpace', the default environment (see environmentInterface.js for the interface).
  */
-export class EmotionalSpace {
-    constructor() {
+export class EmotionalSpace extends SimulationEnvironment {
+    /**
+     * @param {Object} [options]
+     * @param {SeededRandom} [options.rng] - Random source shared with the agent (defaults to the shared generator).
+     * @param {number} [options.seed] - Creates a dedicated generator with this seed when no rng is given.
+     * @param {string|Object} [options.eventCatalog] - Event catalog (JSON text or object, see eventCatalog.js); defaults to Config.Env.EVENT_CATALOG or the built-in events.
+     * @param {string|Object} [options.scenario] - Scenario script (see scenario.js); defaults to Config.Env.SCENARIO.
+     * @param {string|Object} [options.stateMapping] - Mapping from base emotions to the core dimensions (see stateMapping.js); defaults to Config.Env.STATE_MAPPING.
+     */
+    constructor(options = {}) {
+        super('emotionalSpace');
         // Check TensorFlow.js availability
         if (typeof tf === 'undefined') {
             throw new Error("[Environment] TensorFlow.js is required but not available.");
@@ -19,25 +45,28 @@ export class EmotionalSpace {
         // Validate Config properties
         this._validateConfig();
 
-        // Define potential environmental events
-        this.events = [
-            // [Emotion Name, Context Description, Base Reward/Penalty]
-            ["Joy", "A pleasant resonance occurs in the field.", 1.5],
-            ["Fear", "A dissonant pattern is detected nearby.", -1.8],
-            ["Curiosity", "An unexpected structural variation appears.", 1.2],
-            ["Frustration", "System encounters processing resistance.", -1.0],
-            ["Calm", "Patterns stabilize into local harmony.", 0.8],
-            ["Surprise", "A sudden cascade shift happens.", 1.6]
-        ];
-        this.emotionNames = this.events.map(e => e[0]); // Extract names for mapping
+        // Random source for event triggering, dysvariant fluctuations and state noise
+        this.rng = options.rng ?? (typeof options.seed === 'number' ? new SeededRandom(options.seed) : getSharedRandom());
+
+        // Potential environmental events (declarative catalog) and an optional scripted scenario
+        this.catalog = null;
+        this.scenario = null;
+        this.setEventCatalog(options.eventCatalog ?? Config.Env?.EVENT_CATALOG ?? null);
+        this.setScenario(options.scenario ?? Config.Env?.SCENARIO ?? null);
+
+        // Meaning of the core dimensions: how base emotions map onto them
+        this.stateMapping = null;
+        this.setStateMapping(options.stateMapping ?? Config.Env?.STATE_MAPPING ?? null);
 
         // Base emotional tone of the environment (drifts based on agent and events)
         this.baseEmotions = null; // Initialize as null, set in _initializeState
 
         this.stepCount = 0;
-        this.eventTimer = 0; // Countdown timer for active event duration
         this.gapTimer = 0; // Countdown timer for minimum gap between events
-        this.currentEvent = null; // Holds data for the currently active event
+        this.activeEvents = []; // Concurrently active events: { type, context, reward, duration, timer, scripted, track }, oldest first
+        this.eventQueue = []; // Scripted or chained events waiting to start: { event, duration, startStep, scripted, track }
+        this.lastEventType = null; // Type of the most recent event (for 'after' preconditions)
+        this.lastGesture = 'idle'; // Head movement of the previous step (a gesture acts when it starts)
         this.currentStateVector = zeros([Config.Agent.BASE_STATE_DIM]); // Full state vector (core + emotions)
 
         // Initialize state synchronously to avoid async constructor issues
@@ -94,13 +123,58 @@ export class EmotionalSpace {
         }
     }
 
+    /**
+     * Replaces the event catalog. An invalid catalog is reported and the built-in events are used instead.
+     * @param {string|Object|null} source - JSON text or catalog object (see eventCatalog.js); null for the built-in events.
+     */
+    setEventCatalog(source) {
+        try {
+            this.catalog = parseEventCatalog(source);
+        } catch (e) {
+            console.error("[Environment] Invalid event catalog:", e);
+            displayError(`Invalid event catalog: ${e.message}. Using built-in events.`, false, 'error-message');
+            this.catalog = parseEventCatalog(null);
+        }
+    }
+
+    /**
+     * Replaces the mapping from base emotions to the core dimensions; takes effect on the next state update.
+     * @param {string|Object|null} spec - 'legacy' or a spec object (see stateMapping.js); null for 'legacy'.
+     * @throws {Error} If the spec lacks what its mapping type is built from (see createStateMapping).
+     */
+    setStateMapping(spec) {
+        this.stateMapping = createStateMapping(spec);
+    }
+
+    /**
+     * Sets the scenario script run from the next reset (or from the current step on, for triggers still ahead).
+     * @param {string|Object|null} source - Script text, JSON or object (see scenario.js); null removes the scenario.
+     * @returns {boolean} False if the script could not be parsed (the previous scenario is kept).
+     */
+    setScenario(source) {
+        if (source === null || source === undefined) {
+            this.scenario = null;
+            return true;
+        }
+        try {
+            this.scenario = parseScenario(source, this.catalog);
+            return true;
+        } catch (e) {
+            console.error("[Environment] Invalid scenario:", e);
+            displayError(`Invalid scenario: ${e.message}`, false, 'error-message');
+            return false;
+        }
+    }
+
     /** Initializes or resets the environment's internal state. */
     _initializeState() {
         this.stepCount = 0;
-        this.eventTimer = 0;
         // Use validated config values
         this.gapTimer = Config.Env?.EVENT_GAP ?? 180; // Start with a gap
-        this.currentEvent = null;
+        this.activeEvents = [];
+        this.eventQueue = [];
+        this.lastGesture = 'idle'; // Head movement of the previous step (a gesture acts when it starts)
+        this.lastEventType = null;
 
         // Dispose previous tensor if it exists
         if (this.baseEmotions && typeof this.baseEmotions.dispose === 'function' && !this.baseEmotions.isDisposed) {
@@ -131,37 +205,34 @@ export class EmotionalSpace {
         console.log("Environment Reset.");
         const stateTensor = await this._getStateTensor(); // Awaits internal update
         // Return a *new* kept tensor for the caller
-        return { state: stateTensor ? tf.keep(stateTensor.clone()) : null };
+        const keptState = stateTensor ? tf.keep(stateTensor.clone()) : null;
+        if (stateTensor) tf.dispose(stateTensor);
+        return { state: keptState };
     }
 
     /**
      * Advances the environment simulation by one step.
-     * @param {tf.Tensor|null} agentEmotionsTensor - Agent's emotion tensor [1, EMOTION_DIM], or null if unavailable.
-     * @param {number} [currentRIHScore=0] - Agent's RIH score [0, 1], influences dysvariant probability.
-     * @param {number} [currentAvgAffinity=0] - Agent's average affinity [-1, 1], affects fluctuation amplitude.
-     * @returns {Promise<{state: tf.Tensor|null, reward: number, done: boolean, context: string, eventType: string|null}>}
+     * @param {Object|tf.Tensor|null} action - Agent action { emotions, rihScore, avgAffinity, headMovement }, or (original form)
+     *   the agent's emotion tensor [1, EMOTION_DIM] followed by the RIH score and average affinity:
+     *   emotions drift the base emotions, a low RIH raises the dysvariant probability, high affinity damps the fluctuations.
+     *   With Config.AgentActions.ENABLED the head movement and feedback signal act as well (see _applyGesture, _applyFeedback).
+     * @returns {Promise<{state: tf.Tensor|null, reward: number, done: boolean, context: string, eventType: string|null, eventEmotion: string|null, eventTypes: string[]}>}
+     * `eventType` is the primary event (the latest started one still active, else one that just concluded) and
+     * `eventEmotion` the catalog emotion it belongs to (e.g. Fear for Shock);
+     * `eventTypes` lists every event acting on this step; `actionEffects` ({ gesture, gestureReward, feedbackReward,
+     * perturbation }) reports the agent actions' consequences, null while they are disabled.
      * Caller is responsible for disposing the returned state tensor.
      */
-    async step(agentEmotionsTensor, currentRIHScore = 0, currentAvgAffinity = 0) {
+    async step(action, rihScore = 0, avgAffinity = 0) {
+        const { emotions: agentEmotionsTensor, rihScore: currentRIHScore, avgAffinity: currentAvgAffinity, headMovement, feedback } = normalizeAction(action, rihScore, avgAffinity);
+        const actionsEnabled = Config.AgentActions?.ENABLED === true;
         this.stepCount++;
         let reward = 0;
         let context = "Ambient fluctuations.";
         let triggeredEventType = null;
         const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
 
-        // Safely get agent emotions array
-        let agentEmotionsArray = zeros([emotionDim]);
-        if (agentEmotionsTensor && typeof agentEmotionsTensor.array === 'function' && !agentEmotionsTensor.isDisposed) {
-             try {
-                  agentEmotionsArray = (await agentEmotionsTensor.array())[0];
-                  // Ensure correct length, pad if necessary (shouldn't happen if agent uses config)
-                  while (agentEmotionsArray.length < emotionDim) agentEmotionsArray.push(0.5);
-                  agentEmotionsArray = agentEmotionsArray.slice(0, emotionDim);
-             } catch (e) {
-                 console.error("Error getting agent emotions array:", e);
-                 // Fallback already initialized
-             }
-        }
+        const agentEmotionsArray = await readAgentEmotions(agentEmotionsTensor);
 
         // Use validated config values with defaults
         const driftRate = Config.Env?.BASE_EMOTION_DRIFT_RATE ?? 0.005;
@@ -195,74 +266,110 @@ export class EmotionalSpace {
         }
 
         // Event Management
-        if (this.eventTimer > 0) {
-            this.eventTimer--;
-            context = this.currentEvent?.context ?? "Event active.";
-            // Reward decays linearly over the event duration
-            reward = (this.currentEvent?.reward ?? 0) * (this.eventTimer / eventDuration);
-            triggeredEventType = this.currentEvent?.type ?? null;
-            if (this.eventTimer === 0) {
-                this.currentEvent = null;
-                this.gapTimer = eventGap; // Start gap after event ends
-                context = "Event concluded.";
+        const maxConcurrent = Math.max(1, Config.Env?.MAX_CONCURRENT_EVENTS ?? 1);
+        this._scenarioTriggersAt(this.stepCount).forEach(trigger => {
+            // A scripted trigger replaces the active events, the gap and any pending chain, unless it overlaps ('also')
+            if (!trigger.overlap) {
+                this.activeEvents = [];
+                this.eventQueue = [];
             }
-        } else if (this.gapTimer > 0) {
-            this.gapTimer--;
-            context = "System stable.";
-        } else { // Gap is over, check for new event
-            const emotionIntensity = agentEmotionsArray.reduce((sum, val) => sum + val, 0) / emotionDim;
-            const triggerProb = Math.min(eventFreq * (1 + emotionIntensity * 0.5), 1);
-
-            if (Math.random() < triggerProb) {
-                // Select event based on agent's current emotion profile
-                const eventProbs = agentEmotionsArray.map(e => e * 0.5 + 0.5); // Bias towards higher emotions
-                const totalProb = eventProbs.reduce((a, b) => a + b, 0);
-                const normalizedProbs = totalProb > 0
-                    ? eventProbs.map(p => p / totalProb)
-                    : Array(emotionDim).fill(1 / emotionDim); // Uniform if no emotion
-
-                let rand = Math.random();
-                let eventIdx = 0;
-                for (let i = 0; i < normalizedProbs.length; i++) {
-                    rand -= normalizedProbs[i];
-                    if (rand <= 0) {
-                        eventIdx = i;
-                        break;
-                    }
+            this.gapTimer = 0;
+            const track = `script-${this.stepCount}-${trigger.sequence[0].event}`;
+            trigger.sequence.forEach((item, i) => this.eventQueue.push({ event: item.event, duration: item.duration, startStep: i === 0 ? this.stepCount : null, scripted: true, track }));
+        });
+
+        const contributions = []; // { type, reward } of every event acting on this step
+        const concludedTypes = [];
+        const hadActiveEvents = this.activeEvents.length > 0;
+        // Each active event runs on its own timer; its reward follows its curve (linear decay by default)
+        [...this.activeEvents].forEach(active => {
+            active.timer--;
+            const curve = this.catalog.byName.get(active.type)?.rewardCurve ?? 'linear';
+            contributions.push({ type: active.type, reward: active.reward * evaluateRewardCurve(curve, active.timer / (active.duration ?? eventDuration)) });
+            if (active.timer <= 0) {
+                this._concludeEvent(active);
+                concludedTypes.push(active.type);
+            }
+        });
+        if (concludedTypes.length > 0 && this.activeEvents.length === 0) {
+            this.gapTimer = this.eventQueue.length > 0 ? 0 : eventGap; // Start gap after the last event ends
+        }
+
+        const started = []; // Events started on this step, in order
+        const queueHandled = this._startQueuedEvents(agentEmotionsArray, maxConcurrent, contributions, started);
+        const randomAllowed = this.scenario?.randomEvents !== false;
+        const emotionIntensity = agentEmotionsArray.reduce((sum, val) => sum + val, 0) / emotionDim;
+        const triggerProb = Math.min(eventFreq * (1 + emotionIntensity * 0.5), 1);
+        if (!hadActiveEvents && !queueHandled) {
+            if (this.eventQueue.length > 0) {
+                // Waiting for a delayed chained event
+            } else if (this.gapTimer > 0) {
+                this.gapTimer--;
+            } else if (randomAllowed) { // Gap is over, check for new event
+                const event = this.rng.next() < triggerProb ? this._selectSpontaneousEvent(agentEmotionsArray) : null;
+                if (event) {
+                    contributions.push({ type: event.name, reward: this._startEvent(event, null, agentEmotionsArray) });
+                    started.push(event.name);
+                } else {
+                    // No event triggered (or none eligible), reset gap timer
+                    this.gapTimer = eventGap;
                 }
-                // Ensure index is valid for the defined events array
-                eventIdx = clamp(eventIdx, 0, this.events.length - 1);
-
-                const eventData = this.events[eventIdx];
-                this.currentEvent = { type: eventData[0], context: eventData[1], reward: eventData[2] };
-                context = this.currentEvent.context;
-                triggeredEventType = this.currentEvent.type;
-                // Initial reward is scaled by agent's corresponding emotion intensity
-                const agentCorrespondingEmotion = agentEmotionsArray[eventIdx] ?? 0;
-                reward = this.currentEvent.reward * (agentCorrespondingEmotion * 0.7 + 0.3);
-                this.eventTimer = eventDuration; // Start event timer
-            } else {
-                // No event triggered, reset gap timer (or maybe a shorter random gap?)
-                this.gapTimer = eventGap;
-                context = "System stable.";
             }
+        } else if (randomAllowed && this.activeEvents.length > 0 && this.activeEvents.length < maxConcurrent && this.eventQueue.length === 0) {
+            // Overlapping event: another spontaneous event may join the active ones
+            if (this.rng.next() < triggerProb * (Config.Env?.OVERLAP_FREQ ?? 0.5)) {
+                const event = this._selectSpontaneousEvent(agentEmotionsArray, this.activeEvents.map(active => active.type));
+                if (event) {
+                    contributions.push({ type: event.name, reward: this._startEvent(event, null, agentEmotionsArray) });
+                    started.push(event.name);
+                }
+            }
+        }
+        this._formCompoundEvents(agentEmotionsArray, contributions, started);
+
+        reward = this._blendRewards(contributions.map(contribution => contribution.reward));
+        const eventTypes = [...new Set(contributions.map(contribution => contribution.type))];
+        const primary = started.length > 0
+            ? this.activeEvents.find(active => active.type === started[started.length - 1])
+            : this.activeEvents[this.activeEvents.length - 1];
+        if (primary) {
+            context = primary.context + (this.activeEvents.length > 1 ? ` (+${this.activeEvents.length - 1} concurrent)` : "");
+            triggeredEventType = primary.type;
+        } else if (concludedTypes.length > 0) {
+            context = "Event concluded.";
+            triggeredEventType = concludedTypes[concludedTypes.length - 1];
+        } else {
+            context = "System stable.";
         }
 
+        const eventEmotion = triggeredEventType ? (this.catalog.byName.get(triggeredEventType)?.emotion ?? triggeredEventType) : null;
+
         // Dysvariant Fluctuations
         // Probability increases if RIH is low
         const effectiveDysVarProb = dysVarProb * (1 - clamp(currentRIHScore, 0, 1));
-        if (Math.random() < effectiveDysVarProb) {
-            const randomIndex = Math.floor(Math.random() * coreDims);
+        if (this.rng.next() < effectiveDysVarProb) {
+            const randomIndex = this.rng.int(coreDims);
             // Amplitude decreases if Affinity is high (more coherent structure resists fluctuation)
-            const amplitude = (Math.random() - 0.5) * 0.3 * (1 - clamp(currentAvgAffinity, -1, 1));
+            const amplitude = (this.rng.next() - 0.5) * 0.3 * (1 - clamp(currentAvgAffinity, -1, 1));
             if (this.currentStateVector.length > randomIndex) {
                 this.currentStateVector[randomIndex] = clamp((this.currentStateVector[randomIndex] || 0) + amplitude, -1, 1);
             }
             context += " (Dysvariant fluctuation)";
         }
 
-        // Update the internal stateVector based on new baseEmotions and event
-        await this._updateStateVector(this.baseEmotions, triggeredEventType);
+        // Agent actions: a new head movement shifts the base emotions, the feedback signal perturbs the core state
+        let actionEffects = null;
+        if (actionsEnabled) {
+            actionEffects = this._applyGesture(headMovement);
+            if (actionEffects.gesture) context += ` (Agent ${actionEffects.gesture})`;
+        }
+
+        // Update the internal stateVector based on new baseEmotions and the acting events
+        await this._updateStateVector(this.baseEmotions, eventTypes);
+        if (actionsEnabled) {
+            Object.assign(actionEffects, this._applyFeedback(feedback));
+            reward += actionEffects.gestureReward + actionEffects.feedbackReward;
+        }
 
         // Get the final state tensor for output
         const stateTensor = await this._getStateTensor();
@@ -270,20 +377,210 @@ export class EmotionalSpace {
 
         if (!stateTensor || (stateTensor instanceof tf.Tensor && stateTensor.isDisposed)) {
             console.error("[Environment Step] Failed to generate valid state tensor. Returning null state.");
-            return { state: null, reward, done, context, eventType: triggeredEventType };
+            return { state: null, reward, done, context, eventType: triggeredEventType, eventEmotion, eventTypes, actionEffects };
         }
 
         // Return a *new* kept tensor clone for the caller
-        return { state: tf.keep(stateTensor.clone()), reward, done, context, eventType: triggeredEventType };
+        const keptState = tf.keep(stateTensor.clone());
+        tf.dispose(stateTensor);
+        return { state: keptState, reward, done, context, eventType: triggeredEventType, eventEmotion, eventTypes, actionEffects };
+    }
+
+    /** Scenario entries triggered at the given step, in script order. */
+    _scenarioTriggersAt(step) {
+        return this.scenario?.entries.filter(entry => entry.at === step) ?? [];
+    }
+
+    /** What event preconditions are checked against. */
+    _eventSituation() {
+        const baseEmotions = this.baseEmotions && !this.baseEmotions.isDisposed ? this.baseEmotions.arraySync()[0] : [];
+        return { step: this.stepCount, lastEventType: this.lastEventType, baseEmotions, stateVector: this.currentStateVector };
+    }
+
+    /**
+     * Picks a spontaneous event, biased toward the agent's stronger emotions, among those whose preconditions hold.
+     * @param {number[]} agentEmotionsArray
+     * @param {string[]} [exclude=[]] - Event types that may not be picked (already active).
+     * @returns {Object|null} Catalog event, or null if none is eligible.
+     */
+    _selectSpontaneousEvent(agentEmotionsArray, exclude = []) {
+        const situation = this._eventSituation();
+        const candidates = this.catalog.events.filter(event =>
+            event.spontaneous && event.weight > 0 && !exclude.includes(event.name) && preconditionsMet(event, situation));
+        if (candidates.length === 0) return null;
+
+        const eventProbs = candidates.map(event => ((agentEmotionsArray[event.emotionIndex] ?? 0) * 0.5 + 0.5) * event.weight); // Bias towards higher emotions
+        const totalProb = eventProbs.reduce((a, b) => a + b, 0);
+        const normalizedProbs = totalProb > 0
+            ? eventProbs.map(p => p / totalProb)
+            : Array(candidates.length).fill(1 / candidates.length);
+
+        let rand = this.rng.next();
+        for (let i = 0; i < normalizedProbs.length; i++) {
+            rand -= normalizedProbs[i];
+            if (rand <= 0) return candidates[i];
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Starts queued events whose step has come. Scripted events start regardless of MAX_CONCURRENT_EVENTS;
+     * chained ones wait for a free slot and must meet their preconditions.
+     * @returns {boolean} True if a queued event was started or dropped on this step.
+     */
+    _startQueuedEvents(agentEmotionsArray, maxConcurrent, contributions, started) {
+        let handled = false;
+        [...this.eventQueue].forEach(queued => {
+            if (queued.startStep === null || queued.startStep > this.stepCount) return;
+            if (!queued.scripted && this.activeEvents.length >= maxConcurrent) return;
+            this.eventQueue.splice(this.eventQueue.indexOf(queued), 1);
+            handled = true;
+            const event = this.catalog.byName.get(queued.event);
+            if (!event) console.warn(`[Environment] Unknown event "${queued.event}" skipped.`);
+            if (event && (queued.scripted || preconditionsMet(event, this._eventSituation()))) {
+                contributions.push({ type: event.name, reward: this._startEvent(event, queued.duration, agentEmotionsArray, queued) });
+                started.push(event.name);
+                return;
+            }
+            const followUp = this.eventQueue.find(entry => entry.track === queued.track && entry.startStep === null);
+            if (followUp) followUp.startStep = this.stepCount + 1;
+        });
+        if (handled && this.activeEvents.length === 0 && this.eventQueue.length === 0) this.gapTimer = Config.Env?.EVENT_GAP ?? 180;
+        return handled;
+    }
+
+    /**
+     * Starts compound events whose components are all active (e.g. Surprise + Fear). A compound runs alongside
+     * its components; with `absorbs: true` it replaces the non-scripted ones (whose pending chain steps then follow
+     * the compound), while scripted components always keep their schedule.
+     */
+    _formCompoundEvents(agentEmotionsArray, contributions, started) {
+        this.catalog.events.forEach(event => {
+            if (!event.compoundOf || this.activeEvents.some(active => active.type === event.name)) return;
+            const components = event.compoundOf.map(component => this.activeEvents.find(active => active.type === component));
+            if (components.some(component => !component)) return;
+            // Each set of component events forms the compound once (it does not re-form after it ends)
+            if (components.every(component => component.compounds?.includes(event.name))) return;
+            components.forEach(component => { component.compounds = [...(component.compounds ?? []), event.name]; });
+            const track = `compound-${this.stepCount}-${event.name}`;
+            if (event.absorbs) {
+                // Scripted components keep running on their own schedule; only the others are replaced
+                const absorbed = components.filter(component => !component.scripted);
+                this.activeEvents = this.activeEvents.filter(active => !absorbed.includes(active));
+                const absorbedTracks = absorbed.map(component => component.track);
+                this.eventQueue.forEach(entry => { if (absorbedTracks.includes(entry.track)) entry.track = track; });
+            }
+            contributions.push({ type: event.name, reward: this._startEvent(event, null, agentEmotionsArray, { track }) });
+            started.push(event.name);
+        });
+    }
+
+    /** Combines the rewards of concurrent events according to Config.Env.REWARD_BLEND. */
+    _blendRewards(rewards) {
+        if (rewards.length === 0) return 0;
+        switch (Config.Env?.REWARD_BLEND ?? 'sum') {
+            case 'mean': return rewards.reduce((a, b) => a + b, 0) / rewards.length;
+            case 'strongest': return rewards.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a));
+            default: return rewards.reduce((a, b) => a + b, 0);
+        }
+    }
+
+    /**
+     * Starts an event.
+     * @param {Object} [origin] - Queue entry it came from ({ scripted, track }); spontaneous events get their own track.
+     * @returns {number} Initial reward, scaled by the agent's intensity of the event's emotion.
+     */
+    _startEvent(event, duration, agentEmotionsArray, origin = {}) {
+        const eventDuration = duration ?? event.duration;
+        this.activeEvents.push({
+            type: event.name, context: event.context, reward: event.reward, duration: eventDuration, timer: eventDuration,
+            scripted: origin.scripted ?? false, track: origin.track ?? `event-${this.stepCount}-${event.name}`
+        });
+        const agentCorrespondingEmotion = agentEmotionsArray[event.emotionIndex] ?? 0;
+        return event.reward * (agentCorrespondingEmotion * 0.7 + 0.3);
+    }
+
+    /** Ends an active event: the next event of its script follows directly, otherwise a chained event may be queued. */
+    _concludeEvent(active) {
+        this.activeEvents = this.activeEvents.filter(entry => entry !== active);
+        this.lastEventType = active.type;
+        const followUp = this.eventQueue.find(entry => entry.track === active.track && entry.startStep === null);
+        if (followUp) {
+            followUp.startStep = this.stepCount + 1;
+            return;
+        }
+        const link = this.catalog.byName.get(active.type)?.next.find(candidate => candidate.probability >= 1 || this.rng.next() < candidate.probability);
+        if (link) this.eventQueue.push({ event: link.event, duration: link.duration, startStep: this.stepCount + 1 + link.delay, scripted: false, track: active.track });
+    }
+
+    /**
+     * Head movement as a communicative act: a gesture the agent starts (not one it holds) shifts the base emotions
+     * and is rewarded when it fits an active event (see GESTURE_EFFECTS).
+     * @param {string} headMovement - One of HEAD_MOVEMENT_LABELS.
+     * @returns {{gesture: string|null, gestureReward: number}} `gesture` is set when a gesture started on this step.
+     */
+    _applyGesture(headMovement) {
+        const started = headMovement !== this.lastGesture ? headMovement : null;
+        this.lastGesture = headMovement;
+        const effect = GESTURE_EFFECTS[started];
+        if (!effect) return { gesture: null, gestureReward: 0 };
+
+        const settings = Config.AgentActions;
+        const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
+        const shift = new Array(emotionDim).fill(0);
+        Object.entries(effect.emotions).forEach(([name, weight]) => {
+            const index = emotionNames.indexOf(name);
+            if (index !== -1 && index < emotionDim) shift[index] = weight * settings.GESTURE_SHIFT;
+        });
+        if (this.baseEmotions && !this.baseEmotions.isDisposed) {
+            const shifted = tf.tidy(() => this.baseEmotions.add(tf.tensor([shift], [1, emotionDim])).clipByValue(0, 1));
+            tf.dispose(this.baseEmotions);
+            this.baseEmotions = tf.keep(shifted);
+        }
+
+        const activeEmotions = this.activeEvents.map(active => this.catalog.byName.get(active.type)?.emotion ?? active.type);
+        let gestureReward = 0;
+        if (activeEmotions.length > 0) {
+            gestureReward = activeEmotions.some(emotion => effect.fits.includes(emotion)) ? settings.GESTURE_REWARD : -settings.GESTURE_REWARD / 2;
+        }
+        return { gesture: started, gestureReward };
+    }
+
+    /**
+     * Adds the agent's feedback signal to the core state, bounded to ±FEEDBACK_MAX per dimension. The effort costs
+     * FEEDBACK_COST × mean |perturbation|; perturbing along an active event's targets is rewarded for positive
+     * events and penalized for negative ones (counteracting a negative event is rewarded).
+     * @param {number[]|null} feedback - Feedback signal (DIMENSIONS values) or null.
+     * @returns {{feedbackReward: number, perturbation: number}} Reward and mean |perturbation|.
+     */
+    _applyFeedback(feedback) {
+        if (!feedback) return { feedbackReward: 0, perturbation: 0 };
+        const settings = Config.AgentActions;
+        const coreDims = Config?.DIMENSIONS ?? 12;
+        const applied = new Array(coreDims).fill(0);
+        for (let i = 0; i < coreDims; i++) {
+            const delta = clamp((feedback[i] ?? 0) * settings.FEEDBACK_GAIN, -settings.FEEDBACK_MAX, settings.FEEDBACK_MAX);
+            const before = this.currentStateVector[i] || 0;
+            this.currentStateVector[i] = clamp(before + delta, -1, 1);
+            applied[i] = this.currentStateVector[i] - before;
+        }
+        const perturbation = applied.reduce((sum, value) => sum + Math.abs(value), 0) / Math.max(1, coreDims);
+        let regulation = 0;
+        this.activeEvents.forEach(active => {
+            const event = this.catalog.byName.get(active.type);
+            if (!event) return;
+            event.targets.forEach(({ dim, delta }) => { regulation += Math.sign(active.reward) * Math.sign(delta) * applied[dim % coreDims]; });
+        });
+        return { feedbackReward: settings.FEEDBACK_REGULATION_REWARD * regulation - settings.FEEDBACK_COST * perturbation, perturbation };
     }
 
     /**
      * Internal helper to update the core dimensions of the state vector based on emotions and events.
      * Also appends the base emotions to the end to form the full BASE_STATE_DIM vector.
      * @param {tf.Tensor | null} currentBaseEmotions - The environment's base emotion tensor.
-     * @param {string | null} eventType - The type of the active event, if any.
+     * @param {string | string[] | null} eventTypes - The type(s) of the acting events, if any; their perturbations add up.
      */
-    async _updateStateVector(currentBaseEmotions, eventType = null) {
+    async _updateStateVector(currentBaseEmotions, eventTypes = null) {
         const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
         const coreDims = Config?.DIMENSIONS ?? 12;
         const baseStateDim = Config.Agent?.BASE_STATE_DIM ?? 18;
@@ -300,38 +597,25 @@ export class EmotionalSpace {
             this.currentStateVector = zeros([baseStateDim]);
         }
 
-        // Update core dimensions (indices 0 to coreDims - 1) based on emotions
-        // Example mapping (adjust based on desired state vector meaning)
-        this.currentStateVector[0] = clamp(((emotions[0] || 0) - (emotions[1] || 0)) * 0.8, -1, 1); // Joy vs Fear
-        if (coreDims > 1) this.currentStateVector[1] = clamp(((emotions[4] || 0) - (emotions[3] || 0)) * 0.7, -1, 1); // Calm vs Frustration
-        if (coreDims > 2) this.currentStateVector[2] = clamp((emotions[2] || 0) * 1.5 - 0.5, -1, 1); // Curiosity scaled
-        if (coreDims > 3) this.currentStateVector[3] = clamp((emotions[5] || 0) * 1.2 - 0.3, -1, 1); // Surprise scaled
-
-        // Update remaining core dimensions with some decay and random noise
-        for (let i = 4; i < coreDims; i++) {
-            const emoIdx = i % emotionDim; // Cycle through emotions
-            const prevVal = this.currentStateVector[i] || 0;
-            const emoInfluence = ((emotions[emoIdx] || 0) - 0.5) * 0.15; // Influence towards +/- based on emotion deviation from neutral
-            const randomPerturbation = (Math.random() - 0.5) * 0.03; // Small random noise
-            this.currentStateVector[i] = clamp(prevVal * 0.95 + emoInfluence + randomPerturbation, -1, 1); // Apply decay, influence, noise
-        }
-
-        // Apply event-specific perturbations to core dimensions
-        if (eventType) {
-            const emotionIndex = this.emotionNames.indexOf(eventType);
-            if (emotionIndex !== -1) {
-                // Perturb dimensions related to the event's emotion index
-                const dim1 = emotionIndex % coreDims;
-                const dim2 = (emotionIndex + 3) % coreDims; // Another related dimension
-                if (this.currentStateVector.length > dim1) this.currentStateVector[dim1] = clamp((this.currentStateVector[dim1] || 0) + 0.4, -1, 1);
-                if (this.currentStateVector.length > dim2) this.currentStateVector[dim2] = clamp((this.currentStateVector[dim2] || 0) + 0.15, -1, 1);
-                // Apply small random perturbations to a few other dimensions
-                for (let k = 0; k < 3; k++) {
-                    const randDim = Math.floor(Math.random() * coreDims);
-                    if (this.currentStateVector.length > randDim) this.currentStateVector[randDim] = clamp((this.currentStateVector[randDim] || 0) + (Math.random() - 0.5) * 0.1, -1, 1);
-                }
+        // Update core dimensions (indices 0 to coreDims - 1) through the state mapping
+        const core = this.stateMapping.map(emotions, this.currentStateVector.slice(0, coreDims), { rng: this.rng, coreDims, emotionDim, step: this.stepCount });
+        core.forEach((value, i) => { this.currentStateVector[i] = value; });
+
+        // Apply event-specific perturbations to core dimensions, one event after the other
+        [].concat(eventTypes ?? []).forEach(eventType => {
+            const event = this.catalog?.byName.get(eventType);
+            if (!event) return;
+            // Push the event's target dimensions
+            event.targets.forEach(({ dim, delta }) => {
+                const index = dim % coreDims;
+                this.currentStateVector[index] = clamp((this.currentStateVector[index] || 0) + delta, -1, 1);
+            });
+            // Apply small random perturbations to a few other dimensions
+            for (let k = 0; k < event.jitter.count; k++) {
+                const randDim = this.rng.int(coreDims);
+                if (this.currentStateVector.length > randDim) this.currentStateVector[randDim] = clamp((this.currentStateVector[randDim] || 0) + (this.rng.next() - 0.5) * event.jitter.amplitude, -1, 1);
             }
-        }
+        });
 
         // Append base emotion values to the vector (indices coreDims to baseStateDim - 1)
         for (let i = 0; i < emotionDim; i++) {
@@ -378,11 +662,8 @@ export class EmotionalSpace {
      * Caller is responsible for disposing the tensor.
      */
     async getEmotionalImpactFromText(text) {
-         const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
-        const impact = zeros([emotionDim]);
-        let foundKeyword = false;
-        const lowerText = text.toLowerCase();
-        let baseEmotionsChanged = false;
+        const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
+        const { impact, baseChanges } = analyzeTextEmotions(text);
         let currentBase = zeros([emotionDim]);
 
         // Get current base emotions array safely
@@ -394,26 +675,11 @@ export class EmotionalSpace {
         while(currentBase.length < emotionDim) currentBase.push(0.5);
         currentBase = currentBase.slice(0, emotionDim);
 
-
-        // Iterate through defined emotion keywords
-        for (const idxStr in emotionKeywords) {
-            const info = emotionKeywords[idxStr];
-            const numIdx = parseInt(idxStr, 10);
-            if (isNaN(numIdx) || numIdx >= emotionDim) continue; // Skip if index invalid or out of bounds
-
-            for (let keyword of info.keywords) {
-                if (lowerText.includes(keyword)) {
-                    impact[numIdx] = Math.max(impact[numIdx], info.strength);
-                    foundKeyword = true;
-                    // Modify the *copy* of the base emotions array
-                    if (currentBase.length > numIdx) {
-                        currentBase[numIdx] = clamp((currentBase[numIdx] || 0) + (info.baseChange || 0), 0, 1);
-                        baseEmotionsChanged = true;
-                    }
-                    break; // Move to next emotion once a keyword is found for the current one
-                }
-            }
-        }
+        // Shift the base emotions of every emotion whose keywords were found
+        const baseEmotionsChanged = baseChanges.some(change => change !== null);
+        baseChanges.forEach((change, i) => {
+            if (change !== null) currentBase[i] = clamp((currentBase[i] || 0) + change, 0, 1);
+        });
 
         // Update the environment's baseEmotions tensor *if* changes occurred
         if (baseEmotionsChanged) {
@@ -421,20 +687,12 @@ export class EmotionalSpace {
                  if (this.baseEmotions && !this.baseEmotions.isDisposed) tf.dispose(this.baseEmotions);
                  this.baseEmotions = tf.keep(tf.tensor([currentBase], [1, emotionDim]));
                  // Update the main state vector immediately after changing base emotions
-                 await this._updateStateVector(this.baseEmotions, this.currentEvent?.type);
+                 await this._updateStateVector(this.baseEmotions, this.activeEvents.map(active => active.type));
              } catch(e) {
                  console.error("Error updating base emotions tensor after text impact:", e);
              }
         }
 
-        // If no specific keywords found, apply a default low impact (e.g., curiosity)
-        if (!foundKeyword) {
-            const curiosityIndex = emotionNames.indexOf("Curiosity"); // Find index dynamically
-            const calmIndex = emotionNames.indexOf("Calm");
-            if (curiosityIndex !== -1 && curiosityIndex < impact.length) impact[curiosityIndex] = 0.3;
-            if (calmIndex !== -1 && calmIndex < impact.length) impact[calmIndex] = 0.2;
-        }
-
         try {
             const impactTensor = await tf.tensor([impact], [1, emotionDim]);
             // Return a new kept tensor for the caller
@@ -461,13 +719,16 @@ export class EmotionalSpace {
              }
 
             return {
+                type: this.type,
                 // Ensure arrays are actual copies, not references
                 currentStateVector: [...this.currentStateVector],
                 baseEmotions: [...baseEmotionsArray], // Save as array
                 stepCount: this.stepCount,
-                eventTimer: this.eventTimer,
                 gapTimer: this.gapTimer,
-                currentEvent: this.currentEvent ? { ...this.currentEvent } : null // Deep copy event object
+                activeEvents: this.activeEvents.map(active => ({ ...active })), // Deep copy event objects
+                eventQueue: this.eventQueue.map(entry => ({ ...entry })),
+                lastEventType: this.lastEventType,
+                lastGesture: this.lastGesture
             };
         } catch (e) {
              console.error("Error getting environment state:", e);
@@ -485,6 +746,11 @@ export class EmotionalSpace {
             this._initializeState(); // Reset to default if load fails
             return;
         }
+        if (state.type !== undefined && state.type !== this.type) {
+            console.warn(`[Environment] Saved state belongs to environment "${state.type}"; not applied.`);
+            displayError(`Saved environment state is for "${state.type}", not ${this.type}. Environment not restored.`, false, 'error-message');
+            return;
+        }
         console.log("Loading environment state...");
         try {
             const baseStateDim = Config.Agent?.BASE_STATE_DIM ?? 18;
@@ -506,10 +772,14 @@ export class EmotionalSpace {
 
             // Load timers and event state safely
             this.stepCount = typeof state.stepCount === 'number' ? state.stepCount : 0;
-            this.eventTimer = typeof state.eventTimer === 'number' ? state.eventTimer : 0;
             this.gapTimer = typeof state.gapTimer === 'number' ? state.gapTimer : (Config.Env?.EVENT_GAP ?? 180);
-            // Safely copy currentEvent object
-            this.currentEvent = (state.currentEvent && typeof state.currentEvent === 'object') ? { ...state.currentEvent } : null;
+            // Safely copy the active events (saves with a single currentEvent are converted by the state migration)
+            this.activeEvents = Array.isArray(state.activeEvents)
+                ? state.activeEvents.filter(active => active && typeof active === 'object').map(active => ({ ...active }))
+                : [];
+            this.eventQueue = Array.isArray(state.eventQueue) ? state.eventQueue.map(entry => ({ ...entry })) : [];
+            this.lastEventType = typeof state.lastEventType === 'string' ? state.lastEventType : null;
+            this.lastGesture = typeof state.lastGesture === 'string' ? state.lastGesture : 'idle';
 
             console.log("Environment state loaded successfully.");
         } catch (e) {
@@ -519,6 +789,21 @@ export class EmotionalSpace {
         }
     }
 
+    actionSpec() {
+        const used = Config.AgentActions?.ENABLED === true ? ['emotions', 'rihScore', 'avgAffinity', 'headMovement', 'feedback'] : ['emotions', 'rihScore', 'avgAffinity'];
+        return { ...super.actionSpec(), used };
+    }
+
+    /** @returns {boolean} True while the base emotions tensor is available. */
+    isValid() {
+        return !!this.baseEmotions && !this.baseEmotions.isDisposed;
+    }
+
+    /** Meaning of the core dimensions, as defined by the state mapping. */
+    coreLabels() {
+        return this.stateMapping.getLabels(Config.DIMENSIONS);
+    }
+
     /**
      * Cleans up TensorFlow resources used by the environment.
      */
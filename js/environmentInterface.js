@@ -0,0 +1,244 @@
+// js/environmentInterface.js
+
+import { Config, emotionKeywords, emotionNames, HEAD_MOVEMENT_LABELS } from './config.js';
+import { zeros, clamp } from './utils.js';
+
+/**
+ * Interface shared by every environment the simulation can run in (EmotionalSpace, the grid world, the dialogue
+ * environment, ...). The simulation loop only uses these members:
+ *
+ *   reset()                     -> Promise<{ state }>
+ *   step(action)                -> Promise<{ state, reward, done, context, eventType, eventEmotion, eventTypes }>
+ *   observationSpec()           -> { shape, coreDims, emotionDim, low, high, labels }
+ *   actionSpec()                -> { emotions, rihScore, avgAffinity, headMovement, feedback, used }
+ *   getState() / loadState(s)   -> serializable state ({ type, stepCount, currentStateVector, baseEmotions, ... })
+ *   getEmotionalImpactFromText(text) -> Promise<tf.Tensor|null> (chat input)
+ *   isValid(), cleanup()
+ *   stepCount, currentStateVector
+ *
+ * Observations are [1, BASE_STATE_DIM] tensors owned by the caller: DIMENSIONS core values in [-1, 1] followed by
+ * EMOTION_DIM emotion values in [0, 1], the layout the agent's networks expect. `eventEmotion` is the emotion name
+ * the primary event belongs to (event-supervised emotion learning is keyed on it); it may differ from `eventType`.
+ */
+
+/** Where an environment's reset/step are missing. */
+function notImplemented(environment, method) {
+    return new Error(`[Environment:${environment.type}] ${method}() is not implemented.`);
+}
+
+/**
+ * Normalizes an agent action. Accepts an action object ({ emotions, rihScore, avgAffinity, headMovement, feedback }) or the
+ * positional form (emotionsTensor, rihScore, avgAffinity) of the original EmotionalSpace.step().
+ * @param {Object|tf.Tensor|null} actionOrEmotions
+ * @param {number} [rihScore=0]
+ * @param {number} [avgAffinity=0]
+ * @returns {{emotions: tf.Tensor|null, rihScore: number, avgAffinity: number, headMovement: string, feedback: number[]|null}}
+ *   `feedback` is the agent's feedback signal (DIMENSIONS values, non-finite ones as 0), or null if absent.
+ */
+export function normalizeAction(actionOrEmotions, rihScore = 0, avgAffinity = 0) {
+    const isActionObject = actionOrEmotions && typeof actionOrEmotions === 'object' && !(actionOrEmotions instanceof tf.Tensor);
+    const action = isActionObject ? actionOrEmotions : { emotions: actionOrEmotions, rihScore, avgAffinity };
+    return {
+        emotions: action.emotions ?? null,
+        rihScore: Number.isFinite(action.rihScore) ? action.rihScore : 0,
+        avgAffinity: Number.isFinite(action.avgAffinity) ? action.avgAffinity : 0,
+        headMovement: HEAD_MOVEMENT_LABELS.includes(action.headMovement) ? action.headMovement : 'idle',
+        feedback: Array.isArray(action.feedback) && action.feedback.length > 0
+            ? Array.from({ length: Config.DIMENSIONS }, (_, i) => (Number.isFinite(action.feedback[i]) ? action.feedback[i] : 0))
+            : null
+    };
+}
+
+/**
+ * Reads an agent emotions tensor [1, EMOTION_DIM] into an array (padded with 0.5, zeros if unavailable).
+ * @param {tf.Tensor|null} emotionsTensor
+ * @returns {Promise<number[]>}
+ */
+export async function readAgentEmotions(emotionsTensor) {
+    const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
+    if (!emotionsTensor || typeof emotionsTensor.array !== 'function' || emotionsTensor.isDisposed) return zeros([emotionDim]);
+    try {
+        const emotions = (await emotionsTensor.array())[0];
+        while (emotions.length < emotionDim) emotions.push(0.5);
+        return emotions.slice(0, emotionDim);
+    } catch (e) {
+        console.error("Error getting agent emotions array:", e);
+        return zeros([emotionDim]);
+    }
+}
+
+/**
+ * Keyword analysis of chat text (Config emotionKeywords).
+ * @param {string} text
+ * @returns {{impact: number[], baseChanges: Array<number|null>, foundKeyword: boolean}} Impact per emotion
+ *   (curiosity/calm defaults when no keyword matched) and the base-emotion change of every matched emotion (null otherwise).
+ */
+export function analyzeTextEmotions(text) {
+    const emotionDim = Config.Agent?.EMOTION_DIM ?? 6;
+    const impact = zeros([emotionDim]);
+    const baseChanges = new Array(emotionDim).fill(null);
+    const lowerText = String(text ?? '').toLowerCase();
+    let foundKeyword = false;
+
+    for (const idxStr in emotionKeywords) {
+        const info = emotionKeywords[idxStr];
+        const numIdx = parseInt(idxStr, 10);
+        if (isNaN(numIdx) || numIdx >= emotionDim) continue;
+        const keyword = info.keywords.find(candidate => lowerText.includes(candidate));
+        if (keyword === undefined) continue;
+        impact[numIdx] = Math.max(impact[numIdx], info.strength);
+        baseChanges[numIdx] = info.baseChange || 0;
+        foundKeyword = true;
+    }
+
+    if (!foundKeyword) {
+        const curiosityIndex = emotionNames.indexOf("Curiosity");
+        const calmIndex = emotionNames.indexOf("Calm");
+        if (curiosityIndex !== -1 && curiosityIndex < impact.length) impact[curiosityIndex] = 0.3;
+        if (calmIndex !== -1 && calmIndex < impact.length) impact[calmIndex] = 0.2;
+    }
+    return { impact, baseChanges, foundKeyword };
+}
+
+/**
+ * Base class with the parts every environment shares: the observation/action specs, the state tensor, the
+ * text-impact tensor and the type tag of saved states. Subclasses implement reset() and step(action).
+ */
+export class SimulationEnvironment {
+    /**
+     * @param {string} type - Registry name of the environment (stored in saved states).
+     */
+    constructor(type) {
+        this.type = type;
+        this.stepCount = 0;
+        this.currentStateVector = zeros([Config.Agent?.BASE_STATE_DIM ?? 18]); // Full observation (core + emotions)
+    }
+
+    /** @returns {Promise<{state: tf.Tensor|null}>} */
+    async reset() {
+        throw notImplemented(this, 'reset');
+    }
+
+    /**
+     * @param {Object} action - { emotions, rihScore, avgAffinity, headMovement, feedback } (see normalizeAction).
+     * @returns {Promise<{state: tf.Tensor|null, reward: number, done: boolean, context: string, eventType: string|null, eventEmotion: string|null, eventTypes: string[]}>}
+     */
+    async step(action) {
+        throw notImplemented(this, 'step');
+    }
+
+    /** Labels of the core dimensions (DIMENSIONS entries). */
+    coreLabels() {
+        return Array.from({ length: Config.DIMENSIONS }, (_, i) => `dim ${i}`);
+    }
+
+    /**
+     * Shape, bounds and meaning of the observations.
+     * @returns {{shape: number[], coreDims: number, emotionDim: number, low: number[], high: number[], labels: string[]}}
+     */
+    observationSpec() {
+        const coreDims = Config.DIMENSIONS;
+        const emotionDim = Config.Agent.EMOTION_DIM;
+        return {
+            shape: [1, coreDims + emotionDim],
+            coreDims,
+            emotionDim,
+            low: [...new Array(coreDims).fill(-1), ...new Array(emotionDim).fill(0)],
+            high: new Array(coreDims + emotionDim).fill(1),
+            labels: [...this.coreLabels(), ...emotionNames.slice(0, emotionDim)]
+        };
+    }
+
+    /**
+     * The action fields the environment reads. Every environment receives the full action; `used` lists the ones it acts on.
+     * @returns {{emotions: Object, rihScore: Object, avgAffinity: Object, headMovement: Object, feedback: Object, used: string[]}}
+     */
+    actionSpec() {
+        return {
+            emotions: { shape: [1, Config.Agent.EMOTION_DIM], low: 0, high: 1 },
+            rihScore: { low: 0, high: 1 },
+            avgAffinity: { low: -1, high: 1 },
+            headMovement: { values: [...HEAD_MOVEMENT_LABELS] },
+            feedback: { shape: [Config.DIMENSIONS], low: -Infinity, high: Infinity }, // Unbounded; environments bound its effect
+            used: ['emotions', 'rihScore', 'avgAffinity']
+        };
+    }
+
+    /** True when the environment is ready to step. */
+    isValid() {
+        return this.currentStateVector.length === Config.Agent.BASE_STATE_DIM;
+    }
+
+    /** The current observation as a kept [1, BASE_STATE_DIM] tensor owned by the caller (null on error). */
+    _stateTensor() {
+        const baseStateDim = Config.Agent?.BASE_STATE_DIM ?? 18;
+        const state = this.currentStateVector.slice(0, baseStateDim);
+        while (state.length < baseStateDim) state.push(0);
+        try {
+            return tf.keep(tf.tensor([state], [1, baseStateDim]));
+        } catch (e) {
+            console.error(`[Environment:${this.type}] Error creating state tensor:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Writes core values and emotions into currentStateVector (core clamped to [-1, 1], emotions to [0, 1]).
+     * @param {number[]} core - Up to DIMENSIONS values; missing ones are 0.
+     * @param {number[]} emotions - EMOTION_DIM values.
+     */
+    _setObservation(core, emotions) {
+        const coreDims = Config.DIMENSIONS;
+        const emotionDim = Config.Agent.EMOTION_DIM;
+        this.currentStateVector = [
+            ...Array.from({ length: coreDims }, (_, i) => (Number.isFinite(core[i]) ? clamp(core[i], -1, 1) : 0)),
+            ...Array.from({ length: emotionDim }, (_, i) => clamp(emotions[i] ?? 0, 0, 1))
+        ];
+    }
+
+    /**
+     * Emotional impact of chat text as a kept [1, EMOTION_DIM] tensor (caller disposes). Subclasses that react to
+     * chat override this and may call it for the tensor.
+     * @param {string} text
+     * @returns {Promise<tf.Tensor|null>}
+     */
+    async getEmotionalImpactFromText(text) {
+        const { impact } = analyzeTextEmotions(text);
+        try {
+            return tf.keep(tf.tensor([impact], [1, impact.length]));
+        } catch (e) {
+            console.error("Error creating impact tensor:", e, impact);
+            return null;
+        }
+    }
+
+    /** @returns {Object} Serializable state tagged with the environment type. */
+    getState() {
+        return { type: this.type, stepCount: this.stepCount, currentStateVector: [...this.currentStateVector] };
+    }
+
+    /**
+     * Restores what getState() saved. A state saved by another environment type is reported and ignored.
+     * @param {Object} state
+     * @returns {boolean} False if the state was not applied.
+     */
+    loadState(state) {
+        if (!state || typeof state !== 'object') {
+            console.error(`[Environment:${this.type}] Invalid state object provided for loading.`);
+            return false;
+        }
+        if (state.type !== undefined && state.type !== this.type) {
+            console.warn(`[Environment:${this.type}] Saved state belongs to environment "${state.type}"; not applied.`);
+            return false;
+        }
+        const baseStateDim = Config.Agent?.BASE_STATE_DIM ?? 18;
+        this.stepCount = typeof state.stepCount === 'number' ? state.stepCount : 0;
+        if (Array.isArray(state.currentStateVector) && state.currentStateVector.length === baseStateDim) {
+            this.currentStateVector = [...state.currentStateVector];
+        }
+        return true;
+    }
+
+    /** Releases resources (nothing by default). */
+    cleanup() {}
+}
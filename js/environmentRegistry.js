@@ -0,0 +1,33 @@
+// js/environmentRegistry.js
+
+import { Config } from './config.js';
+import { EmotionalSpace } from './environment.js';
+import { GridWorldEnvironment } from './gridWorldEnvironment.js';
+import { DialogueEnvironment } from './dialogueEnvironment.js';
+
+/**
+ * Registry of environments implementing the interface in environmentInterface.js: type -> factory(options).
+ * Options not used by an environment are ignored, so the same options object (rng, eventCatalog, scenario,
+ * stateMapping, transcript, settings) can be passed to any of them. Register further environments here.
+ */
+export const ENVIRONMENTS = {
+    emotionalSpace: (options) => new EmotionalSpace(options),
+    gridWorld: (options) => new GridWorldEnvironment(options),
+    dialogue: (options) => new DialogueEnvironment(options)
+};
+
+/**
+ * Creates an environment, falling back to 'emotionalSpace' for unknown types.
+ * @param {string|Object|null} [spec] - Registry name, or { type, ...options }; defaults to Config.Env.TYPE.
+ * @param {Object} [options] - Constructor options (merged under the spec's own options).
+ * @returns {SimulationEnvironment}
+ */
+export function createEnvironment(spec = null, options = {}) {
+    const { type = Config.Env?.TYPE ?? 'emotionalSpace', ...specOptions } = typeof spec === 'string' ? { type: spec } : (spec ?? {});
+    const factory = ENVIRONMENTS[type];
+    if (!factory) {
+        console.warn(`[Environment] Unknown environment "${type}", using emotionalSpace.`);
+        return ENVIRONMENTS.emotionalSpace(options);
+    }
+    return factory({ ...options, ...specOptions });
+}
@@ -0,0 +1,212 @@
+// js/eventCatalog.js
+
+import { Config, emotionNames } from './config.js';
+
+/**
+ * Declarative catalog of environment events. A catalog is JSON (text or the parsed object):
+ *
+ *   { "events": [ {
+ *       "name": "Fear",                      // Unique event type, reported as eventType
+ *       "context": "A dissonant pattern...", // Context text while the event is active
+ *       "reward": -1.8,                      // Base reward, shaped by rewardCurve over the duration
+ *       "emotion": "Fear",                   // Emotion the event belongs to (selection bias, initial reward scaling); defaults to name
+ *       "duration": 120,                     // Active steps (defaults to Config.Env.EVENT_DURATION)
+ *       "rewardCurve": "linear",             // REWARD_CURVES name, or [[progress, factor], ...] breakpoints (progress 0 → 1)
+ *       "targets": [{ "dim": 1, "delta": 0.4 }], // Core state dimensions pushed every active step
+ *       "jitter": { "count": 3, "amplitude": 0.1 }, // Random perturbation of `count` core dimensions per step
+ *       "spontaneous": true,                 // May be triggered randomly (false: only by chaining or a scenario)
+ *       "weight": 1,                         // Relative weight in the random selection
+ *       "preconditions": { "minStep": 0, "maxStep": 5000, "after": ["Surprise"],
+ *                          "emotions": { "Fear": { "min": 0.3 } }, "state": [{ "dim": 0, "max": 0 }] },
+ *       "next": [{ "event": "Calm", "probability": 1, "delay": 0, "duration": 60 }], // Chained follow-up
+ *       "compoundOf": ["Surprise", "Fear"],  // Compound event: starts when all components are active at once
+ *       "absorbs": false                     // true: the compound replaces its non-scripted components (default false: runs alongside)
+ *   } ] }
+ *
+ * Preconditions apply to random and chained triggers; scenarios and compounds trigger events unconditionally.
+ * Compound events are never spontaneous.
+ */
+
+/**
+ * Reward curves: remaining share of the event in [0, 1] (1 when it starts, 0 when it ends) -> reward factor.
+ * 'linear' is the original linear decay.
+ */
+export const REWARD_CURVES = {
+    linear: remaining => remaining,
+    constant: () => 1,
+    exponential: remaining => Math.exp(-3 * (1 - remaining)),
+    rampUp: remaining => 1 - remaining,
+    pulse: remaining => Math.sin(Math.PI * remaining)
+};
+
+/**
+ * The six original events (reward decays linearly, two related dimensions are pushed plus three random ones)
+ * and one compound.
+ */
+export const DEFAULT_EVENT_CATALOG = {
+    events: [
+        { name: "Joy", context: "A pleasant resonance occurs in the field.", reward: 1.5, targets: [{ dim: 0, delta: 0.4 }, { dim: 3, delta: 0.15 }] },
+        { name: "Fear", context: "A dissonant pattern is detected nearby.", reward: -1.8, targets: [{ dim: 1, delta: 0.4 }, { dim: 4, delta: 0.15 }] },
+        { name: "Curiosity", context: "An unexpected structural variation appears.", reward: 1.2, targets: [{ dim: 2, delta: 0.4 }, { dim: 5, delta: 0.15 }] },
+        { name: "Frustration", context: "System encounters processing resistance.", reward: -1.0, targets: [{ dim: 3, delta: 0.4 }, { dim: 6, delta: 0.15 }] },
+        { name: "Calm", context: "Patterns stabilize into local harmony.", reward: 0.8, targets: [{ dim: 4, delta: 0.4 }, { dim: 7, delta: 0.15 }] },
+        { name: "Surprise", context: "A sudden cascade shift happens.", reward: 1.6, targets: [{ dim: 5, delta: 0.4 }, { dim: 8, delta: 0.15 }] },
+        // Arises only when Surprise and Fear overlap (Config.Env.MAX_CONCURRENT_EVENTS > 1 or a scenario's 'also')
+        {
+            name: "Shock", emotion: "Fear", context: "A sudden dissonance jolts the field.", reward: -2.2, duration: 60, rewardCurve: "exponential",
+            targets: [{ dim: 1, delta: 0.5 }, { dim: 5, delta: 0.3 }], compoundOf: ["Surprise", "Fear"]
+        }
+    ]
+};
+
+const DEFAULT_JITTER = { count: 3, amplitude: 0.1 };
+
+/** Normalizes a reward curve to a name or sorted breakpoints; unknown names fall back to 'linear'. */
+function normalizeRewardCurve(curve, eventName) {
+    if (Array.isArray(curve)) {
+        const points = curve
+            .filter(point => Array.isArray(point) && point.length >= 2 && point.every(Number.isFinite))
+            .map(([progress, factor]) => [Math.min(1, Math.max(0, progress)), factor])
+            .sort((a, b) => a[0] - b[0]);
+        if (points.length > 0) return points;
+    } else if (typeof curve === 'string' && REWARD_CURVES[curve]) {
+        return curve;
+    } else if (curve === undefined) {
+        return 'linear';
+    }
+    console.warn(`[EventCatalog] Invalid reward curve for "${eventName}", using linear.`);
+    return 'linear';
+}
+
+/**
+ * Reward factor of a curve.
+ * @param {string|number[][]} curve - REWARD_CURVES name or [[progress, factor], ...] (linear between breakpoints).
+ * @param {number} remaining - Remaining share of the event: 1 at its start, 0 at its end.
+ * @returns {number}
+ */
+export function evaluateRewardCurve(curve, remaining) {
+    const r = Math.min(1, Math.max(0, remaining));
+    if (!Array.isArray(curve)) return (REWARD_CURVES[curve] ?? REWARD_CURVES.linear)(r);
+    const p = 1 - r;
+    if (p <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [x1, y1] = curve[i];
+        if (p <= x1) {
+            const [x0, y0] = curve[i - 1];
+            return x1 === x0 ? y1 : y0 + (y1 - y0) * (p - x0) / (x1 - x0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/** Normalizes one catalog entry, filling defaults. Returns null (with a warning) for an invalid entry. */
+function normalizeEvent(entry) {
+    if (!entry || typeof entry.name !== 'string' || entry.name.length === 0) {
+        console.warn("[EventCatalog] Skipping event without a name:", entry);
+        return null;
+    }
+    const emotion = entry.emotion ?? entry.name;
+    if (!emotionNames.includes(emotion)) {
+        console.warn(`[EventCatalog] Event "${entry.name}": unknown emotion "${emotion}" (known: ${emotionNames.join(', ')}); the event is not linked to any emotion.`);
+    }
+    if (entry.reward !== undefined && !Number.isFinite(entry.reward)) {
+        console.warn(`[EventCatalog] Event "${entry.name}": reward ${JSON.stringify(entry.reward)} is not a number, using 0.`);
+    }
+    const duration = Number.isFinite(entry.duration) && entry.duration > 0 ? Math.round(entry.duration) : (Config.Env?.EVENT_DURATION ?? 120);
+    const preconditions = entry.preconditions ?? {};
+    const compoundOf = Array.isArray(entry.compoundOf) && entry.compoundOf.length >= 2 ? [...entry.compoundOf] : null;
+    return {
+        name: entry.name,
+        context: typeof entry.context === 'string' ? entry.context : `${entry.name} event.`,
+        reward: Number.isFinite(entry.reward) ? entry.reward : 0,
+        emotion,
+        emotionIndex: emotionNames.indexOf(emotion),
+        duration,
+        rewardCurve: normalizeRewardCurve(entry.rewardCurve, entry.name),
+        targets: (Array.isArray(entry.targets) ? entry.targets : [])
+            .filter(target => Number.isInteger(target?.dim) && target.dim >= 0 && Number.isFinite(target.delta))
+            .map(target => ({ dim: target.dim, delta: target.delta })),
+        jitter: { ...DEFAULT_JITTER, ...(entry.jitter ?? {}) },
+        spontaneous: entry.spontaneous !== false && !compoundOf,
+        compoundOf,
+        absorbs: entry.absorbs === true,
+        weight: Number.isFinite(entry.weight) && entry.weight >= 0 ? entry.weight : 1,
+        preconditions: {
+            minStep: preconditions.minStep ?? null,
+            maxStep: preconditions.maxStep ?? null,
+            after: preconditions.after === undefined ? null : [].concat(preconditions.after),
+            emotions: preconditions.emotions ?? null,
+            state: Array.isArray(preconditions.state) ? preconditions.state : null
+        },
+        next: (Array.isArray(entry.next) ? entry.next : (entry.next ? [entry.next] : []))
+            .map(link => (typeof link === 'string' ? { event: link } : link))
+            .filter(link => typeof link?.event === 'string')
+            .map(link => ({ event: link.event, probability: link.probability ?? 1, delay: Math.max(0, Math.round(link.delay ?? 0)), duration: link.duration ?? null }))
+    };
+}
+
+/**
+ * Parses and validates an event catalog.
+ * @param {string|Object|null} source - JSON text or catalog object; null gives DEFAULT_EVENT_CATALOG.
+ * @returns {{events: Object[], byName: Map<string, Object>}} Normalized events in catalog order.
+ * @throws {Error} If the JSON cannot be parsed or no valid event remains.
+ */
+export function parseEventCatalog(source = null) {
+    const catalog = typeof source === 'string' ? JSON.parse(source) : (source ?? DEFAULT_EVENT_CATALOG);
+    const entries = Array.isArray(catalog) ? catalog : catalog?.events;
+    if (!Array.isArray(entries)) throw new Error("[EventCatalog] Catalog needs an 'events' array.");
+
+    const events = [];
+    const byName = new Map();
+    entries.map(normalizeEvent).forEach(event => {
+        if (!event) return;
+        if (byName.has(event.name)) {
+            console.warn(`[EventCatalog] Duplicate event "${event.name}", keeping the first.`);
+            return;
+        }
+        events.push(event);
+        byName.set(event.name, event);
+    });
+    if (events.length === 0) throw new Error("[EventCatalog] Catalog contains no valid events.");
+    events.forEach(event => {
+        event.next.forEach(link => {
+            if (!byName.has(link.event)) console.warn(`[EventCatalog] "${event.name}" chains to unknown event "${link.event}".`);
+        });
+        (event.compoundOf ?? []).forEach(component => {
+            if (!byName.has(component)) console.warn(`[EventCatalog] Compound "${event.name}" needs unknown event "${component}".`);
+        });
+    });
+    return { events, byName };
+}
+
+/**
+ * Loads a catalog from a URL (browser fetch).
+ * @param {string} url
+ * @returns {Promise<{events: Object[], byName: Map<string, Object>}>}
+ */
+export async function loadEventCatalog(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`[EventCatalog] Could not load ${url}: ${response.status}`);
+    return parseEventCatalog(await response.text());
+}
+
+/**
+ * Checks an event's preconditions.
+ * @param {Object} event - Normalized catalog event.
+ * @param {Object} situation
+ * @param {number} situation.step - Current environment step.
+ * @param {string|null} situation.lastEventType - Type of the most recent event.
+ * @param {number[]} situation.baseEmotions - Environment base emotions.
+ * @param {number[]} situation.stateVector - Current state vector (core dimensions first).
+ * @returns {boolean}
+ */
+export function preconditionsMet(event, { step, lastEventType, baseEmotions, stateVector }) {
+    const { minStep, maxStep, after, emotions, state } = event.preconditions;
+    const inRange = (value, range) => (range?.min === undefined || value >= range.min) && (range?.max === undefined || value <= range.max);
+    if (minStep !== null && step < minStep) return false;
+    if (maxStep !== null && step > maxStep) return false;
+    if (after && !after.includes(lastEventType)) return false;
+    if (emotions && !Object.entries(emotions).every(([name, range]) => inRange(baseEmotions[emotionNames.indexOf(name)] ?? 0, range))) return false;
+    if (state && !state.every(condition => inRange(stateVector[condition.dim] ?? 0, condition))) return false;
+    return true;
+}
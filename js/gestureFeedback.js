@@ -0,0 +1,122 @@
+// js/gestureFeedback.js
+
+import { Config, HEAD_MOVEMENT_LABELS, NUM_HEAD_MOVEMENTS } from './config.js';
+import { softmax } from './utils.js';
+
+/**
+ * Picks a head movement index from the head's logits.
+ * @param {number[]} logits - Raw head movement logits.
+ * @param {'argmax'|'sample'} mode - Greedy choice or softmax-temperature sampling.
+ * @param {number} temperature - Softmax temperature for 'sample' (lower = closer to argmax).
+ * @param {SeededRandom} rng - Random source for sampling.
+ * @returns {{index: number, probabilities: number[]}}
+ */
+export function selectHeadMovement(logits, mode, temperature, rng) {
+    const probabilities = softmax(logits, temperature);
+    if (mode !== 'sample') {
+        return { index: logits.indexOf(Math.max(...logits)), probabilities };
+    }
+    let remaining = rng.next();
+    for (let i = 0; i < probabilities.length; i++) {
+        remaining -= probabilities[i];
+        if (remaining <= 0) return { index: i, probabilities };
+    }
+    return { index: probabilities.length - 1, probabilities };
+}
+
+/**
+ * Collects user feedback on the agent's gestures and trains the head movement head
+ * with softmax cross-entropy on the labeled inputs.
+ *
+ * Feedback kinds:
+ *  - { correct: true }  — the shown gesture was right: one-hot target on it.
+ *  - { correct: false } — the shown gesture was wrong: probability spread over the other gestures.
+ *  - { label: 'nod' }   — the correct gesture: one-hot target on it.
+ */
+export class GestureFeedbackTrainer {
+    /**
+     * @param {tf.Sequential} model - The head movement head (outputs logits).
+     * @param {Object} [settings] - Overrides for Config.HeadMovement.
+     */
+    constructor(model, settings = {}) {
+        this.model = model;
+        this.settings = { ...Config.HeadMovement, ...settings };
+        this.labels = []; // { input: number[], target: number[] }
+        this.optimizer = tf.train.adam(this.settings.LR);
+        this.stats = { labels: 0, updates: 0, lastLoss: null };
+    }
+
+    /**
+     * Builds the target distribution for a feedback entry.
+     * @returns {number[]|null} Null if the feedback is not understood.
+     */
+    _targetFor(shownIndex, feedback) {
+        const target = new Array(NUM_HEAD_MOVEMENTS).fill(0);
+        if (typeof feedback?.label === 'string') {
+            const labelIndex = HEAD_MOVEMENT_LABELS.indexOf(feedback.label);
+            if (labelIndex < 0) return null;
+            target[labelIndex] = 1;
+        } else if (feedback?.correct === true) {
+            target[shownIndex] = 1;
+        } else if (feedback?.correct === false) {
+            const share = 1 / (NUM_HEAD_MOVEMENTS - 1);
+            target.forEach((_, i) => { target[i] = i === shownIndex ? 0 : share; });
+        } else {
+            return null;
+        }
+        return target;
+    }
+
+    /**
+     * Stores a label for a gesture and retrains the head.
+     * @param {number[]} input - Head movement input features of the labeled step.
+     * @param {number} shownIndex - Index of the gesture that was shown.
+     * @param {Object} feedback - { correct: boolean } or { label: string }.
+     * @returns {boolean} True if the label was accepted.
+     */
+    addLabel(input, shownIndex, feedback) {
+        const target = this._targetFor(shownIndex, feedback);
+        if (!target || !Array.isArray(input)) return false;
+        this.labels.push({ input: [...input], target });
+        while (this.labels.length > this.settings.MAX_LABELS) this.labels.shift();
+        this.stats.labels = this.labels.length;
+        this.train();
+        return true;
+    }
+
+    /**
+     * Runs UPDATES_PER_LABEL full-batch cross-entropy steps over all collected labels.
+     * @returns {number|null} Loss of the last step.
+     */
+    train() {
+        if (!this.model || this.labels.length === 0) return null;
+        const variables = this.model.trainableWeights.map(weight => weight.val);
+        let loss = null;
+        tf.tidy(() => {
+            const inputs = tf.tensor2d(this.labels.map(label => label.input));
+            const targets = tf.tensor2d(this.labels.map(label => label.target));
+            for (let i = 0; i < this.settings.UPDATES_PER_LABEL; i++) {
+                const stepLoss = this.optimizer.minimize(
+                    () => tf.losses.softmaxCrossEntropy(targets, this.model.apply(inputs)),
+                    true, variables
+                );
+                loss = stepLoss.dataSync()[0];
+            }
+        });
+        this.stats.updates++;
+        this.stats.lastLoss = loss;
+        return loss;
+    }
+
+    /** @returns {Object} Copy of the label/training statistics. */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /** Releases the optimizer state. The model belongs to the agent and is not disposed. */
+    dispose() {
+        if (typeof this.optimizer?.dispose === 'function') this.optimizer.dispose();
+        this.optimizer = null;
+        this.labels = [];
+    }
+}
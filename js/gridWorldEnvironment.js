@@ -0,0 +1,256 @@
+// js/gridWorldEnvironment.js
+
+import { Config, emotionNames } from './config.js';
+import { SeededRandom, getSharedRandom } from './utils.js';
+import { SimulationEnvironment, normalizeAction, analyzeTextEmotions } from './environmentInterface.js';
+
+/**
+ * Grid world: the agent's head movements move it through a walled grid toward a goal cell.
+ * nod = north, shake = south, tilt_left = west, tilt_right = east, idle = stay; a move is made every
+ * Config.GridWorld.MOVE_INTERVAL steps. Reaching the goal ends an episode (done: true) and a new goal appears.
+ *
+ * Core dimensions: position, goal offset and distance, walls around the agent, last reward, explored share and
+ * episode progress (GRID_WORLD_FEATURES; further dimensions read 0). The emotion part is the world's tone:
+ * Joy on reaching the goal, Frustration on bumping into a wall, Curiosity on entering a new cell, Calm while
+ * idle, each relaxing back to neutral. These are also the reported event types.
+ */
+
+/** Core features in observation order. */
+export const GRID_WORLD_FEATURES = ['x', 'y', 'goal dx', 'goal dy', 'goal distance', 'wall north', 'wall south', 'wall west', 'wall east', 'last reward', 'explored', 'episode progress'];
+
+/** Head movement -> [dx, dy] (y grows southward). */
+export const GRID_WORLD_MOVES = {
+    nod: [0, -1],
+    shake: [0, 1],
+    tilt_left: [-1, 0],
+    tilt_right: [1, 0],
+    idle: [0, 0]
+};
+
+const cellKey = (x, y) => `${x},${y}`;
+
+export class GridWorldEnvironment extends SimulationEnvironment {
+    /**
+     * @param {Object} [options]
+     * @param {SeededRandom} [options.rng] - Random source for walls and goals (defaults to the shared generator).
+     * @param {number} [options.seed] - Creates a dedicated generator with this seed when no rng is given.
+     * @param {Object} [options.settings] - Overrides for Config.GridWorld.
+     */
+    constructor(options = {}) {
+        super('gridWorld');
+        this.settings = { ...Config.GridWorld, ...(options.settings ?? {}) };
+        this.settings.SIZE = Math.max(2, Math.floor(this.settings.SIZE));
+        this.settings.MOVE_INTERVAL = Math.max(1, Math.floor(this.settings.MOVE_INTERVAL));
+        this.rng = options.rng ?? (typeof options.seed === 'number' ? new SeededRandom(options.seed) : getSharedRandom());
+        if (Config.DIMENSIONS < GRID_WORLD_FEATURES.length) {
+            console.warn(`[GridWorld] DIMENSIONS = ${Config.DIMENSIONS}: features ${GRID_WORLD_FEATURES.slice(Config.DIMENSIONS).join(', ')} are dropped.`);
+        }
+        this._initializeState();
+    }
+
+    /** Builds a new world: walls, agent position and goal. */
+    _initializeState() {
+        this.stepCount = 0;
+        this.episode = 0;
+        this.emotions = new Array(Config.Agent.EMOTION_DIM).fill(0.5);
+        this.lastReward = 0;
+        this._placeWalls();
+        this.position = this._randomFreeCell();
+        this._startEpisode();
+        this._updateObservation();
+    }
+
+    /** Places WALLS random walls, retrying until every free cell is reachable. */
+    _placeWalls() {
+        const { SIZE, WALLS } = this.settings;
+        const wallCount = Math.min(Math.max(0, Math.floor(WALLS)), SIZE * SIZE - 2);
+        for (let attempt = 0; attempt < 20; attempt++) {
+            this.walls = new Set();
+            while (this.walls.size < wallCount) this.walls.add(cellKey(this.rng.int(SIZE), this.rng.int(SIZE)));
+            if (this._allFreeCellsConnected()) return;
+        }
+        console.warn("[GridWorld] Could not place connected walls, using an open grid.");
+        this.walls = new Set();
+    }
+
+    _allFreeCellsConnected() {
+        const { SIZE } = this.settings;
+        const free = [];
+        for (let y = 0; y < SIZE; y++) for (let x = 0; x < SIZE; x++) if (!this.walls.has(cellKey(x, y))) free.push([x, y]);
+        if (free.length === 0) return false;
+        const seen = new Set([cellKey(...free[0])]);
+        const queue = [free[0]];
+        while (queue.length > 0) {
+            const [x, y] = queue.shift();
+            Object.values(GRID_WORLD_MOVES).forEach(([dx, dy]) => {
+                const key = cellKey(x + dx, y + dy);
+                if (!this._isBlocked(x + dx, y + dy) && !seen.has(key)) {
+                    seen.add(key);
+                    queue.push([x + dx, y + dy]);
+                }
+            });
+        }
+        return seen.size === free.length;
+    }
+
+    _isBlocked(x, y) {
+        const { SIZE } = this.settings;
+        return x < 0 || y < 0 || x >= SIZE || y >= SIZE || this.walls.has(cellKey(x, y));
+    }
+
+    _randomFreeCell(exclude = null) {
+        const { SIZE } = this.settings;
+        const free = [];
+        for (let y = 0; y < SIZE; y++) {
+            for (let x = 0; x < SIZE; x++) {
+                if (!this._isBlocked(x, y) && !(exclude && exclude[0] === x && exclude[1] === y)) free.push([x, y]);
+            }
+        }
+        return free.length > 0 ? free[this.rng.int(free.length)] : [0, 0];
+    }
+
+    /** Places a new goal and clears the episode counters. */
+    _startEpisode() {
+        this.episode++;
+        this.goal = this._randomFreeCell(this.position);
+        this.episodeMoves = 0;
+        this.visited = new Set([cellKey(...this.position)]);
+    }
+
+    coreLabels() {
+        return Array.from({ length: Config.DIMENSIONS }, (_, i) => GRID_WORLD_FEATURES[i] ?? 'unused');
+    }
+
+    actionSpec() {
+        return { ...super.actionSpec(), used: ['headMovement'] };
+    }
+
+    _updateObservation() {
+        const { SIZE, MAX_EPISODE_MOVES } = this.settings;
+        const span = SIZE - 1;
+        const [x, y] = this.position;
+        const dx = this.goal[0] - x;
+        const dy = this.goal[1] - y;
+        const wall = (wx, wy) => (this._isBlocked(wx, wy) ? 1 : -1);
+        const freeCells = SIZE * SIZE - this.walls.size;
+        this._setObservation([
+            (2 * x) / span - 1,
+            (2 * y) / span - 1,
+            dx / span,
+            dy / span,
+            (Math.abs(dx) + Math.abs(dy)) / span - 1,
+            wall(x, y - 1), wall(x, y + 1), wall(x - 1, y), wall(x + 1, y),
+            this.lastReward,
+            (2 * this.visited.size) / Math.max(1, freeCells) - 1,
+            (2 * this.episodeMoves) / Math.max(1, MAX_EPISODE_MOVES) - 1
+        ], this.emotions);
+    }
+
+    /** Raises one emotion of the world's tone (by name). */
+    _feel(name, amount) {
+        const index = emotionNames.indexOf(name);
+        if (index !== -1 && index < this.emotions.length) this.emotions[index] = Math.min(1, this.emotions[index] + amount);
+    }
+
+    async reset() {
+        this._initializeState();
+        console.log("Grid World Reset.");
+        return { state: this._stateTensor() };
+    }
+
+    /**
+     * Moves the agent according to the action's head movement (every MOVE_INTERVAL steps).
+     * @param {Object} action - { headMovement, ... }; the other fields are ignored.
+     */
+    async step(action, rihScore = 0, avgAffinity = 0) {
+        const { headMovement } = normalizeAction(action, rihScore, avgAffinity);
+        const s = this.settings;
+        this.stepCount++;
+        this.emotions = this.emotions.map(value => value + (0.5 - value) * s.EMOTION_DECAY);
+
+        let reward = 0;
+        let done = false;
+        let eventType = null;
+        let context = `At (${this.position.join(', ')}), goal at (${this.goal.join(', ')}).`;
+        if (this.stepCount % s.MOVE_INTERVAL === 0) {
+            const [dx, dy] = GRID_WORLD_MOVES[headMovement];
+            const [x, y] = this.position;
+            const distanceBefore = Math.abs(this.goal[0] - x) + Math.abs(this.goal[1] - y);
+            this.episodeMoves++;
+            reward -= s.STEP_COST;
+            if (headMovement === 'idle') {
+                this._feel('Calm', 0.05);
+                context = `Waiting at (${x}, ${y}).`;
+            } else if (this._isBlocked(x + dx, y + dy)) {
+                reward -= s.BUMP_PENALTY;
+                this._feel('Frustration', 0.3);
+                eventType = 'Frustration';
+                context = `Bumped into a wall at (${x}, ${y}).`;
+            } else {
+                this.position = [x + dx, y + dy];
+                const distanceAfter = Math.abs(this.goal[0] - this.position[0]) + Math.abs(this.goal[1] - this.position[1]);
+                reward += s.APPROACH_REWARD * (distanceBefore - distanceAfter);
+                context = `Moved to (${this.position.join(', ')}).`;
+                if (!this.visited.has(cellKey(...this.position))) {
+                    this.visited.add(cellKey(...this.position));
+                    this._feel('Curiosity', 0.1);
+                }
+            }
+
+            if (this.position[0] === this.goal[0] && this.position[1] === this.goal[1]) {
+                reward += s.GOAL_REWARD;
+                this._feel('Joy', 0.5);
+                eventType = 'Joy';
+                context = `Goal reached after ${this.episodeMoves} moves (episode ${this.episode}).`;
+                done = true;
+                this._startEpisode();
+            } else if (this.episodeMoves >= s.MAX_EPISODE_MOVES) {
+                context = `Episode ${this.episode} timed out; a new goal appears.`;
+                done = true;
+                this._startEpisode();
+            }
+            this.lastReward = reward;
+        }
+
+        this._updateObservation();
+        return { state: this._stateTensor(), reward, done, context, eventType, eventEmotion: eventType, eventTypes: eventType ? [eventType] : [] };
+    }
+
+    /** Chat text shifts the world's tone like it shifts EmotionalSpace's base emotions. */
+    async getEmotionalImpactFromText(text) {
+        analyzeTextEmotions(text).baseChanges.forEach((change, i) => {
+            if (change !== null && i < this.emotions.length) this.emotions[i] = Math.min(1, Math.max(0, this.emotions[i] + change));
+        });
+        this._updateObservation();
+        return super.getEmotionalImpactFromText(text);
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            baseEmotions: [...this.emotions],
+            walls: [...this.walls],
+            position: [...this.position],
+            goal: [...this.goal],
+            visited: [...this.visited],
+            episode: this.episode,
+            episodeMoves: this.episodeMoves,
+            lastReward: this.lastReward
+        };
+    }
+
+    loadState(state) {
+        if (!super.loadState(state)) return false;
+        const inGrid = cell => Array.isArray(cell) && cell.length === 2 && !this._isBlocked(cell[0], cell[1]);
+        if (Array.isArray(state.walls)) this.walls = new Set(state.walls.filter(key => typeof key === 'string'));
+        if (inGrid(state.position)) this.position = [...state.position];
+        if (inGrid(state.goal)) this.goal = [...state.goal];
+        if (Array.isArray(state.visited)) this.visited = new Set(state.visited.filter(key => typeof key === 'string'));
+        if (Array.isArray(state.baseEmotions) && state.baseEmotions.length === this.emotions.length) this.emotions = [...state.baseEmotions];
+        this.episode = Number.isInteger(state.episode) ? state.episode : 1;
+        this.episodeMoves = Number.isInteger(state.episodeMoves) ? state.episodeMoves : 0;
+        this.lastReward = Number.isFinite(state.lastReward) ? state.lastReward : 0;
+        this._updateObservation();
+        return true;
+    }
+}
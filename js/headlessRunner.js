@@ -0,0 +1,367 @@
+// js/headlessRunner.js
+
+import { Config } from './config.js';
+import { SyntrometricAgent } from './agent.js';
+import { Metroplex, countAgentParameters } from './metroplex.js';
+import { createEnvironment } from './environmentRegistry.js';
+import { SeededRandom } from './utils.js';
+
+// Same fallback calculateGraphFeatures() returns when no Syntrometry scene is available
+const DEFAULT_GRAPH_FEATURES = [0.0, 0.0];
+
+/**
+ * Makes TensorFlow.js available as the global `tf` the simulation modules expect.
+ * In the browser the CDN script already provides it; in Node `@tensorflow/tfjs` is imported on demand.
+ * @returns {Promise<object>} The TensorFlow.js namespace.
+ */
+export async function ensureTensorFlow() {
+    if (typeof globalThis.tf !== 'undefined') return globalThis.tf;
+    try {
+        const tfModule = await import('@tensorflow/tfjs');
+        globalThis.tf = tfModule.default ?? tfModule;
+    } catch (e) {
+        throw new Error(`[Headless] TensorFlow.js could not be loaded: ${e.message}`);
+    }
+    return globalThis.tf;
+}
+
+/**
+ * Drives SyntrometricAgent and its environment (EmotionalSpace by default) without requestAnimationFrame, the DOM, Three.js or Live2D.
+ * Each step mirrors one iteration of animate() in app.js and yields plain JS metrics.
+ */
+export class HeadlessSimulation {
+    /**
+     * @param {Object} [options]
+     * @param {number[]} [options.graphFeatures] - Graph features fed to the agent every step (no 3D scene headless).
+     * @param {number} [options.seed] - Seed for the random source shared by agent and environment (defaults to Config.RANDOM_SEED).
+     * @param {boolean} [options.trainingEnabled] - Train the agent networks online (defaults to Config.RL.TRAINING_ENABLED).
+     * @param {boolean} [options.emotionTrainingEnabled] - Train the emotional module from events (defaults to Config.EmotionLearning.ENABLED).
+     * @param {string} [options.tuningStrategy] - Integration/Reflexivity tuner (defaults to Config.RL.TUNING_STRATEGY).
+     * @param {{integration: number, reflexivity: number}} [options.manualParameters] - Hold the parameters fixed instead of tuning them.
+     * @param {'konzenter'|'exzenter'|null} [options.korporation] - Korporate the belief cascade with the environment state (defaults to Config.KORPORATION.MODE).
+     * @param {boolean} [options.metronFeatures] - Feed Metrondifferentials of the core state into the belief network (defaults to Config.MetronCalculus.FEATURES_ENABLED).
+     * @param {string} [options.rihEstimator] - RIH estimator (defaults to Config.RIH_ESTIMATOR).
+     * @param {'pad'|'interpolate'|'dtw'} [options.affinityAlignment] - Alignment of cascade levels for affinities (defaults to Config.AFFINITY.ALIGNMENT).
+     * @param {boolean} [options.memoryAffinity] - Report affinities with remembered cascades (defaults to Config.AFFINITY.MEMORY_AFFINITY).
+     * @param {boolean} [options.trajectoryContext] - Feed the trajectory phase into the agent's emotional context (defaults to Config.Trajectory.FEED_CONTEXT).
+     * @param {number} [options.hiddenDim] - Belief embedding size of the agent(s) (defaults to Config.Agent.HIDDEN_DIM).
+     * @param {Object|boolean} [options.metroplex] - Run a Metroplex instead of a single agent; true or overrides for Config.Metroplex.
+     * @param {string|Object} [options.eventCatalog] - Environment event catalog (defaults to Config.Env.EVENT_CATALOG, see eventCatalog.js).
+     * @param {string|Object} [options.scenario] - Scenario script run by the environment (defaults to Config.Env.SCENARIO, see scenario.js).
+     * @param {string|Object} [options.stateMapping] - Mapping from base emotions to the core dimensions (defaults to Config.Env.STATE_MAPPING, see stateMapping.js).
+     * @param {string|Object} [options.environment] - Environment type or { type, ...options } (defaults to Config.Env.TYPE, see environmentRegistry.js).
+     */
+    constructor(options = {}) {
+        this.seed = options.seed ?? Config.RANDOM_SEED ?? null;
+        this.trainingEnabled = options.trainingEnabled ?? Config.RL?.TRAINING_ENABLED ?? false;
+        this.emotionTrainingEnabled = options.emotionTrainingEnabled ?? Config.EmotionLearning?.ENABLED ?? false;
+        this.tuningStrategy = options.tuningStrategy ?? Config.RL?.TUNING_STRATEGY ?? 'heuristic';
+        this.manualParameters = options.manualParameters ?? null;
+        this.korporation = options.korporation !== undefined ? options.korporation : (Config.KORPORATION?.MODE ?? null);
+        this.metronFeatures = options.metronFeatures ?? Config.MetronCalculus?.FEATURES_ENABLED ?? false;
+        this.rihEstimator = options.rihEstimator ?? Config.RIH_ESTIMATOR ?? 'moment';
+        this.affinityAlignment = options.affinityAlignment ?? Config.AFFINITY?.ALIGNMENT ?? 'pad';
+        this.memoryAffinity = options.memoryAffinity ?? Config.AFFINITY?.MEMORY_AFFINITY ?? false;
+        this.trajectoryContext = options.trajectoryContext ?? Config.Trajectory?.FEED_CONTEXT ?? false;
+        this.hiddenDim = options.hiddenDim ?? Config.Agent.HIDDEN_DIM;
+        this.metroplex = options.metroplex ? { ...(options.metroplex === true ? {} : options.metroplex) } : null;
+        this.eventCatalog = options.eventCatalog ?? Config.Env?.EVENT_CATALOG ?? null;
+        this.scenario = options.scenario ?? Config.Env?.SCENARIO ?? null;
+        this.stateMapping = options.stateMapping ?? Config.Env?.STATE_MAPPING ?? null;
+        this.environmentSpec = options.environment ?? Config.Env?.TYPE ?? 'emotionalSpace';
+        this.rng = null;
+        this.graphFeatures = Array.isArray(options.graphFeatures) ? [...options.graphFeatures] : [...DEFAULT_GRAPH_FEATURES];
+        this.agent = null;
+        this.environment = null;
+        this.stepIndex = 0;
+        this.currentStateVector = null;
+        this.currentAgentEmotions = null; // Kept [1, EMOTION_DIM] tensor fed back into environment.step
+        this.currentRIHScore = 0.0;
+        this.currentAvgAffinity = 0.0;
+        this.currentHmLabel = 'idle';
+        this.currentFeedbackSignal = null; // The agent's feedback signal, passed to the environment as an action
+    }
+
+    /**
+     * Builds the agent and environment, resets the environment and runs the initial agent pass.
+     * @returns {Promise<Object>} Metrics of the initial agent response (step 0).
+     */
+    async initialize() {
+        await ensureTensorFlow();
+        this.cleanup();
+
+        // A fresh generator per initialize() so the same seed always replays the same run
+        this.rng = new SeededRandom(this.seed);
+        this.seed = this.rng.seed;
+        const agentOptions = {
+            rng: this.rng,
+            hiddenDim: this.hiddenDim,
+            trainingEnabled: this.trainingEnabled,
+            emotionTrainingEnabled: this.emotionTrainingEnabled,
+            tuningStrategy: this.tuningStrategy,
+            korporation: this.korporation,
+            metronFeatures: this.metronFeatures,
+            rihEstimator: this.rihEstimator,
+            affinityAlignment: this.affinityAlignment,
+            memoryAffinity: this.memoryAffinity,
+            trajectoryContext: this.trajectoryContext
+        };
+        this.agent = this.metroplex
+            ? new Metroplex({ rng: this.rng, settings: this.metroplex, agentOptions })
+            : new SyntrometricAgent(agentOptions);
+        this.environment = createEnvironment(this.environmentSpec, { rng: this.rng, eventCatalog: this.eventCatalog, scenario: this.scenario, stateMapping: this.stateMapping });
+        const agentValid = this.metroplex ? this.agent.isValid() : (this.agent?.beliefNetwork && this.agent?.enyphansyntrix);
+        if (!agentValid || !this.environment?.isValid()) {
+            throw new Error("[Headless] Agent or Environment failed basic validation after initialization.");
+        }
+        if (this.manualParameters) {
+            this.agent.setManualParameters(this.manualParameters.integration, this.manualParameters.reflexivity);
+        }
+
+        const initialStateResult = await this.environment.reset();
+        if (!initialStateResult.state || initialStateResult.state.isDisposed) {
+            throw new Error("[Headless] Environment reset returned invalid state tensor.");
+        }
+        this.currentStateVector = this._toStateVector(initialStateResult.state);
+        tf.dispose(initialStateResult.state);
+
+        this.stepIndex = 0;
+        const agentResponse = await this.agent.process(this.currentStateVector, this.graphFeatures, { eventType: null, reward: 0 });
+        return this._recordAgentResponse(agentResponse, { context: "Simulation initialized (Headless).", eventType: null, reward: 0 });
+    }
+
+    /**
+     * Passes chat text to the environment exactly as the chat input in app.js does.
+     * @param {string} text - The user text.
+     */
+    async injectText(text) {
+        if (!this.environment) throw new Error("[Headless] Simulation not initialized.");
+        const impactTensor = await this.environment.getEmotionalImpactFromText(text);
+        if (impactTensor && !impactTensor.isDisposed) tf.dispose(impactTensor);
+    }
+
+    /**
+     * Advances the environment and agent by one step.
+     * @returns {Promise<Object>} The step metrics (see _recordAgentResponse).
+     */
+    async step() {
+        if (!this.agent || !this.environment) throw new Error("[Headless] Simulation not initialized.");
+
+        const envStepResult = await this.environment.step({
+            emotions: this.currentAgentEmotions,
+            rihScore: this.currentRIHScore,
+            avgAffinity: this.currentAvgAffinity,
+            headMovement: this.currentHmLabel,
+            feedback: this.currentFeedbackSignal
+        });
+        try {
+            if (!envStepResult.state || envStepResult.state.isDisposed) {
+                throw new Error("[Headless] Environment returned invalid state tensor in step.");
+            }
+            this.currentStateVector = this._toStateVector(envStepResult.state);
+        } finally {
+            if (envStepResult.state && !envStepResult.state.isDisposed) tf.dispose(envStepResult.state);
+        }
+
+        this.stepIndex++;
+        const agentResponse = await this.agent.process(
+            this.currentStateVector,
+            this.graphFeatures,
+            { eventType: envStepResult.eventType, eventEmotion: envStepResult.eventEmotion ?? null, reward: envStepResult.reward }
+        );
+        return this._recordAgentResponse(agentResponse, envStepResult);
+    }
+
+    /**
+     * Runs a number of steps at full speed.
+     * @param {number} numSteps - Number of steps to run.
+     * @param {Object} [options]
+     * @param {Array<{step: number, text: string}>} [options.chatInputs=[]] - Chat texts injected before the given step.
+     * @param {Function} [options.onStep] - Called with each step's metrics.
+     * @returns {Promise<Object[]>} Metrics for every step run.
+     */
+    async run(numSteps, { chatInputs = [], onStep = null } = {}) {
+        const results = [];
+        for (let i = 0; i < numSteps; i++) {
+            const nextStep = this.stepIndex + 1;
+            for (const input of chatInputs) {
+                if (input?.step === nextStep && typeof input.text === 'string') await this.injectText(input.text);
+            }
+            const metrics = await this.step();
+            results.push(metrics);
+            if (typeof onStep === 'function') onStep(metrics);
+        }
+        return results;
+    }
+
+    /** Converts an environment state tensor [1, BASE_STATE_DIM] into a padded JS array. */
+    _toStateVector(stateTensor) {
+        const stateArray = stateTensor.arraySync();
+        if (!Array.isArray(stateArray) || !Array.isArray(stateArray[0])) {
+            throw new Error(`[Headless] Unexpected state tensor shape from environment: ${stateTensor.shape}`);
+        }
+        const stateVector = stateArray[0].slice(0, Config.Agent.BASE_STATE_DIM);
+        while (stateVector.length < Config.Agent.BASE_STATE_DIM) stateVector.push(0);
+        return stateVector;
+    }
+
+    /** Stores the agent response for the next step and returns serializable metrics. */
+    _recordAgentResponse(agentResponse, envStepResult) {
+        if (!agentResponse?.emotions || agentResponse.emotions.isDisposed) {
+            throw new Error("[Headless] Agent process returned invalid or disposed emotions tensor.");
+        }
+        if (this.currentAgentEmotions && !this.currentAgentEmotions.isDisposed) tf.dispose(this.currentAgentEmotions);
+        this.currentAgentEmotions = agentResponse.emotions;
+
+        const affinities = agentResponse.affinities ?? [];
+        this.currentRIHScore = agentResponse.rihScore ?? 0;
+        this.currentAvgAffinity = affinities.length > 0 ? affinities.reduce((a, b) => a + b, 0) / affinities.length : 0;
+        this.currentHmLabel = agentResponse.hmLabel ?? 'idle';
+        this.currentFeedbackSignal = agentResponse.feedbackSignal ?? null;
+
+        return {
+            step: this.stepIndex,
+            rih: this.currentRIHScore,
+            affinities: [...affinities],
+            avgAffinity: this.currentAvgAffinity,
+            affinityMatrix: agentResponse.affinityMatrix ?? [],
+            memoryAffinities: agentResponse.memoryAffinities ?? null,
+            trust: agentResponse.trustScore,
+            emotions: Array.from(this.currentAgentEmotions.dataSync()),
+            hmLabel: agentResponse.hmLabel,
+            context: envStepResult.context,
+            eventType: envStepResult.eventType ?? null,
+            eventEmotion: envStepResult.eventEmotion ?? null,
+            eventTypes: envStepResult.eventTypes ?? [],
+            reward: envStepResult.reward ?? 0,
+            done: envStepResult.done ?? false,
+            actionEffects: envStepResult.actionEffects ?? null,
+            integration: agentResponse.integration,
+            reflexivity: agentResponse.reflexivity,
+            beliefNorm: agentResponse.beliefNorm ?? 0,
+            selfStateNorm: agentResponse.selfStateNorm ?? 0,
+            training: agentResponse.training ?? null,
+            emotionTraining: agentResponse.emotionTraining ?? null,
+            tuning: agentResponse.tuning ?? null,
+            parameterControl: agentResponse.parameterControl ?? 'auto',
+            trajectory: agentResponse.trajectory ?? null,
+            telezentrum: agentResponse.telezentrum ?? null,
+            rihDiagnostics: agentResponse.rihDiagnostics ?? null,
+            korporation: agentResponse.korporation ?? null,
+            metroplex: agentResponse.metroplex ?? null
+        };
+    }
+
+    /** Disposes the agent, environment and the kept emotion tensor. */
+    cleanup() {
+        if (this.currentAgentEmotions && !this.currentAgentEmotions.isDisposed) tf.dispose(this.currentAgentEmotions);
+        this.currentAgentEmotions = null;
+        this.agent?.cleanup();
+        this.environment?.cleanup();
+        this.agent = null;
+        this.environment = null;
+    }
+}
+
+/**
+ * Convenience wrapper: initializes a HeadlessSimulation, runs it and cleans up.
+ * @param {Object} [options]
+ * @param {number} [options.steps=100] - Number of steps after initialization.
+ * @param {Array<{step: number, text: string}>} [options.chatInputs=[]] - Chat texts injected before the given step.
+ * @param {Function} [options.onStep] - Called with each step's metrics.
+ * @param {number[]} [options.graphFeatures] - Graph features fed to the agent every step.
+ * @param {number} [options.seed] - Seed for the shared random source; identical seeds and inputs give identical metrics.
+ * @param {boolean} [options.trainingEnabled] - Train the agent networks online.
+ * @param {boolean} [options.emotionTrainingEnabled] - Train the emotional module from environment events.
+ * @param {string} [options.tuningStrategy] - Integration/Reflexivity tuner ('heuristic' | 'gradient' | 'es').
+ * @param {{integration: number, reflexivity: number}} [options.manualParameters] - Fixed parameter values to probe.
+ * @param {'konzenter'|'exzenter'|null} [options.korporation] - Korporate the belief cascade with the environment state.
+ * @param {boolean} [options.metronFeatures] - Feed Metrondifferentials of the core state into the belief network.
+ * @param {string} [options.rihEstimator] - RIH estimator ('moment' | 'totalCorrelation' | 'spectral' | 'phi').
+ * @param {'pad'|'interpolate'|'dtw'} [options.affinityAlignment] - Alignment of cascade levels for affinities.
+ * @param {boolean} [options.memoryAffinity] - Report affinities with remembered cascades.
+ * @param {boolean} [options.trajectoryContext] - Feed the trajectory phase into the agent's emotional context.
+ * @param {number} [options.hiddenDim] - Belief embedding size of the agent(s).
+ * @param {Object|boolean} [options.metroplex] - Run a Metroplex (true or overrides for Config.Metroplex); metrics then carry `metroplex`.
+ * @param {string|Object} [options.eventCatalog] - Environment event catalog (JSON text or object).
+ * @param {string|Object} [options.scenario] - Scenario script, e.g. "at step 300 trigger Fear for 200 steps, then Calm".
+ * @param {string|Object} [options.stateMapping] - Mapping from base emotions to the core dimensions ('legacy' or a spec object).
+ * @param {string|Object} [options.environment] - Environment: 'emotionalSpace', 'gridWorld', 'dialogue' or { type, ...options }.
+ * @returns {Promise<Object[]>} Metrics for the initial pass (step 0) followed by every step.
+ */
+export async function runHeadlessSimulation({ steps = 100, chatInputs = [], onStep = null, graphFeatures, seed, trainingEnabled, emotionTrainingEnabled, tuningStrategy, manualParameters, korporation, metronFeatures, rihEstimator, affinityAlignment, memoryAffinity, trajectoryContext, hiddenDim, metroplex, eventCatalog, scenario, stateMapping, environment } = {}) {
+    const simulation = new HeadlessSimulation({ graphFeatures, seed, trainingEnabled, emotionTrainingEnabled, tuningStrategy, manualParameters, korporation, metronFeatures, rihEstimator, affinityAlignment, memoryAffinity, trajectoryContext, hiddenDim, metroplex, eventCatalog, scenario, stateMapping, environment });
+    try {
+        const initialMetrics = await simulation.initialize();
+        const stepMetrics = await simulation.run(steps, { chatInputs, onStep });
+        return [initialMetrics, ...stepMetrics];
+    } finally {
+        simulation.cleanup();
+    }
+}
+
+/**
+ * Smallest hiddenDim whose single agent has at least `targetParameters` trainable parameters.
+ * Probes throwaway agents (with their own generator, so the simulation's random sequence is untouched).
+ */
+function matchHiddenDim(targetParameters, agentOptions) {
+    const parametersFor = hiddenDim => {
+        const probe = new SyntrometricAgent({ ...agentOptions, hiddenDim, rng: new SeededRandom(0) });
+        const count = countAgentParameters(probe);
+        probe.cleanup();
+        return count;
+    };
+    let low = 1, high = Config.Agent.HIDDEN_DIM;
+    while (parametersFor(high) < targetParameters) {
+        low = high + 1;
+        high *= 2;
+    }
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (parametersFor(middle) >= targetParameters) high = middle;
+        else low = middle + 1;
+    }
+    return high;
+}
+
+/**
+ * Compares hierarchical integration with a flat agent of the same size: runs a Metroplex and a single agent
+ * whose hiddenDim is chosen so its parameter count matches the whole Metroplex, with the same seed and inputs.
+ * The environment shares each run's generator, so the two runs see statistically alike but not identical events.
+ * @param {Object} [options] - runHeadlessSimulation options; `metroplex` defaults to Config.Metroplex.
+ * @returns {Promise<{metroplex: Object, single: Object, rihGain: number}>}
+ *   metroplex: { parameters, meanRih, meanSubAgentRih, metrics }; single: { parameters, hiddenDim, meanRih, metrics };
+ *   rihGain is the Metroplex's mean hierarchical RIH minus the single agent's mean RIH (step 0 excluded).
+ */
+export async function runMetroplexComparison({ steps = 100, chatInputs = [], metroplex = true, ...options } = {}) {
+    await ensureTensorFlow();
+    const meanRihOf = metrics => metrics.slice(1).reduce((sum, m) => sum + m.rih, 0) / Math.max(1, metrics.length - 1);
+    const runCounted = async (simulationOptions, countParameters) => {
+        const simulation = new HeadlessSimulation(simulationOptions);
+        try {
+            const initialMetrics = await simulation.initialize();
+            const parameters = countParameters(simulation.agent);
+            const stepMetrics = await simulation.run(steps, { chatInputs });
+            return { parameters, metrics: [initialMetrics, ...stepMetrics] };
+        } finally {
+            simulation.cleanup();
+        }
+    };
+
+    const hierarchical = await runCounted({ ...options, metroplex: metroplex || true }, agent => agent.countParameters());
+    const singleHiddenDim = matchHiddenDim(hierarchical.parameters, { metronFeatures: options.metronFeatures });
+    const single = await runCounted({ ...options, hiddenDim: singleHiddenDim, metroplex: null }, countAgentParameters);
+
+    const metroplexRih = meanRihOf(hierarchical.metrics);
+    const singleRih = meanRihOf(single.metrics);
+    return {
+        metroplex: {
+            parameters: hierarchical.parameters,
+            meanRih: metroplexRih,
+            meanSubAgentRih: hierarchical.metrics.slice(1).reduce((sum, m) => sum + (m.metroplex?.meanSubAgentRih ?? 0), 0) / Math.max(1, steps),
+            metrics: hierarchical.metrics
+        },
+        single: { parameters: single.parameters, hiddenDim: singleHiddenDim, meanRih: singleRih, metrics: single.metrics },
+        rihGain: metroplexRih - singleRih
+    };
+}
@@ -0,0 +1,109 @@
+// js/metronCalculus.js
+
+import { Config } from './config.js';
+
+/**
+ * Metron calculus on the τ-lattice (metronische Gitter): values live on multiples of the metron τ and
+ * time advances in whole metron steps. Differences and sums replace derivatives and integrals:
+ *  - Metrondifferential: δφ(n) = φ(n) − φ(n−1) of the lattice-quantized sequence (order k: applied k times).
+ *  - Metronintegral: S(n) = initial + Σ_{j≤n} φ(j), the discrete inverse, so δ S = φ on the lattice.
+ * Sequences are number[] (scalar per step) or number[][] (a state vector per step); vector sequences are
+ * handled element-wise.
+ */
+
+/**
+ * Rounds a value or vector to the nearest multiple of τ.
+ * @param {number|number[]} values
+ * @param {number} [tau=Config.METRON_TAU]
+ * @returns {number|number[]}
+ */
+export function quantizeToLattice(values, tau = Config.METRON_TAU) {
+    const quantize = value => Math.round(value / tau) * tau;
+    return Array.isArray(values) ? values.map(quantize) : quantize(values);
+}
+
+/** Applies `fn(a, b)` element-wise to two steps of a sequence (scalars or equal-length vectors). */
+function combineSteps(a, b, fn) {
+    return Array.isArray(a) ? a.map((value, i) => fn(value, b[i] ?? 0)) : fn(a, b);
+}
+
+/**
+ * k-th order Metrondifferential of a sequence. The result is k steps shorter than the input.
+ * @param {Array<number|number[]>} sequence - One value or vector per metron step, oldest first.
+ * @param {Object} [options]
+ * @param {number} [options.order=1] - Number of times the difference is applied.
+ * @param {number} [options.tau=Config.METRON_TAU] - Lattice constant; values are quantized before differencing.
+ * @returns {Array<number|number[]>} Differences in value units (multiples of τ), oldest first.
+ */
+export function metronDifferential(sequence, { order = 1, tau = Config.METRON_TAU } = {}) {
+    let current = sequence.map(step => quantizeToLattice(step, tau));
+    for (let k = 0; k < order; k++) {
+        current = current.slice(1).map((step, n) => combineSteps(step, current[n], (a, b) => quantizeToLattice(a - b, tau)));
+    }
+    return current;
+}
+
+/**
+ * Metronintegral: cumulative lattice sum of a sequence, the inverse of the first-order Metrondifferential
+ * (metronDifferential(metronIntegral(φ)) equals φ quantized, from the second step on).
+ * @param {Array<number|number[]>} sequence - One value or vector per metron step, oldest first.
+ * @param {Object} [options]
+ * @param {number|number[]} [options.initial=0] - Value of the sum before the first step.
+ * @param {number} [options.tau=Config.METRON_TAU] - Lattice constant.
+ * @returns {Array<number|number[]>} Running sums, same length as the input.
+ */
+export function metronIntegral(sequence, { initial = 0, tau = Config.METRON_TAU } = {}) {
+    const sums = [];
+    let sum = Array.isArray(sequence[0]) && !Array.isArray(initial) ? sequence[0].map(() => initial) : initial;
+    sequence.forEach(step => {
+        sum = combineSteps(sum, quantizeToLattice(step, tau), (a, b) => quantizeToLattice(a + b, tau));
+        sums.push(sum);
+    });
+    return sums;
+}
+
+/**
+ * Rolling state history that yields the latest Metrondifferentials as features.
+ */
+export class MetronHistory {
+    /**
+     * @param {number} dimension - Length of each state vector.
+     * @param {Object} [options]
+     * @param {number} [options.order=1] - Highest differential order reported by getFeatures().
+     * @param {number} [options.tau=Config.METRON_TAU] - Lattice constant.
+     */
+    constructor(dimension, { order = 1, tau = Config.METRON_TAU } = {}) {
+        this.dimension = dimension;
+        this.order = Math.max(1, Math.floor(order));
+        this.tau = tau;
+        this.states = [];
+    }
+
+    /** @returns {number} Number of features getFeatures() returns (dimension × order). */
+    get featureSize() {
+        return this.dimension * this.order;
+    }
+
+    /** Appends a state, keeping only the order + 1 most recent ones. */
+    push(state) {
+        this.states.push(Array.from({ length: this.dimension }, (_, i) => state[i] ?? 0));
+        while (this.states.length > this.order + 1) this.states.shift();
+    }
+
+    /**
+     * Latest differentials of orders 1..order, concatenated. Orders without enough history are zeros.
+     * @returns {number[]}
+     */
+    getFeatures() {
+        const features = [];
+        for (let k = 1; k <= this.order; k++) {
+            const differentials = this.states.length > k ? metronDifferential(this.states, { order: k, tau: this.tau }) : [];
+            features.push(...(differentials[differentials.length - 1] ?? new Array(this.dimension).fill(0)));
+        }
+        return features;
+    }
+
+    clear() {
+        this.states = [];
+    }
+}
@@ -0,0 +1,160 @@
+// js/metroplex.js
+
+import { Config } from './config.js';
+import { SyntrometricAgent } from './agent.js';
+import { resampleLevel } from './syntrometry-core.js';
+
+/**
+ * Metroplex of grade 2: several sub-agents (each a SyntrometricAgent with its own cascade) form the first
+ * grade, and a higher-grade agent integrates them. The higher-grade agent's core input is built from the
+ * sub-agents' final cascade levels by a bridge operator (syntrokline Metroplexbrücke); its emotional input
+ * is the mean of the sub-agents' emotions. Toward the environment the Metroplex acts like a single agent:
+ * process() returns the higher-grade agent's response (its RIH is the hierarchical RIH) plus a `metroplex`
+ * report with the sub-agents' values.
+ */
+
+/** How the sub-agents see the environment state: the full core state, or one contiguous slice each. */
+export const METROPLEX_INPUT_MODES = ['shared', 'partition'];
+
+/**
+ * Bridge operators: (final levels as 1D tensors, settings) -> 1D tensor of DIMENSIONS elements.
+ *  - 'concat': the final levels side by side, resampled to DIMENSIONS.
+ *  - 'mean': every final level resampled to DIMENSIONS, then averaged (a konzenter bridge).
+ *  - 'coupled': every final level plus COUPLING × the mean of the others, then concatenated and resampled
+ *    (an exzenter bridge).
+ * The result is clipped to [-1, 1], the range of the environment's core state.
+ */
+export const METROPLEX_BRIDGES = {
+    concat: (levels) => resampleLevel(tf.concat(levels), Config.DIMENSIONS),
+    mean: (levels) => tf.stack(levels.map(level => resampleLevel(level, Config.DIMENSIONS))).mean(0),
+    coupled: (levels, settings) => {
+        const resampled = levels.map(level => resampleLevel(level, Config.DIMENSIONS));
+        const total = tf.addN(resampled);
+        const others = resampled.map(level => total.sub(level).div(Math.max(1, levels.length - 1)));
+        return resampleLevel(tf.concat(resampled.map((level, i) => level.add(others[i].mul(settings.COUPLING)))), Config.DIMENSIONS);
+    }
+};
+
+/**
+ * Number of trainable parameters in an agent's networks (belief network, projection, heads, emotional module).
+ * @param {SyntrometricAgent} agent
+ * @returns {number}
+ */
+export function countAgentParameters(agent) {
+    return [agent?.beliefNetwork, agent?.cascadeInputLayer, agent?.valueHead, agent?.feedbackHead, agent?.emotionalModule, agent?.headMovementHead]
+        .reduce((sum, model) => sum + (typeof model?.countParams === 'function' ? model.countParams() : 0), 0);
+}
+
+export class Metroplex {
+    /**
+     * @param {Object} [options]
+     * @param {SeededRandom} [options.rng] - Random source passed to every agent.
+     * @param {Object} [options.settings] - Overrides for Config.Metroplex (SUB_AGENTS, BRIDGE, INPUT_MODE, COUPLING).
+     * @param {Object} [options.agentOptions] - Further SyntrometricAgent options applied to every agent (e.g. rihEstimator).
+     */
+    constructor({ rng, settings = {}, agentOptions = {} } = {}) {
+        this.settings = { ...Config.Metroplex, ...settings };
+        this.settings.SUB_AGENTS = Math.max(1, Math.floor(this.settings.SUB_AGENTS));
+        if (!METROPLEX_BRIDGES[this.settings.BRIDGE]) {
+            console.warn(`[Metroplex] Unknown bridge "${this.settings.BRIDGE}", using mean.`);
+            this.settings.BRIDGE = 'mean';
+        }
+        if (!METROPLEX_INPUT_MODES.includes(this.settings.INPUT_MODE)) {
+            console.warn(`[Metroplex] Unknown input mode "${this.settings.INPUT_MODE}", using shared.`);
+            this.settings.INPUT_MODE = 'shared';
+        }
+        this.subAgents = Array.from({ length: this.settings.SUB_AGENTS }, () => new SyntrometricAgent({ ...agentOptions, rng }));
+        this.higherAgent = new SyntrometricAgent({ ...agentOptions, rng });
+        this.latestBridgedInput = [];
+    }
+
+    /** True when every agent initialized its TF components. */
+    isValid() {
+        return [...this.subAgents, this.higherAgent].every(agent => agent?.beliefNetwork && agent?.enyphansyntrix);
+    }
+
+    /** @returns {number} Trainable parameters of all agents together. */
+    countParameters() {
+        return [...this.subAgents, this.higherAgent].reduce((sum, agent) => sum + countAgentParameters(agent), 0);
+    }
+
+    /** Holds Integration/Reflexivity of every agent at the given values. */
+    setManualParameters(integration, reflexivity) {
+        [...this.subAgents, this.higherAgent].forEach(agent => agent.setManualParameters(integration, reflexivity));
+    }
+
+    /** Core state seen by sub-agent `index`: the full state, or only its slice of the core dimensions. */
+    _subAgentInput(rawState, index) {
+        if (this.settings.INPUT_MODE !== 'partition') return rawState;
+        const sliceSize = Config.DIMENSIONS / this.subAgents.length;
+        const start = Math.floor(index * sliceSize);
+        const end = Math.floor((index + 1) * sliceSize);
+        return rawState.map((value, i) => (i >= Config.DIMENSIONS || (i >= start && i < end) ? value : 0));
+    }
+
+    /** Applies the bridge to the sub-agents' final cascade levels (empty levels are skipped). */
+    _bridge(finalLevels) {
+        const levels = finalLevels.filter(level => Array.isArray(level) && level.length > 0);
+        if (levels.length === 0) return new Array(Config.DIMENSIONS).fill(0);
+        return tf.tidy(() => {
+            const bridged = METROPLEX_BRIDGES[this.settings.BRIDGE](levels.map(level => tf.tensor1d(level)), this.settings);
+            return Array.from(bridged.clipByValue(-1, 1).dataSync());
+        });
+    }
+
+    /**
+     * Runs every sub-agent on the environment state, bridges their final levels and runs the higher-grade agent.
+     * @param {number[]} rawState - Environment state (BASE_STATE_DIM).
+     * @param {number[]} graphFeatures - Graph features passed to every agent.
+     * @param {Object} [environmentContext] - { eventType, eventEmotion, reward } passed to every agent.
+     * @returns {Promise<Object>} The higher-grade agent's response plus `metroplex`:
+     *   { bridge, inputMode, bridgedInput, hierarchicalRih, subAgents: [{ rih, avgAffinity, trust, hmLabel }], meanSubAgentRih }.
+     *   `emotions` is the higher-grade agent's kept tensor (owned by the caller, as with SyntrometricAgent).
+     */
+    async process(rawState, graphFeatures, environmentContext = { eventType: null, reward: 0 }) {
+        const subResponses = [];
+        const subEmotions = [];
+        for (let i = 0; i < this.subAgents.length; i++) {
+            const response = await this.subAgents[i].process(this._subAgentInput(rawState, i), graphFeatures, environmentContext);
+            subResponses.push(response);
+            subEmotions.push(response.emotions && !response.emotions.isDisposed ? Array.from(response.emotions.dataSync()) : null);
+            if (response.emotions && !response.emotions.isDisposed) tf.dispose(response.emotions);
+        }
+
+        const finalLevels = subResponses.map(response => response.cascadeHistory?.[response.cascadeHistory.length - 1] ?? []);
+        this.latestBridgedInput = this._bridge(finalLevels);
+        const validEmotions = subEmotions.filter(Boolean);
+        const meanEmotions = Array.from({ length: Config.Agent.EMOTION_DIM }, (_, k) =>
+            validEmotions.reduce((sum, emotions) => sum + (emotions[k] ?? 0), 0) / Math.max(1, validEmotions.length));
+
+        const response = await this.higherAgent.process([...this.latestBridgedInput, ...meanEmotions], graphFeatures, environmentContext);
+        const subAgents = subResponses.map(sub => {
+            const affinities = sub.affinities ?? [];
+            return {
+                rih: sub.rihScore ?? 0,
+                avgAffinity: affinities.length > 0 ? affinities.reduce((a, b) => a + b, 0) / affinities.length : 0,
+                trust: sub.trustScore ?? 0.5,
+                hmLabel: sub.hmLabel
+            };
+        });
+        return {
+            ...response,
+            metroplex: {
+                bridge: this.settings.BRIDGE,
+                inputMode: this.settings.INPUT_MODE,
+                bridgedInput: [...this.latestBridgedInput],
+                hierarchicalRih: response.rihScore ?? 0,
+                subAgents,
+                meanSubAgentRih: subAgents.reduce((sum, sub) => sum + sub.rih, 0) / subAgents.length
+            }
+        };
+    }
+
+    /** Disposes every agent's TF resources. */
+    cleanup() {
+        this.subAgents.forEach(agent => agent?.cleanup());
+        this.higherAgent?.cleanup();
+        this.subAgents = [];
+        this.higherAgent = null;
+    }
+}
@@ -0,0 +1,303 @@
+// js/parameterTuning.js
+
+import { Config } from './config.js';
+import { clamp, getSharedRandom } from './utils.js';
+
+const PARAM_MIN = 0.05;
+const PARAM_MAX = 0.95;
+
+/**
+ * Base class for strategies that tune the agent's integration and reflexivity parameters.
+ * update() receives the step's metrics and the current parameter values and returns the new values;
+ * getState() reports the strategy's internal state for the dashboard.
+ */
+export class ParameterTuningStrategy {
+    /**
+     * @param {string} name - Registry name of the strategy.
+     * @param {Object} [settings] - Strategy settings.
+     */
+    constructor(name, settings = {}) {
+        this.name = name;
+        this.settings = settings;
+    }
+
+    /**
+     * @param {Object} metrics - { trustScore, rihScore, cascadeVariance, lastRIH, lastCascadeVariance }
+     * @param {{integration: number, reflexivity: number}} params - Current parameter values.
+     * @returns {{integration: number, reflexivity: number}} New parameter values (clamped by the caller).
+     */
+    update(metrics, params) {
+        return { ...params };
+    }
+
+    /** @returns {Object} Internal state; always includes `name` and a one-line `summary`. */
+    getState() {
+        return { name: this.name, summary: this.name };
+    }
+
+    /** Clears learned state, e.g. after loading a saved agent. */
+    reset() {}
+}
+
+/** Pulls a value towards 0.5 by `decay` of its distance (shared mean reversion). */
+function meanReversion(value, decay) {
+    return (0.5 - value) * decay;
+}
+
+/**
+ * The original hand-tuned rules: reward stable, trusted states with more integration,
+ * react to low RIH / trust with reflexivity, and respond to cascade variance.
+ */
+export class HeuristicTuningStrategy extends ParameterTuningStrategy {
+    constructor(settings = {}) {
+        super('heuristic', { ...Config.RL?.HEURISTIC_TUNING, ...settings });
+        this.lastDeltas = { integration: 0, reflexivity: 0 };
+        this.lastRule = 'none';
+    }
+
+    update({ trustScore, rihScore, cascadeVariance, lastRIH, lastCascadeVariance }, params) {
+        const s = this.settings;
+        const learningRate = Config.RL?.PARAM_LEARN_RATE ?? 0.006;
+        const decayFactor = Config.RL?.PARAM_DECAY ?? 0.03;
+        let integrationDelta = 0.0;
+        let reflexivityDelta = 0.0;
+        const rihChange = rihScore - lastRIH;
+        const varianceChange = cascadeVariance - lastCascadeVariance;
+
+        this.lastRule = 'none';
+        if ((rihScore > s.HIGH_RIH && trustScore > s.HIGH_TRUST) || (rihChange > s.RIH_RISE && trustScore > s.RIH_RISE_TRUST)) {
+            integrationDelta += 1.0; reflexivityDelta -= 1.0;
+            this.lastRule = 'integrate';
+        } else if (rihScore < s.LOW_RIH || trustScore < s.LOW_TRUST || (rihChange < s.RIH_DROP && trustScore < s.RIH_DROP_TRUST)) {
+            integrationDelta -= 1.0; reflexivityDelta += 1.2;
+            this.lastRule = 'reflect';
+        }
+        if (cascadeVariance > s.HIGH_VARIANCE || varianceChange > s.INCREASING_VARIANCE) {
+            integrationDelta += 0.6 * clamp(cascadeVariance - s.HIGH_VARIANCE, 0, 1);
+            reflexivityDelta += 0.4 * clamp(varianceChange, 0, 0.1);
+        } else if (cascadeVariance < s.LOW_VARIANCE && varianceChange <= 0) {
+            reflexivityDelta += 0.3;
+        }
+        integrationDelta += meanReversion(params.integration, decayFactor);
+        reflexivityDelta += meanReversion(params.reflexivity, decayFactor);
+
+        this.lastDeltas = { integration: integrationDelta * learningRate, reflexivity: reflexivityDelta * learningRate };
+        return {
+            integration: params.integration + this.lastDeltas.integration,
+            reflexivity: params.reflexivity + this.lastDeltas.reflexivity
+        };
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            rule: this.lastRule,
+            deltas: { ...this.lastDeltas },
+            summary: `heuristic (${this.lastRule})`
+        };
+    }
+}
+
+/**
+ * Gradient ascent on a meta-objective J = EMA(RIH × trust).
+ * The pipeline from parameters to J is not differentiable, so a quadratic surrogate
+ * J ≈ w·[1, i, r, i², r², i·r] is refit by ridge regression over a sliding window of
+ * (parameters, J) pairs, and the parameters follow the surrogate's gradient. Small
+ * exploration noise keeps the window informative.
+ */
+export class GradientTuningStrategy extends ParameterTuningStrategy {
+    constructor(settings = {}, rng = getSharedRandom()) {
+        super('gradient', { ...Config.RL?.GRADIENT_TUNING, ...settings });
+        this.rng = rng;
+        this.reset();
+    }
+
+    reset() {
+        this.smoothedObjective = null;
+        this.history = []; // { features: number[], objective: number }
+        this.weights = null;
+        this.lastGradient = { integration: 0, reflexivity: 0 };
+    }
+
+    static _features(i, r) {
+        return [1, i, r, i * i, r * r, i * r];
+    }
+
+    /** Solves (XᵀX + λI) w = Xᵀy with Gaussian elimination. */
+    _fitSurrogate() {
+        const n = 6;
+        const A = Array.from({ length: n }, (_, row) => Array.from({ length: n }, (_, col) => (row === col ? this.settings.RIDGE : 0)));
+        const b = new Array(n).fill(0);
+        this.history.forEach(({ features, objective }) => {
+            for (let row = 0; row < n; row++) {
+                b[row] += features[row] * objective;
+                for (let col = 0; col < n; col++) A[row][col] += features[row] * features[col];
+            }
+        });
+        for (let pivot = 0; pivot < n; pivot++) {
+            let best = pivot;
+            for (let row = pivot + 1; row < n; row++) if (Math.abs(A[row][pivot]) > Math.abs(A[best][pivot])) best = row;
+            [A[pivot], A[best]] = [A[best], A[pivot]];
+            [b[pivot], b[best]] = [b[best], b[pivot]];
+            if (Math.abs(A[pivot][pivot]) < 1e-12) return null;
+            for (let row = pivot + 1; row < n; row++) {
+                const factor = A[row][pivot] / A[pivot][pivot];
+                for (let col = pivot; col < n; col++) A[row][col] -= factor * A[pivot][col];
+                b[row] -= factor * b[pivot];
+            }
+        }
+        const w = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = b[row];
+            for (let col = row + 1; col < n; col++) sum -= A[row][col] * w[col];
+            w[row] = sum / A[row][row];
+        }
+        return w.every(Number.isFinite) ? w : null;
+    }
+
+    update({ trustScore, rihScore }, params) {
+        const s = this.settings;
+        const objective = rihScore * trustScore;
+        this.smoothedObjective = this.smoothedObjective === null
+            ? objective
+            : this.smoothedObjective + (objective - this.smoothedObjective) * s.SMOOTHING;
+
+        this.history.push({ features: GradientTuningStrategy._features(params.integration, params.reflexivity), objective: this.smoothedObjective });
+        while (this.history.length > s.WINDOW) this.history.shift();
+
+        let gradI = 0, gradR = 0;
+        if (this.history.length >= s.MIN_SAMPLES) {
+            this.weights = this._fitSurrogate();
+            if (this.weights) {
+                const [, w1, w2, w3, w4, w5] = this.weights;
+                gradI = w1 + 2 * w3 * params.integration + w5 * params.reflexivity;
+                gradR = w2 + 2 * w4 * params.reflexivity + w5 * params.integration;
+                const gradNorm = Math.hypot(gradI, gradR);
+                if (gradNorm > s.MAX_GRADIENT_NORM) { // Clip to keep single steps small
+                    gradI *= s.MAX_GRADIENT_NORM / gradNorm;
+                    gradR *= s.MAX_GRADIENT_NORM / gradNorm;
+                }
+            }
+        }
+        this.lastGradient = { integration: gradI, reflexivity: gradR };
+
+        const decay = Config.RL?.PARAM_DECAY ?? 0.03;
+        const noise = () => this.rng.normal(0, s.EXPLORATION_NOISE);
+        return {
+            integration: params.integration + s.LEARN_RATE * (gradI + meanReversion(params.integration, decay)) + noise(),
+            reflexivity: params.reflexivity + s.LEARN_RATE * (gradR + meanReversion(params.reflexivity, decay)) + noise()
+        };
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            objective: this.smoothedObjective,
+            gradient: { ...this.lastGradient },
+            samples: this.history.length,
+            surrogateWeights: this.weights ? [...this.weights] : null,
+            summary: `gradient J=${(this.smoothedObjective ?? 0).toFixed(3)} ∇=(${this.lastGradient.integration.toFixed(2)}, ${this.lastGradient.reflexivity.toFixed(2)})`
+        };
+    }
+}
+
+/**
+ * (1+1) evolution strategy: a candidate (incumbent + σ·N(0, 1)) is evaluated for
+ * EVAL_STEPS steps on the mean of RIH × trust; it replaces the incumbent if it scores
+ * higher. σ adapts with the 1/5th success rule. The incumbent's score decays slowly so
+ * an old lucky score does not block progress when the environment changes.
+ */
+export class EvolutionTuningStrategy extends ParameterTuningStrategy {
+    constructor(settings = {}, rng = getSharedRandom()) {
+        super('es', { ...Config.RL?.ES_TUNING, ...settings });
+        this.rng = rng;
+        this.reset();
+    }
+
+    reset() {
+        this.sigma = this.settings.INITIAL_SIGMA;
+        this.incumbent = null; // { integration, reflexivity, score }
+        this.candidate = null;
+        this.evalSum = 0;
+        this.evalSteps = 0;
+        this.generations = 0;
+        this.recentSuccesses = [];
+    }
+
+    _propose() {
+        const sample = value => clamp(value + this.rng.normal(0, this.sigma), PARAM_MIN, PARAM_MAX);
+        this.candidate = { integration: sample(this.incumbent.integration), reflexivity: sample(this.incumbent.reflexivity) };
+        this.evalSum = 0;
+        this.evalSteps = 0;
+    }
+
+    update({ trustScore, rihScore }, params) {
+        const s = this.settings;
+        if (!this.incumbent) {
+            // The first window evaluates the current parameters as the incumbent
+            this.incumbent = { ...params, score: null };
+            this.candidate = { ...params };
+        }
+
+        this.evalSum += rihScore * trustScore;
+        this.evalSteps++;
+        if (this.evalSteps >= s.EVAL_STEPS) {
+            const score = this.evalSum / this.evalSteps;
+            if (this.incumbent.score === null) {
+                this.incumbent.score = score;
+            } else {
+                const success = score > this.incumbent.score;
+                if (success) this.incumbent = { ...this.candidate, score };
+                else this.incumbent.score *= s.SCORE_DECAY;
+                this.recentSuccesses.push(success ? 1 : 0);
+                if (this.recentSuccesses.length > 10) this.recentSuccesses.shift();
+                const successRate = this.recentSuccesses.reduce((a, b) => a + b, 0) / this.recentSuccesses.length;
+                this.sigma = clamp(this.sigma * (successRate > 0.2 ? 1.22 : 0.82), s.MIN_SIGMA, s.MAX_SIGMA);
+                this.generations++;
+            }
+            this._propose();
+        }
+        return { ...this.candidate };
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            sigma: this.sigma,
+            generations: this.generations,
+            incumbent: this.incumbent ? { ...this.incumbent } : null,
+            candidate: this.candidate ? { ...this.candidate } : null,
+            evalProgress: this.evalSteps / this.settings.EVAL_STEPS,
+            summary: `es gen ${this.generations} σ=${this.sigma.toFixed(3)} best=${(this.incumbent?.score ?? 0).toFixed(3)}`
+        };
+    }
+}
+
+/** Registry of available strategies: name -> factory(settings, rng). */
+export const PARAMETER_TUNING_STRATEGIES = {
+    heuristic: (settings) => new HeuristicTuningStrategy(settings),
+    gradient: (settings, rng) => new GradientTuningStrategy(settings, rng),
+    es: (settings, rng) => new EvolutionTuningStrategy(settings, rng)
+};
+
+/**
+ * Creates a tuning strategy by name, falling back to the heuristic for unknown names.
+ * @param {string} name - Key of PARAMETER_TUNING_STRATEGIES.
+ * @param {Object} [options]
+ * @param {SeededRandom} [options.rng] - Random source for exploration.
+ * @param {Object} [options.settings] - Strategy setting overrides.
+ * @returns {ParameterTuningStrategy}
+ */
+export function createTuningStrategy(name, options = {}) {
+    const factory = PARAMETER_TUNING_STRATEGIES[name];
+    if (!factory) {
+        console.warn(`[ParameterTuning] Unknown strategy "${name}", using heuristic.`);
+        return PARAMETER_TUNING_STRATEGIES.heuristic(options.settings);
+    }
+    return factory(options.settings, options.rng ?? getSharedRandom());
+}
+
+/** Clamps a parameter to the range the agent allows. */
+export function clampTuningParameter(value) {
+    return clamp(value, PARAM_MIN, PARAM_MAX);
+}
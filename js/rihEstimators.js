@@ -0,0 +1,291 @@
+// js/rihEstimators.js
+
+import { Config } from './config.js';
+import { ReflexiveIntegration } from './syntrometry-core.js';
+
+/**
+ * Estimators of Reflexive Integration (RIH) over the cascade history.
+ * Each estimator takes the cascade levels of one step (number[][], level 0 first) through
+ * estimate() and returns { score, diagnostics } with score in [0, 1].
+ *
+ * The window-based estimators describe every level by two features per step (its mean and standard
+ * deviation) and measure how strongly the levels co-vary over the last WINDOW steps. A constant or
+ * frozen cascade has no covariance and scores 0, unlike the moment estimator (|mean| / std of a single
+ * level), which a constant-offset vector can drive to 1.
+ */
+
+/** Mean and standard deviation of a level (zeros for an empty level). */
+function levelFeatures(level) {
+    if (!Array.isArray(level) || level.length === 0) return [0, 0];
+    const mean = level.reduce((a, b) => a + b, 0) / level.length;
+    const variance = level.reduce((a, b) => a + (b - mean) ** 2, 0) / level.length;
+    return [mean, Math.sqrt(variance)];
+}
+
+/** Covariance matrix (ridge-regularized) of the columns of `rows` (samples × variables). */
+function covarianceMatrix(rows, ridge) {
+    const n = rows.length;
+    const d = rows[0].length;
+    const means = Array.from({ length: d }, (_, j) => rows.reduce((a, row) => a + row[j], 0) / n);
+    const cov = Array.from({ length: d }, () => new Array(d).fill(0));
+    rows.forEach(row => {
+        for (let i = 0; i < d; i++) {
+            for (let j = i; j < d; j++) cov[i][j] += (row[i] - means[i]) * (row[j] - means[j]) / (n - 1);
+        }
+    });
+    for (let i = 0; i < d; i++) {
+        cov[i][i] += ridge;
+        for (let j = 0; j < i; j++) cov[i][j] = cov[j][i];
+    }
+    return cov;
+}
+
+/** Log-determinant of a symmetric positive definite matrix via Cholesky; -Infinity if not positive definite. */
+function logDeterminant(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+    let logDet = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (sum <= 0) return -Infinity;
+                L[i][i] = Math.sqrt(sum);
+                logDet += 2 * Math.log(L[i][i]);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return logDet;
+}
+
+/** Sub-matrix of `matrix` on the given variable indices. */
+function subMatrix(matrix, indices) {
+    return indices.map(i => indices.map(j => matrix[i][j]));
+}
+
+/** Maps a non-negative information quantity (nats) to [0, 1). */
+function informationToScore(nats) {
+    return Number.isFinite(nats) && nats > 0 ? 1 - Math.exp(-nats) : 0;
+}
+
+/**
+ * The original estimator: |mean| / std of the final level × RIH_SCALE, clamped (ReflexiveIntegration.compute).
+ */
+export class MomentRihEstimator {
+    constructor() {
+        this.name = 'moment';
+        this.reflexiveIntegration = new ReflexiveIntegration();
+    }
+
+    estimate(levels) {
+        const finalLevel = levels?.[levels.length - 1] ?? [];
+        const [mean, std] = levelFeatures(finalLevel);
+        const score = finalLevel.length > 0 ? tf.tidy(() => this.reflexiveIntegration.compute(tf.tensor1d(finalLevel))) : 0;
+        return { score, diagnostics: { estimator: this.name, mean, std } };
+    }
+
+    reset() {}
+}
+
+/**
+ * Shared sliding window of per-level features for the information-theoretic estimators.
+ */
+class WindowedRihEstimator {
+    /**
+     * @param {string} name
+     * @param {Object} [settings] - Overrides for Config.RIHEstimators.
+     */
+    constructor(name, settings = {}) {
+        this.name = name;
+        this.settings = { ...Config.RIHEstimators, ...settings };
+        this.window = []; // number[] of features per step: [mean_0, std_0, mean_1, std_1, ...]
+    }
+
+    /** Appends the step's level features; restarts the window if the number of levels changes. */
+    _observe(levels) {
+        const features = (levels ?? []).flatMap(levelFeatures);
+        if (this.window.length > 0 && this.window[0].length !== features.length) this.window = [];
+        this.window.push(features);
+        while (this.window.length > this.settings.WINDOW) this.window.shift();
+        return features.length / 2;
+    }
+
+    /** True once enough samples for a covariance estimate have been collected. */
+    _isReady(minSamples = this.settings.MIN_SAMPLES) {
+        return this.window.length >= minSamples && this.window[0].length >= 4;
+    }
+
+    _warmup() {
+        return { score: 0, diagnostics: { estimator: this.name, warmingUp: true, samples: this.window.length } };
+    }
+
+    reset() {
+        this.window = [];
+    }
+}
+
+/**
+ * Total correlation (multi-information) between the levels over the window, under a Gaussian model with
+ * each level's (mean, std) as one block: TC = Σ_l H(X_l) − H(X) = ½ (Σ_l log det Σ_l − log det Σ).
+ * Also reports the mutual information between adjacent levels. Score = 1 − exp(−TC / levels).
+ */
+export class TotalCorrelationRihEstimator extends WindowedRihEstimator {
+    constructor(settings = {}) {
+        super('totalCorrelation', settings);
+    }
+
+    estimate(levels) {
+        const levelCount = this._observe(levels);
+        if (!this._isReady()) return this._warmup();
+
+        const cov = covarianceMatrix(this.window, this.settings.RIDGE);
+        let marginal = 0;
+        for (let level = 0; level < levelCount; level++) marginal += logDeterminant(subMatrix(cov, [2 * level, 2 * level + 1]));
+        const totalCorrelation = Math.max(0, 0.5 * (marginal - logDeterminant(cov)));
+
+        const adjacentMI = [];
+        for (let level = 0; level < levelCount - 1; level++) {
+            const a = [2 * level, 2 * level + 1];
+            const b = [2 * level + 2, 2 * level + 3];
+            const mi = 0.5 * (logDeterminant(subMatrix(cov, a)) + logDeterminant(subMatrix(cov, b)) - logDeterminant(subMatrix(cov, [...a, ...b])));
+            adjacentMI.push(Math.max(0, mi));
+        }
+
+        return {
+            score: informationToScore(totalCorrelation / Math.max(1, levelCount)),
+            diagnostics: { estimator: this.name, totalCorrelation, adjacentMI, samples: this.window.length }
+        };
+    }
+}
+
+/**
+ * Magnitude-squared coherence between the level-mean signals over the window (Welch estimate with
+ * SEGMENTS non-overlapping segments, DC excluded), averaged over level pairs and frequencies.
+ * High when the levels oscillate together at consistent phase.
+ */
+export class SpectralCoherenceRihEstimator extends WindowedRihEstimator {
+    constructor(settings = {}) {
+        super('spectral', settings);
+    }
+
+    /** DFT (bins 1..n/2) of a mean-removed segment: returns [re[], im[]]. */
+    static _spectrum(segment) {
+        const n = segment.length;
+        const mean = segment.reduce((a, b) => a + b, 0) / n;
+        const re = [], im = [];
+        for (let k = 1; k <= Math.floor(n / 2); k++) {
+            let sumRe = 0, sumIm = 0;
+            segment.forEach((value, t) => {
+                const angle = -2 * Math.PI * k * t / n;
+                sumRe += (value - mean) * Math.cos(angle);
+                sumIm += (value - mean) * Math.sin(angle);
+            });
+            re.push(sumRe); im.push(sumIm);
+        }
+        return [re, im];
+    }
+
+    estimate(levels) {
+        const levelCount = this._observe(levels);
+        const segments = Math.max(2, this.settings.SEGMENTS);
+        const segmentLength = Math.floor(this.window.length / segments);
+        if (!this._isReady() || segmentLength < 4 || levelCount < 2) return this._warmup();
+
+        // Per level, per segment spectra of the level mean
+        const spectra = Array.from({ length: levelCount }, (_, level) =>
+            Array.from({ length: segments }, (_, s) => SpectralCoherenceRihEstimator._spectrum(
+                this.window.slice(s * segmentLength, (s + 1) * segmentLength).map(features => features[2 * level])
+            ))
+        );
+        const bins = spectra[0][0][0].length;
+        const pairCoherence = [];
+        for (let a = 0; a < levelCount; a++) {
+            for (let b = a + 1; b < levelCount; b++) {
+                let coherenceSum = 0, counted = 0;
+                for (let k = 0; k < bins; k++) {
+                    let crossRe = 0, crossIm = 0, powerA = 0, powerB = 0;
+                    for (let s = 0; s < segments; s++) {
+                        const [reA, imA] = spectra[a][s];
+                        const [reB, imB] = spectra[b][s];
+                        crossRe += reA[k] * reB[k] + imA[k] * imB[k];
+                        crossIm += imA[k] * reB[k] - reA[k] * imB[k];
+                        powerA += reA[k] ** 2 + imA[k] ** 2;
+                        powerB += reB[k] ** 2 + imB[k] ** 2;
+                    }
+                    if (powerA > 1e-12 && powerB > 1e-12) {
+                        coherenceSum += (crossRe ** 2 + crossIm ** 2) / (powerA * powerB);
+                        counted++;
+                    }
+                }
+                pairCoherence.push(counted > 0 ? coherenceSum / counted : 0);
+            }
+        }
+        const meanCoherence = pairCoherence.reduce((a, b) => a + b, 0) / pairCoherence.length;
+        return {
+            score: Math.min(1, Math.max(0, meanCoherence)),
+            diagnostics: { estimator: this.name, meanCoherence, pairCoherence, bins, segments, samples: this.window.length }
+        };
+    }
+}
+
+/**
+ * Φ-like integration: the Gaussian mutual information across the minimum information bipartition of
+ * the levels, I(A; B) normalized by the smaller part's size, minimized over all bipartitions.
+ * The cascade scores high only if no split into two groups of levels leaves them nearly independent.
+ */
+export class PartitionPhiRihEstimator extends WindowedRihEstimator {
+    constructor(settings = {}) {
+        super('phi', settings);
+    }
+
+    estimate(levels) {
+        const levelCount = this._observe(levels);
+        if (!this._isReady() || levelCount < 2) return this._warmup();
+
+        const cov = covarianceMatrix(this.window, this.settings.RIDGE);
+        const logDetAll = logDeterminant(cov);
+        const variablesOf = group => group.flatMap(level => [2 * level, 2 * level + 1]);
+        let phi = Infinity, minimumPartition = null;
+
+        // Bipartitions: subsets containing level 0, excluding the full set
+        for (let mask = 1; mask < (1 << levelCount) - 1; mask += 2) {
+            const groupA = [], groupB = [];
+            for (let level = 0; level < levelCount; level++) ((mask >> level) & 1 ? groupA : groupB).push(level);
+            const mi = 0.5 * (logDeterminant(subMatrix(cov, variablesOf(groupA))) + logDeterminant(subMatrix(cov, variablesOf(groupB))) - logDetAll);
+            const normalized = Math.max(0, mi) / Math.min(groupA.length, groupB.length);
+            if (normalized < phi) {
+                phi = normalized;
+                minimumPartition = [groupA, groupB];
+            }
+        }
+        return {
+            score: informationToScore(phi),
+            diagnostics: { estimator: this.name, phi, minimumPartition, samples: this.window.length }
+        };
+    }
+}
+
+/** Registry of RIH estimators: name -> factory(settings). */
+export const RIH_ESTIMATORS = {
+    moment: () => new MomentRihEstimator(),
+    totalCorrelation: (settings) => new TotalCorrelationRihEstimator(settings),
+    spectral: (settings) => new SpectralCoherenceRihEstimator(settings),
+    phi: (settings) => new PartitionPhiRihEstimator(settings)
+};
+
+/**
+ * Creates an RIH estimator by name, falling back to 'moment' for unknown names.
+ * @param {string} name - Key of RIH_ESTIMATORS.
+ * @param {Object} [settings] - Overrides for Config.RIHEstimators.
+ */
+export function createRihEstimator(name, settings = {}) {
+    const factory = RIH_ESTIMATORS[name];
+    if (!factory) {
+        console.warn(`[RIH] Unknown estimator "${name}", using moment.`);
+        return RIH_ESTIMATORS.moment();
+    }
+    return factory(settings);
+}
@@ -0,0 +1,92 @@
+// js/scenario.js
+
+/**
+ * Scenario scripts: repeatable sequences of environment events for EmotionalSpace.
+ *
+ * Text form, one trigger per line ('#' starts a comment):
+ *     random off
+ *     at step 300 trigger Fear for 200 steps, then Calm
+ *     at 900: Surprise for 30, then Fear for 60, then Calm for 100
+ *     at 910 also Fear for 40
+ * Object / JSON form:
+ *     { "name": "fear-recovery", "randomEvents": false,
+ *       "steps": [{ "at": 300, "event": "Fear", "duration": 200, "then": ["Calm"] },
+ *                 { "at": 310, "event": "Surprise", "overlap": true }] }
+ *
+ * At step `at` the sequence replaces whatever events are active; with `also` (overlap: true) it runs alongside
+ * them instead. Each following event starts on the step after its predecessor ends. Events without a duration
+ * use their catalog duration. `random off` (randomEvents: false) suppresses spontaneous events for the whole
+ * run; chained catalog events still follow scripted ones.
+ */
+
+const TRIGGER_LINE = /^at\s+(?:step\s+)?(\d+)\s*:?\s*(?:(trigger|also)\s+)?(.+)$/i;
+const SEQUENCE_ITEM = /^([\w-]+)(?:\s+for\s+(\d+)(?:\s+steps?)?)?$/i;
+
+/** Normalizes one sequence item ("Calm", { event, duration }) to { event, duration|null }. */
+function normalizeItem(item) {
+    if (typeof item === 'string') return { event: item, duration: null };
+    if (typeof item?.event !== 'string') return null;
+    return { event: item.event, duration: Number.isFinite(item.duration) && item.duration > 0 ? Math.round(item.duration) : null };
+}
+
+/** Parses the text form into the object form. */
+function parseScenarioText(text) {
+    const scenario = { name: 'script', randomEvents: true, steps: [] };
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+        const random = line.match(/^random\s+(on|off)$/i);
+        if (random) {
+            scenario.randomEvents = random[1].toLowerCase() === 'on';
+            return;
+        }
+        const name = line.match(/^name\s+(.+)$/i);
+        if (name) {
+            scenario.name = name[1];
+            return;
+        }
+        const trigger = line.match(TRIGGER_LINE);
+        if (!trigger) throw new Error(`[Scenario] Line ${lineIndex + 1}: cannot parse "${line}".`);
+        const items = trigger[3].split(/\s*,\s*then\s+|\s+then\s+/i).map(part => {
+            const match = part.trim().match(SEQUENCE_ITEM);
+            if (!match) throw new Error(`[Scenario] Line ${lineIndex + 1}: cannot parse event "${part}".`);
+            return { event: match[1], duration: match[2] ? parseInt(match[2], 10) : null };
+        });
+        const [first, ...then] = items;
+        scenario.steps.push({ at: parseInt(trigger[1], 10), ...first, then, overlap: trigger[2]?.toLowerCase() === 'also' });
+    });
+    return scenario;
+}
+
+/**
+ * Parses a scenario.
+ * @param {string|Object} source - Script text, JSON text or scenario object.
+ * @param {Object} [catalog] - Parsed event catalog; unknown event names are reported as warnings.
+ * @returns {{name: string, randomEvents: boolean, entries: Array<{at: number, overlap: boolean, sequence: Array<{event: string, duration: number|null}>}>}}
+ *   Entries sorted by step (script order within a step).
+ * @throws {Error} If the script cannot be parsed.
+ */
+export function parseScenario(source, catalog = null) {
+    let scenario = source;
+    if (typeof source === 'string') {
+        scenario = source.trim().startsWith('{') ? JSON.parse(source) : parseScenarioText(source);
+    }
+    if (!scenario || !Array.isArray(scenario.steps)) throw new Error("[Scenario] Scenario needs a 'steps' array.");
+
+    const entries = scenario.steps
+        .filter(step => Number.isInteger(step?.at) && step.at >= 0)
+        .map(step => ({
+            at: step.at,
+            overlap: step.overlap === true,
+            sequence: [normalizeItem(step), ...(Array.isArray(step.then) ? step.then : []).map(normalizeItem)].filter(Boolean)
+        }))
+        .filter(entry => entry.sequence.length > 0)
+        .sort((a, b) => a.at - b.at);
+
+    if (catalog?.byName) {
+        entries.forEach(entry => entry.sequence.forEach(item => {
+            if (!catalog.byName.has(item.event)) console.warn(`[Scenario] Step ${entry.at}: unknown event "${item.event}" will be skipped.`);
+        }));
+    }
+    return { name: typeof scenario.name === 'string' ? scenario.name : 'scenario', randomEvents: scenario.randomEvents !== false, entries };
+}
@@ -0,0 +1,266 @@
+// js/sessionRecorder.js
+
+import { Config } from './config.js';
+import { clamp } from './utils.js';
+
+export const RECORDING_FORMAT = 'syntrometry-session';
+export const RECORDING_VERSION = 1;
+const DEFAULT_MAX_FRAMES = 36000; // ~10 minutes at 60 steps per second
+
+/** Reads a kept/unkept tensor (or plain array) into a flat JS array without disposing it. */
+function toFlatArray(data) {
+    if (Array.isArray(data)) return data.flat(Infinity);
+    if (typeof tf !== 'undefined' && data instanceof tf.Tensor && !data.isDisposed) return Array.from(data.dataSync());
+    return [];
+}
+
+/**
+ * Captures a simulation session frame by frame: every environment step result,
+ * every agent.process output and every chat input with the step index it happened at.
+ */
+export class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxFrames=36000] - Oldest frames are dropped beyond this count.
+     */
+    constructor(options = {}) {
+        this.maxFrames = options.maxFrames ?? DEFAULT_MAX_FRAMES;
+        this.isRecording = false;
+        this.frames = [];
+        this.metadata = {};
+        this.pendingChatInputs = []; // Chat inputs waiting for the next recorded frame
+    }
+
+    /**
+     * Starts a new recording, discarding any previous frames.
+     * @param {Object} [metadata] - Extra info stored with the recording (e.g. seed, start step).
+     */
+    start(metadata = {}) {
+        this.frames = [];
+        this.pendingChatInputs = [];
+        this.metadata = { ...metadata, startedAt: new Date().toISOString() };
+        this.isRecording = true;
+    }
+
+    /** Stops recording. Frames are kept until the next start(). */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /** @returns {Object|null} The frame for the given step, creating it if needed. */
+    _frameForStep(step) {
+        const lastFrame = this.frames[this.frames.length - 1];
+        if (lastFrame && lastFrame.step === step) return lastFrame;
+
+        const frame = { step, env: null, agent: null, chatInputs: this.pendingChatInputs };
+        this.pendingChatInputs = [];
+        this.frames.push(frame);
+        while (this.frames.length > this.maxFrames) this.frames.shift();
+        return frame;
+    }
+
+    /**
+     * Records the result of environment.step().
+     * @param {number} step - Environment step index.
+     * @param {{reward: number, context: string, eventType: string|null}} envStepResult - The step result.
+     * @param {number[]} stateVector - State vector passed on to the agent.
+     */
+    recordEnvironmentStep(step, envStepResult, stateVector) {
+        if (!this.isRecording || !envStepResult) return;
+        this._frameForStep(step).env = {
+            stateVector: [...(stateVector ?? [])],
+            reward: envStepResult.reward ?? 0,
+            context: envStepResult.context ?? '',
+            eventType: envStepResult.eventType ?? null
+        };
+    }
+
+    /**
+     * Records the output of agent.process().
+     * @param {number} step - Environment step index the response belongs to.
+     * @param {Object} agentResponse - The agent response (emotions may be a tensor).
+     * @param {tf.Tensor|number[]|null} [selfState=null] - Agent self-state after the step (for the heatmap).
+     */
+    recordAgentResponse(step, agentResponse, selfState = null) {
+        if (!this.isRecording || !agentResponse) return;
+        this._frameForStep(step).agent = {
+            rihScore: agentResponse.rihScore ?? 0,
+            affinities: [...(agentResponse.affinities ?? [])],
+            affinityMatrix: (agentResponse.affinityMatrix ?? []).map(row => [...row]),
+            trustScore: agentResponse.trustScore ?? 0,
+            emotions: toFlatArray(agentResponse.emotions),
+            hmLabel: agentResponse.hmLabel ?? 'idle',
+            cascadeHistory: (agentResponse.cascadeHistory ?? []).map(level => [...level]),
+            cascadeLevels: (agentResponse.cascadeLevels ?? []).map(level => ({ ...level })),
+            integration: agentResponse.integration ?? 0.5,
+            reflexivity: agentResponse.reflexivity ?? 0.5,
+            beliefNorm: agentResponse.beliefNorm ?? 0,
+            selfStateNorm: agentResponse.selfStateNorm ?? 0,
+            responseText: agentResponse.responseText ?? '',
+            selfState: toFlatArray(selfState)
+        };
+    }
+
+    /**
+     * Records a chat input passed to getEmotionalImpactFromText().
+     * It is attached to the next recorded frame, i.e. the first step it can influence.
+     * @param {number} step - Environment step index when the input was made.
+     * @param {string} text - The chat text.
+     */
+    recordChatInput(step, text) {
+        if (!this.isRecording) return;
+        this.pendingChatInputs.push({ step, text });
+    }
+
+    /** @returns {number} Number of recorded frames. */
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * Returns the recording as a plain serializable object.
+     * @returns {Object}
+     */
+    getRecording() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            metadata: { ...this.metadata, frameCount: this.frames.length },
+            config: {
+                DIMENSIONS: Config.DIMENSIONS,
+                EMOTION_DIM: Config.Agent.EMOTION_DIM,
+                CASCADE_LEVELS: Config.CASCADE_LEVELS,
+                CASCADE_LEVEL_CONFIG: Config.CASCADE_LEVEL_CONFIG ?? null
+            },
+            frames: this.frames.filter(frame => frame.env && frame.agent)
+        };
+    }
+}
+
+/**
+ * Checks that an object looks like a recording produced by SessionRecorder.
+ * @param {Object} recording - Parsed recording.
+ * @returns {{valid: boolean, message: string}}
+ */
+export function validateRecording(recording) {
+    if (!recording || typeof recording !== 'object') return { valid: false, message: "Recording is not an object." };
+    if (recording.format !== RECORDING_FORMAT) return { valid: false, message: `Unknown recording format "${recording.format}".` };
+    if (recording.version !== RECORDING_VERSION) return { valid: false, message: `Unsupported recording version ${recording.version}.` };
+    if (!Array.isArray(recording.frames) || recording.frames.length === 0) return { valid: false, message: "Recording contains no frames." };
+    if (recording.frames.some(frame => !frame?.env || !frame?.agent)) return { valid: false, message: "Recording contains incomplete frames." };
+    return { valid: true, message: "OK" };
+}
+
+/**
+ * Plays back a recording frame by frame with scrubbing, pause-at-step and playback speed.
+ */
+export class SessionPlayer {
+    /**
+     * @param {Object} recording - A recording that passes validateRecording().
+     */
+    constructor(recording) {
+        const { valid, message } = validateRecording(recording);
+        if (!valid) throw new Error(`[SessionPlayer] ${message}`);
+        this.recording = recording;
+        this.frames = recording.frames;
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.speed = 1.0; // Frames advanced per animation tick
+        this.pauseAtStep = null; // Recorded step at which playback pauses automatically
+        this._frameAccumulator = 0;
+    }
+
+    /** @returns {number} Number of frames in the recording. */
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    /** @returns {Object} The frame at the current playback position. */
+    get currentFrame() {
+        return this.frames[this.currentIndex];
+    }
+
+    play() {
+        if (this.currentIndex >= this.frames.length - 1) this.seek(0); // Restart from the beginning at the end
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this._frameAccumulator = 0;
+    }
+
+    /** @param {number} speed - Playback speed multiplier (clamped to 0.05-16). */
+    setSpeed(speed) {
+        this.speed = clamp(Number(speed) || 1.0, 0.05, 16);
+    }
+
+    /** @param {number|null} step - Recorded step at which to pause, or null to disable. */
+    setPauseAtStep(step) {
+        this.pauseAtStep = Number.isFinite(step) ? step : null;
+    }
+
+    /**
+     * Jumps to a frame index (scrubbing).
+     * @param {number} index - Frame index.
+     * @returns {Object} The frame at the new position.
+     */
+    seek(index) {
+        this.currentIndex = clamp(Math.round(Number(index) || 0), 0, this.frames.length - 1);
+        this._frameAccumulator = 0;
+        return this.currentFrame;
+    }
+
+    /**
+     * Advances playback by one animation tick according to the speed.
+     * @returns {Object[]} Frames passed over in this tick (in order, possibly empty).
+     */
+    advance() {
+        if (!this.isPlaying) return [];
+        this._frameAccumulator += this.speed;
+        const passedFrames = [];
+        while (this._frameAccumulator >= 1 && this.isPlaying) {
+            this._frameAccumulator -= 1;
+            if (this.currentIndex >= this.frames.length - 1) {
+                this.pause();
+                break;
+            }
+            this.currentIndex++;
+            passedFrames.push(this.currentFrame);
+            if (this.pauseAtStep !== null && this.currentFrame.step >= this.pauseAtStep) {
+                this.pauseAtStep = null;
+                this.pause();
+            }
+        }
+        return passedFrames;
+    }
+}
+
+/**
+ * Offers a recording as a downloadable JSON file (browser only).
+ * @param {Object} recording - The recording to save.
+ * @param {string} [filename] - Download file name.
+ */
+export function downloadRecording(recording, filename = `syntrometry-session-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0); // Revoking right away can cancel the download in some browsers
+}
+
+/**
+ * Reads and validates a recording from a File chosen by the user.
+ * @param {File} file - The JSON file.
+ * @returns {Promise<Object>} The parsed recording. Rejects if invalid.
+ */
+export async function readRecordingFile(file) {
+    const recording = JSON.parse(await file.text());
+    const { valid, message } = validateRecording(recording);
+    if (!valid) throw new Error(message);
+    return recording;
+}
@@ -0,0 +1,265 @@
+// js/stateMapping.js
+
+import { emotionNames } from './config.js';
+import { clamp } from './utils.js';
+
+/**
+ * State mappings: how EmotionalSpace turns its base emotions (EMOTION_DIM values in [0, 1]) into the core
+ * dimensions of the state vector (DIMENSIONS values in [-1, 1]). map() receives the emotions, the previous
+ * core values and { rng, coreDims, emotionDim, step } and returns the new core values. Event perturbations
+ * and the appended emotions are applied by the environment afterwards.
+ *
+ * A mapping is selected by name ('legacy') or by a spec object ({ type: 'affine', ... }); see STATE_MAPPINGS.
+ * 'affine', 'nonlinear' and 'custom' have no defaults: created without their matrix / dimensions / fn they throw,
+ * since every core dimension would read 0. Every mapping checks itself against the current DIMENSIONS / EMOTION_DIM and warns once per size about
+ * dimensions it does not define, instead of silently leaving them degenerate.
+ */
+
+/** Scalar functions available to the 'nonlinear' mapping. */
+export const STATE_MAPPING_FUNCTIONS = {
+    linear: x => x,
+    tanh: x => Math.tanh(x),
+    sigmoid: x => 2 / (1 + Math.exp(-x)) - 1, // Centred to (-1, 1)
+    relu: x => Math.max(0, x),
+    square: x => x * x,
+    abs: x => Math.abs(x),
+    sin: x => Math.sin(Math.PI * x),
+    step: x => (x > 0 ? 1 : (x < 0 ? -1 : 0))
+};
+
+/**
+ * Reads emotion weights given as an array (by index) or an object keyed by emotion name.
+ * @returns {number[]} Weights of length emotionDim (missing entries are 0).
+ */
+function emotionWeights(weights, emotionDim) {
+    const result = new Array(emotionDim).fill(0);
+    if (Array.isArray(weights)) {
+        weights.slice(0, emotionDim).forEach((w, i) => { result[i] = Number.isFinite(w) ? w : 0; });
+    } else if (weights && typeof weights === 'object') {
+        Object.entries(weights).forEach(([name, w]) => {
+            const index = emotionNames.indexOf(name);
+            if (index === -1 || index >= emotionDim) console.warn(`[StateMapping] Unknown emotion "${name}" ignored.`);
+            else result[index] = Number.isFinite(w) ? w : 0;
+        });
+    }
+    return result;
+}
+
+/** Error for a mapping created without the spec field it is built from. */
+function missingSpecField(type, field, example) {
+    return new Error(`[StateMapping:${type}] '${type}' needs a spec object with '${field}', e.g. ${example}.`);
+}
+
+/** Per-dimension value from a scalar or an array (falling back to `fallback` beyond its end). */
+function perDimension(value, index, fallback) {
+    if (Array.isArray(value)) return Number.isFinite(value[index]) ? value[index] : fallback;
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Base class. Subclasses implement _map() and may override _validate() to describe size problems.
+ */
+export class StateMapping {
+    /**
+     * @param {string} name - Registry name.
+     * @param {Object} [spec] - Mapping specification.
+     */
+    constructor(name, spec = {}) {
+        this.name = name;
+        this.spec = spec;
+        this.labels = Array.isArray(spec.labels) ? [...spec.labels] : [];
+        this.validatedFor = null; // "coreDims×emotionDim" the warnings were last issued for
+    }
+
+    /**
+     * @param {number[]} emotions - Base emotions (EMOTION_DIM values in [0, 1]).
+     * @param {number[]} previousCore - Core values of the previous step (DIMENSIONS values).
+     * @param {Object} context - { rng, coreDims, emotionDim, step }
+     * @returns {number[]} New core values, DIMENSIONS entries in [-1, 1].
+     */
+    map(emotions, previousCore, context) {
+        const sizeKey = `${context.coreDims}×${context.emotionDim}`;
+        if (this.validatedFor !== sizeKey) {
+            this.validatedFor = sizeKey;
+            this._validate(context.coreDims, context.emotionDim).forEach(warning => console.warn(`[StateMapping:${this.name}] ${warning}`));
+        }
+        const core = this._map(emotions, previousCore, context);
+        return Array.from({ length: context.coreDims }, (_, i) => (Number.isFinite(core?.[i]) ? clamp(core[i], -1, 1) : 0));
+    }
+
+    /** @returns {string[]} Warnings about the mapping at this size (empty if it defines every dimension). */
+    _validate(coreDims, emotionDim) {
+        return [];
+    }
+
+    _map(emotions, previousCore, context) {
+        return previousCore;
+    }
+
+    /** @returns {string[]} Meaning of each core dimension (DIMENSIONS entries; unnamed ones as "dim i"). */
+    getLabels(coreDims) {
+        return Array.from({ length: coreDims }, (_, i) => this.labels[i] ?? `dim ${i}`);
+    }
+}
+
+/**
+ * The original hard-wired mapping: dim 0 = Joy − Fear, dim 1 = Calm − Frustration, dim 2 = Curiosity,
+ * dim 3 = Surprise, and dims 4+ drift (0.95 decay) toward the deviation of emotion i % EMOTION_DIM plus noise.
+ */
+export class LegacyStateMapping extends StateMapping {
+    constructor(spec = {}) {
+        super('legacy', spec);
+        if (this.labels.length === 0) this.labels = ['Joy − Fear', 'Calm − Frustration', 'Curiosity', 'Surprise'];
+    }
+
+    _validate(coreDims, emotionDim) {
+        const warnings = [];
+        if (coreDims < 4) warnings.push(`DIMENSIONS = ${coreDims}: only the first ${coreDims} of the four emotion axes are mapped.`);
+        if (emotionDim < 6) warnings.push(`EMOTION_DIM = ${emotionDim}: axes using emotions ${emotionDim}..5 read 0.`);
+        if (coreDims > 12) warnings.push(`DIMENSIONS = ${coreDims}: dims 12..${coreDims - 1} repeat the emotion drift of earlier dims; use an affine or nonlinear mapping to give them their own meaning.`);
+        return warnings;
+    }
+
+    _map(emotions, previousCore, { rng, coreDims, emotionDim }) {
+        const core = [...previousCore];
+        core[0] = clamp(((emotions[0] || 0) - (emotions[1] || 0)) * 0.8, -1, 1); // Joy vs Fear
+        if (coreDims > 1) core[1] = clamp(((emotions[4] || 0) - (emotions[3] || 0)) * 0.7, -1, 1); // Calm vs Frustration
+        if (coreDims > 2) core[2] = clamp((emotions[2] || 0) * 1.5 - 0.5, -1, 1); // Curiosity scaled
+        if (coreDims > 3) core[3] = clamp((emotions[5] || 0) * 1.2 - 0.3, -1, 1); // Surprise scaled
+
+        // Remaining dimensions: decay, influence of an emotion's deviation from neutral, and noise
+        for (let i = 4; i < coreDims; i++) {
+            const emoIdx = i % emotionDim; // Cycle through emotions
+            const prevVal = core[i] || 0;
+            const emoInfluence = ((emotions[emoIdx] || 0) - 0.5) * 0.15;
+            const randomPerturbation = (rng.next() - 0.5) * 0.03;
+            core[i] = clamp(prevVal * 0.95 + emoInfluence + randomPerturbation, -1, 1);
+        }
+        return core;
+    }
+
+    getLabels(coreDims) {
+        return Array.from({ length: coreDims }, (_, i) => this.labels[i] ?? `${emotionNames[i % emotionNames.length] ?? `emotion ${i}`} drift`);
+    }
+}
+
+/**
+ * Affine map: core = decay ⊙ previous + W · emotions + bias (+ uniform noise of width `noise`).
+ * Spec: { type: 'affine', matrix: number[DIMENSIONS][EMOTION_DIM] (rows as arrays or { Joy: 0.8, ... }),
+ *         bias?: number | number[], decay?: number | number[], noise?: number | number[], labels?: string[] }.
+ * Dimensions beyond the matrix keep only their decay and noise.
+ */
+export class AffineStateMapping extends StateMapping {
+    constructor(spec = {}) {
+        super('affine', spec);
+        if (!Array.isArray(spec.matrix) || spec.matrix.length === 0) {
+            throw missingSpecField('affine', 'matrix', "{ type: 'affine', matrix: [{ Joy: 0.8, Fear: -0.8 }, ...] }");
+        }
+        this.rows = spec.matrix;
+    }
+
+    _validate(coreDims, emotionDim) {
+        const warnings = [];
+        if (this.rows.length < coreDims) warnings.push(`matrix has ${this.rows.length} rows for ${coreDims} dimensions; dims ${this.rows.length}..${coreDims - 1} only decay.`);
+        if (this.rows.length > coreDims) warnings.push(`matrix has ${this.rows.length} rows; rows beyond ${coreDims - 1} are ignored.`);
+        const wideRow = this.rows.findIndex(row => Array.isArray(row) && row.length > emotionDim);
+        if (wideRow !== -1) warnings.push(`row ${wideRow} has more than ${emotionDim} columns; extra columns are ignored.`);
+        return warnings;
+    }
+
+    _map(emotions, previousCore, { rng, coreDims, emotionDim }) {
+        return Array.from({ length: coreDims }, (_, i) => {
+            const weights = emotionWeights(this.rows[i], emotionDim);
+            let value = perDimension(this.spec.decay, i, 0) * (previousCore[i] || 0) + perDimension(this.spec.bias, i, 0);
+            weights.forEach((w, k) => { value += w * (emotions[k] || 0); });
+            const noise = perDimension(this.spec.noise, i, 0);
+            return noise > 0 ? value + (rng.next() - 0.5) * noise : value;
+        });
+    }
+}
+
+/**
+ * One nonlinear function per dimension: core_i = decay · previous_i + gain · fn(w · emotions + bias) (+ noise).
+ * Spec: { type: 'nonlinear', dimensions: [{ weights: number[] | { Joy: 1, Fear: -1 }, bias?, fn?: STATE_MAPPING_FUNCTIONS
+ *         name (default 'tanh'), gain? (1), decay? (0), noise? (0), label? }], labels?: string[] }.
+ */
+export class NonlinearStateMapping extends StateMapping {
+    constructor(spec = {}) {
+        super('nonlinear', spec);
+        if (!Array.isArray(spec.dimensions) || spec.dimensions.length === 0) {
+            throw missingSpecField('nonlinear', 'dimensions', "{ type: 'nonlinear', dimensions: [{ weights: { Joy: 2, Fear: -2 }, fn: 'tanh' }, ...] }");
+        }
+        this.dimensions = spec.dimensions;
+        this.dimensions.forEach((dimension, i) => {
+            if (dimension?.label && !this.labels[i]) this.labels[i] = dimension.label;
+            if (dimension?.fn && !STATE_MAPPING_FUNCTIONS[dimension.fn]) console.warn(`[StateMapping:nonlinear] Unknown function "${dimension.fn}" for dim ${i}, using tanh.`);
+        });
+    }
+
+    _validate(coreDims) {
+        const warnings = [];
+        if (this.dimensions.length < coreDims) warnings.push(`${this.dimensions.length} dimensions defined for ${coreDims}; dims ${this.dimensions.length}..${coreDims - 1} read 0.`);
+        if (this.dimensions.length > coreDims) warnings.push(`${this.dimensions.length} dimensions defined; those beyond ${coreDims - 1} are ignored.`);
+        return warnings;
+    }
+
+    _map(emotions, previousCore, { rng, coreDims, emotionDim }) {
+        return Array.from({ length: coreDims }, (_, i) => {
+            const dimension = this.dimensions[i];
+            if (!dimension) return 0;
+            const fn = STATE_MAPPING_FUNCTIONS[dimension.fn] ?? STATE_MAPPING_FUNCTIONS.tanh;
+            const input = emotionWeights(dimension.weights, emotionDim).reduce((sum, w, k) => sum + w * (emotions[k] || 0), dimension.bias ?? 0);
+            const value = (dimension.decay ?? 0) * (previousCore[i] || 0) + (dimension.gain ?? 1) * fn(input);
+            return (dimension.noise ?? 0) > 0 ? value + (rng.next() - 0.5) * dimension.noise : value;
+        });
+    }
+}
+
+/**
+ * User-supplied function: spec { type: 'custom', fn: (emotions, previousCore, context) => number[], labels? }.
+ * Results of the wrong length are padded with 0 / truncated (with a warning); non-finite values become 0.
+ */
+export class CustomStateMapping extends StateMapping {
+    constructor(spec = {}) {
+        super('custom', spec);
+        if (typeof spec.fn !== 'function') {
+            throw missingSpecField('custom', 'fn', "{ type: 'custom', fn: (emotions, previousCore, context) => [...] }");
+        }
+        this.fn = spec.fn;
+        this.lengthWarned = false;
+    }
+
+    _map(emotions, previousCore, context) {
+        const core = this.fn([...emotions], [...previousCore], context);
+        if (!Array.isArray(core)) return [];
+        if (core.length !== context.coreDims && !this.lengthWarned) {
+            this.lengthWarned = true;
+            console.warn(`[StateMapping:custom] Function returned ${core.length} values for ${context.coreDims} dimensions.`);
+        }
+        return core;
+    }
+}
+
+/** Registry of state mappings: type -> factory(spec). */
+export const STATE_MAPPINGS = {
+    legacy: (spec) => new LegacyStateMapping(spec),
+    affine: (spec) => new AffineStateMapping(spec),
+    nonlinear: (spec) => new NonlinearStateMapping(spec),
+    custom: (spec) => new CustomStateMapping(spec)
+};
+
+/**
+ * Creates a state mapping, falling back to 'legacy' for unknown types.
+ * @param {string|Object|null} spec - 'legacy', or a spec object with `type` (see the mapping classes).
+ * @returns {StateMapping}
+ * @throws {Error} If an 'affine', 'nonlinear' or 'custom' spec lacks its matrix / dimensions / fn (e.g. a bare name).
+ */
+export function createStateMapping(spec = null) {
+    const options = typeof spec === 'string' ? { type: spec } : (spec ?? { type: 'legacy' });
+    const factory = STATE_MAPPINGS[options.type ?? 'legacy'];
+    if (!factory) {
+        console.warn(`[StateMapping] Unknown mapping "${options.type}", using legacy.`);
+        return STATE_MAPPINGS.legacy({});
+    }
+    return factory(options);
+}
@@ -0,0 +1,300 @@
+// js/stateMigration.js
+
+import { Config } from './config.js';
+
+/** Version written by the current agent/environment getState(). */
+export const CURRENT_STATE_VERSION = "2.4";
+/** Version assumed for saves that predate the version field. */
+const OLDEST_STATE_VERSION = "2.2";
+
+/**
+ * Registry of single-step migrations, keyed by the version they upgrade from.
+ * Each step receives the full save ({ version, environment, agent, metrics }, sections may be missing)
+ * and a report to which it adds a line per change. Bumping the agent version means adding one entry here.
+ */
+const stateMigrations = new Map();
+
+/**
+ * Registers a migration step.
+ * @param {string} fromVersion - Version the step upgrades from.
+ * @param {string} toVersion - Version the step produces.
+ * @param {string} description - Short human-readable summary for the migration report.
+ * @param {Function} migrate - (state, report) => void. Mutates the (already copied) state in place.
+ */
+export function registerStateMigration(fromVersion, toVersion, description, migrate) {
+    if (stateMigrations.has(fromVersion)) {
+        console.warn(`[StateMigration] Replacing existing migration from ${fromVersion}.`);
+    }
+    stateMigrations.set(fromVersion, { fromVersion, toVersion, description, migrate });
+}
+
+/**
+ * Sets a field to a default value if it is missing, recording the change.
+ * @param {Object} target - Object holding the field.
+ * @param {string} field - Field name.
+ * @param {*} defaultValue - Value used when the field is undefined.
+ * @param {string} path - Dotted path used in the report (e.g. 'agent.lastRIH').
+ * @param {Object} report - Migration report.
+ */
+function fillDefault(target, field, defaultValue, path, report) {
+    if (!target || target[field] !== undefined) return;
+    target[field] = defaultValue;
+    report.changes.push(`${path}: filled missing field with ${JSON.stringify(defaultValue)}`);
+}
+
+// --- Registered migrations ---
+
+registerStateMigration("2.2", "2.3", "Add trust, cascade variance and head movement fields", (state, report) => {
+    const { agent, environment, metrics } = state;
+    fillDefault(agent, 'latestTrustScore', 1.0, 'agent.latestTrustScore', report);
+    fillDefault(agent, 'lastCascadeVariance', 0.0, 'agent.lastCascadeVariance', report);
+    fillDefault(agent, 'memoryBuffer', [], 'agent.memoryBuffer', report);
+    fillDefault(agent, 'headMovementHeadWeights', null, 'agent.headMovementHeadWeights', report);
+    fillDefault(environment, 'gapTimer', Config.Env?.EVENT_GAP ?? 180, 'environment.gapTimer', report);
+    fillDefault(metrics, 'trust', agent?.latestTrustScore ?? 1.0, 'metrics.trust', report);
+});
+
+registerStateMigration("2.3", "2.3.1", "Store learned parameters, self-state and head movement label", (state, report) => {
+    const { agent, metrics } = state;
+    fillDefault(agent, 'integrationParam', 0.5, 'agent.integrationParam', report);
+    fillDefault(agent, 'reflexivityParam', 0.5, 'agent.reflexivityParam', report);
+    fillDefault(agent, 'selfState', null, 'agent.selfState', report); // Resized to HIDDEN_DIM below
+    fillDefault(metrics, 'context', "State Loaded.", 'metrics.context', report);
+    fillDefault(metrics, 'hmLabel', "idle", 'metrics.hmLabel', report);
+});
+
+registerStateMigration("2.3.1", "2.4", "Store learned Synkolator weights; concurrent environment events and gestures", (state, report) => {
+    const { agent, environment } = state;
+    fillDefault(agent, 'synkolatorWeights', [], 'agent.synkolatorWeights', report);
+    if (!environment || typeof environment !== 'object') return;
+
+    // The single currentEvent + eventTimer became a list of active events with their own timers
+    if (!Array.isArray(environment.activeEvents)) {
+        const { currentEvent, eventTimer } = environment;
+        environment.activeEvents = currentEvent && typeof currentEvent === 'object' && eventTimer > 0
+            ? [{ ...currentEvent, duration: currentEvent.duration ?? (Config.Env?.EVENT_DURATION ?? 120), timer: eventTimer, track: 'restored' }]
+            : [];
+        report.changes.push(`environment.activeEvents: converted from currentEvent (${environment.activeEvents.length} active)`);
+    }
+    delete environment.currentEvent;
+    delete environment.eventTimer;
+    fillDefault(environment, 'eventQueue', [], 'environment.eventQueue', report);
+    fillDefault(environment, 'lastEventType', null, 'environment.lastEventType', report);
+    fillDefault(environment, 'type', 'emotionalSpace', 'environment.type', report); // The only environment before 2.4
+    fillDefault(environment, 'lastGesture', 'idle', 'environment.lastGesture', report);
+});
+
+// --- Version helpers ---
+
+/**
+ * Checks whether a save of the given version can be brought to CURRENT_STATE_VERSION.
+ * @param {string|undefined} version - Saved version (undefined for saves without a version).
+ * @returns {boolean}
+ */
+export function isStateVersionLoadable(version) {
+    let current = version ?? OLDEST_STATE_VERSION;
+    const visited = new Set();
+    while (current !== CURRENT_STATE_VERSION) {
+        const step = stateMigrations.get(current);
+        if (!step || visited.has(current)) return false;
+        visited.add(current);
+        current = step.toVersion;
+    }
+    return true;
+}
+
+// --- Reshaping to the current Config ---
+
+/**
+ * Crops or pads a flat numeric array to a target length.
+ * @returns {number[]}
+ */
+function resizeVector(values, length, fillValue = 0) {
+    const source = Array.isArray(values) ? values : [];
+    return Array.from({ length }, (_, i) => (typeof source[i] === 'number' ? source[i] : fillValue));
+}
+
+/**
+ * Crops or pads a nested weight array to a target shape.
+ * Entries outside the saved array are taken from the template (freshly initialized weights) or set to 0.
+ * @param {Array|number} source - Saved nested array.
+ * @param {number[]} targetShape - Shape to produce.
+ * @param {Array|number|undefined} template - Nested array of the target shape used for padding.
+ * @returns {Array|number}
+ */
+export function resizeNestedArray(source, targetShape, template) {
+    if (targetShape.length === 0) {
+        if (typeof source === 'number') return source;
+        return typeof template === 'number' ? template : 0;
+    }
+    return Array.from({ length: targetShape[0] }, (_, i) =>
+        resizeNestedArray(
+            Array.isArray(source) ? source[i] : undefined,
+            targetShape.slice(1),
+            Array.isArray(template) ? template[i] : undefined
+        )
+    );
+}
+
+/** @returns {number[]} Shape of a nested array (first element per level). */
+function nestedShape(data) {
+    const shape = [];
+    let level = data;
+    while (Array.isArray(level)) {
+        shape.push(level.length);
+        level = level[0];
+    }
+    return shape;
+}
+
+/**
+ * Resizes vectors in the agent section to the current HIDDEN_DIM (or the agent's own hiddenDim) / EMOTION_DIM
+ * and, if weight templates are given, each saved weight array to the live model's shape.
+ */
+function conformAgentState(agent, report, weightTemplates, hiddenDim = Config.Agent.HIDDEN_DIM) {
+    if (!agent || typeof agent !== 'object') return;
+    const emotionDim = Config.Agent.EMOTION_DIM;
+
+    if (Array.isArray(agent.prevEmotions) && agent.prevEmotions.length !== emotionDim) {
+        report.changes.push(`agent.prevEmotions: resized ${agent.prevEmotions.length} → ${emotionDim}`);
+        agent.prevEmotions = resizeVector(agent.prevEmotions, emotionDim);
+    }
+    if (Array.isArray(agent.selfState) && agent.selfState.length !== hiddenDim) {
+        report.changes.push(`agent.selfState: resized ${agent.selfState.length} → ${hiddenDim}`);
+        agent.selfState = resizeVector(agent.selfState, hiddenDim);
+    }
+    if (Array.isArray(agent.memoryBuffer)) {
+        let resizedEntries = 0;
+        agent.memoryBuffer.forEach(entry => {
+            if (Array.isArray(entry?.beliefEmbedding) && entry.beliefEmbedding.length !== hiddenDim) {
+                entry.beliefEmbedding = resizeVector(entry.beliefEmbedding, hiddenDim);
+                resizedEntries++;
+            }
+        });
+        if (resizedEntries > 0) report.changes.push(`agent.memoryBuffer: resized ${resizedEntries} belief embeddings to ${hiddenDim}`);
+    }
+
+    if (!weightTemplates) return;
+    Object.entries(weightTemplates).forEach(([key, templates]) => {
+        const saved = agent[key];
+        if (!Array.isArray(saved) || !Array.isArray(templates)) return;
+        if (saved.length !== templates.length) {
+            report.changes.push(`agent.${key}: layer count changed (${saved.length} → ${templates.length}), using fresh weights`);
+            report.warnings.push(`${key} could not be migrated and was reinitialized.`);
+            agent[key] = null;
+            return;
+        }
+        agent[key] = saved.map((weight, i) => {
+            const target = templates[i];
+            const savedShape = Array.isArray(weight?.shape) ? weight.shape : nestedShape(weight?.data);
+            if (savedShape.length === target.shape.length && savedShape.every((d, j) => d === target.shape[j])) return weight;
+            report.changes.push(`agent.${key}[${i}]: reshaped [${savedShape.join(',')}] → [${target.shape.join(',')}]`);
+            return { shape: [...target.shape], data: resizeNestedArray(weight?.data, target.shape, target.data) };
+        });
+    });
+}
+
+/**
+ * Resizes the environment state vector (core + emotions) and base emotions
+ * to the current DIMENSIONS / EMOTION_DIM.
+ */
+function conformEnvironmentState(environment, report) {
+    if (!environment || typeof environment !== 'object') return;
+    const emotionDim = Config.Agent.EMOTION_DIM;
+    const coreDim = Config.DIMENSIONS;
+
+    const savedEmotionDim = Array.isArray(environment.baseEmotions) ? environment.baseEmotions.length : emotionDim;
+    if (Array.isArray(environment.baseEmotions) && savedEmotionDim !== emotionDim) {
+        report.changes.push(`environment.baseEmotions: resized ${savedEmotionDim} → ${emotionDim}`);
+        environment.baseEmotions = resizeVector(environment.baseEmotions, emotionDim, 0.5); // Neutral for new emotions
+    }
+
+    const vector = environment.currentStateVector;
+    if (Array.isArray(vector) && vector.length !== coreDim + emotionDim) {
+        const savedCoreDim = Math.max(0, vector.length - savedEmotionDim);
+        environment.currentStateVector = [
+            ...resizeVector(vector.slice(0, savedCoreDim), coreDim),
+            ...resizeVector(vector.slice(savedCoreDim), emotionDim)
+        ];
+        report.changes.push(`environment.currentStateVector: resized ${savedCoreDim}+${savedEmotionDim} → ${coreDim}+${emotionDim}`);
+    }
+}
+
+// --- Pipeline ---
+
+/**
+ * Upgrades a saved simulation state step by step to CURRENT_STATE_VERSION and
+ * reshapes it to the current Config. The input is not modified.
+ * @param {Object} savedState - Save object ({ version, environment, agent, metrics }); sections may be missing.
+ * @param {Object} [options]
+ * @param {Object} [options.weightTemplates] - { [weightsKey]: [{shape, data}] } of the live agent models.
+ *        Without it, weight arrays are left as saved.
+ * @param {number} [options.hiddenDim] - Belief embedding size of the live agent (defaults to Config.Agent.HIDDEN_DIM).
+ * @returns {{ success: boolean, state: Object|null, report: Object }}
+ *          report: { fromVersion, toVersion, steps: string[], changes: string[], warnings: string[], migrated: boolean }
+ */
+export function migrateSimulationState(savedState, options = {}) {
+    const fromVersion = savedState?.version ?? OLDEST_STATE_VERSION;
+    const report = { fromVersion, toVersion: CURRENT_STATE_VERSION, steps: [], changes: [], warnings: [], migrated: false };
+
+    if (!savedState || typeof savedState !== 'object') {
+        report.warnings.push("Saved state is not an object.");
+        return { success: false, state: null, report };
+    }
+    if (!isStateVersionLoadable(savedState.version)) {
+        report.warnings.push(`No migration path from version ${fromVersion} to ${CURRENT_STATE_VERSION}.`);
+        return { success: false, state: null, report };
+    }
+    if (savedState.version === undefined) {
+        report.warnings.push(`Save has no version; treated as ${OLDEST_STATE_VERSION}.`);
+    }
+
+    const state = JSON.parse(JSON.stringify(savedState)); // Work on a copy
+
+    try {
+        let version = fromVersion;
+        while (version !== CURRENT_STATE_VERSION) {
+            const step = stateMigrations.get(version);
+            step.migrate(state, report);
+            report.steps.push(`${step.fromVersion} → ${step.toVersion}: ${step.description}`);
+            version = step.toVersion;
+        }
+        state.version = CURRENT_STATE_VERSION;
+        if (state.agent && typeof state.agent === 'object') state.agent.version = CURRENT_STATE_VERSION;
+
+        conformAgentState(state.agent, report, options.weightTemplates, options.hiddenDim);
+        conformEnvironmentState(state.environment, report);
+    } catch (e) {
+        console.error("[StateMigration] Migration failed:", e);
+        report.warnings.push(`Migration failed: ${e.message}`);
+        return { success: false, state: null, report };
+    }
+
+    report.migrated = report.steps.length > 0 || report.changes.length > 0;
+    if (report.migrated) {
+        console.log(`[StateMigration] Migrated state ${fromVersion} → ${CURRENT_STATE_VERSION}:`, report);
+    }
+    return { success: true, state, report };
+}
+
+/**
+ * Migrates a single agent state (as returned by SyntrometricAgent.getState()).
+ * @param {Object} agentState - Saved agent state.
+ * @param {Object} [options] - Same as migrateSimulationState().
+ * @returns {{ success: boolean, state: Object|null, report: Object }} 'state' is the migrated agent state.
+ */
+export function migrateAgentState(agentState, options = {}) {
+    const result = migrateSimulationState({ version: agentState?.version, agent: agentState }, options);
+    return { ...result, state: result.state?.agent ?? null };
+}
+
+/**
+ * Formats a migration report as a short one-line summary.
+ * @param {Object} report - Report from migrateSimulationState().
+ * @returns {string}
+ */
+export function summarizeMigrationReport(report) {
+    if (!report?.migrated) return "No migration needed.";
+    const versionPart = report.fromVersion !== report.toVersion ? `v${report.fromVersion} → v${report.toVersion}` : `v${report.toVersion}`;
+    return `Migrated ${versionPart} (${report.steps.length} version step(s), ${report.changes.length} change(s)).`;
+}
@@ -1,89 +1,75 @@
 import { Config } from './config.js';
 import { displayError, zeros } from './utils.js';
+import { CURRENT_STATE_VERSION, isStateVersionLoadable, migrateSimulationState } from './stateMigration.js';
 
 const SAVED_STATE_KEY = 'syntrometrySimulationState_v2_3_1';
 
+// IndexedDB storage for named save slots (agent weights can exceed localStorage quotas)
+const SLOT_DB_NAME = 'syntrometrySimulation';
+const SLOT_DB_VERSION = 1;
+const SLOT_STORE_NAME = 'saveSlots';
+const LEGACY_SLOT_NAME = 'Legacy Save';
+const EXPORT_FORMAT = 'syntrometry-save-slot';
+
 /**
- * Saves the current simulation state to localStorage
+ * Builds the serializable simulation state object from the agent, environment and app metrics.
  * @param {Object} agent - The agent instance
  * @param {Object} environment - The environment instance
  * @param {Object} simulationMetrics - Current simulation metrics from app.js
- * @returns {boolean} - Success status
+ * @returns {Object} - The state object ({ version, timestamp, environment, agent, metrics })
+ * @throws {Error} If agent or environment state cannot be retrieved
  */
-export function saveSimulationState(agent, environment, simulationMetrics) {
-    if (!agent || !environment) {
-        console.warn("Cannot save state: Simulation components not ready.");
-        return false;
-    }
+export function buildSimulationStateSnapshot(agent, environment, simulationMetrics) {
+    const envState = environment.getState(); // { currentStateVector, baseEmotions, ... }
+    const agentState = agent.getState();     // { prevEmotions, memoryBuffer, params, weights ... }
 
-    try {
-        const envState = environment.getState(); // { currentStateVector, baseEmotions, ... }
-        const agentState = agent.getState();     // { prevEmotions, memoryBuffer, params, weights ... }
+    if (!envState || !agentState) {
+        throw new Error("Failed to retrieve state from environment or agent.");
+    }
+    if (agentState.error) { // Check if agent itself reported an error during getState
+        throw new Error(`Agent state retrieval error: ${agentState.error}`);
+    }
 
-        if (!envState || !agentState) {
-            throw new Error("Failed to retrieve state from environment or agent.");
-        }
-        if (agentState.error) { // Check if agent itself reported an error during getState
-            throw new Error(`Agent state retrieval error: ${agentState.error}`);
+    return {
+        version: CURRENT_STATE_VERSION,
+        timestamp: new Date().toISOString(),
+        environment: envState,
+        agent: agentState,
+        // Save key simulation metrics that are part of app.js's state,
+        // not directly part of agent/env internal state.
+        // Agent parameters (integration/reflexivity) are saved within agentState.
+        metrics: {
+            rih: simulationMetrics.currentRIHScore,
+            affinity: simulationMetrics.currentAvgAffinity,
+            trust: simulationMetrics.currentTrustScore, // Agent's trust score
+            context: simulationMetrics.currentContext,
+            hmLabel: simulationMetrics.currentHmLabel,
+            // Note: No need to save currentStateVector (in envState) or currentAgentEmotions (saved as agent.prevEmotions)
+            // Norms (belief/self) are derived dynamically.
+            // Params (integration/reflexivity) are saved within agent.getState().
         }
-
-        // Construct the state object to save
-        const stateToSave = {
-            version: "2.3.1",
-            timestamp: new Date().toISOString(),
-            environment: envState,
-            agent: agentState,
-            // Save key simulation metrics that are part of app.js's state,
-            // not directly part of agent/env internal state.
-            // Agent parameters (integration/reflexivity) are saved within agentState.
-            metrics: {
-                rih: simulationMetrics.currentRIHScore,
-                affinity: simulationMetrics.currentAvgAffinity,
-                trust: simulationMetrics.currentTrustScore, // Agent's trust score
-                context: simulationMetrics.currentContext,
-                hmLabel: simulationMetrics.currentHmLabel,
-                // Note: No need to save currentStateVector (in envState) or currentAgentEmotions (saved as agent.prevEmotions)
-                // Norms (belief/self) are derived dynamically.
-                // Params (integration/reflexivity) are saved within agent.getState().
-            }
-        };
-
-        localStorage.setItem(SAVED_STATE_KEY, JSON.stringify(stateToSave));
-        console.log(`Simulation state (V${stateToSave.version}) saved to localStorage (Key: ${SAVED_STATE_KEY}).`);
-
-        return true;
-    } catch (e) {
-        console.error("Error saving state:", e);
-        displayError(`Error saving state: ${e.message}`, false, 'error-message');
-        return false;
-    }
+    };
 }
 
 /**
- * Loads a saved simulation state from localStorage.
- * Does NOT directly modify agent/environment. Returns the data.
+ * Validates a parsed state object, migrates it to the current version and converts it
+ * into the load result returned to app.js.
+ * @param {Object} savedData - Parsed state object
  * @returns {Object} - Result object: { success: boolean, message: string, data: Object | null }
- *                    'data' contains { environmentState, agentState, metrics } if successful.
  */
-export function loadSimulationStateData() {
-    const stateString = localStorage.getItem(SAVED_STATE_KEY);
-    if (!stateString) {
-        return { success: false, message: "No saved state found", data: null };
-    }
-
+function parseSimulationStateData(savedData) {
     try {
-        const loadedData = JSON.parse(stateString);
-
         // --- Validation ---
-        if (!loadedData || typeof loadedData !== 'object') {
+        if (!savedData || typeof savedData !== 'object') {
             throw new Error("Invalid saved state format: Not an object.");
         }
-        if (loadedData.version !== "2.3.1") {
-            const errorMsg = `Incompatible saved state version (Found: ${loadedData.version}, Expected: 2.3.1). Aborting load.`;
-            console.warn(errorMsg); // Warn instead of error to potentially allow manual migration later
-            // displayError(`Load warning: ${errorMsg}`, false, 'error-message'); // UI notification optional
+        const migration = migrateSimulationState(savedData);
+        if (!migration.success) {
+            const errorMsg = `Cannot load saved state version ${savedData.version}: ${migration.report.warnings.join(' ')}`;
+            console.warn(errorMsg);
             return { success: false, message: errorMsg, data: null };
         }
+        const loadedData = migration.state;
         if (!loadedData.environment || !loadedData.agent || !loadedData.metrics) {
             throw new Error("Saved state is missing critical environment, agent, or metrics data.");
         }
@@ -92,21 +78,71 @@ export function loadSimulationStateData() {
         }
         // Add more specific validation for environment/agent/metrics structure if needed
 
-        console.log(`Retrieved state V${loadedData.version} saved at ${loadedData.timestamp} for loading...`);
+        console.log(`Retrieved state V${savedData.version} saved at ${loadedData.timestamp} for loading...`);
 
         // Return the raw data needed by app.js to restore state
         return {
             success: true,
             message: "Saved state data retrieved successfully",
             data: {
+                version: loadedData.version,
+                timestamp: loadedData.timestamp,
                 environmentState: loadedData.environment,
                 agentState: loadedData.agent,
-                metrics: loadedData.metrics
+                metrics: loadedData.metrics,
+                migrationReport: migration.report
             }
         };
+    } catch (e) {
+        console.error("Error validating loaded state data:", e);
+        displayError(`Load data failed: ${e.message}. Check console for details.`, false, 'error-message');
+        return { success: false, message: e.message, data: null };
+    }
+}
+
+/**
+ * Saves the current simulation state to localStorage
+ * @param {Object} agent - The agent instance
+ * @param {Object} environment - The environment instance
+ * @param {Object} simulationMetrics - Current simulation metrics from app.js
+ * @returns {boolean} - Success status
+ */
+export function saveSimulationState(agent, environment, simulationMetrics) {
+    if (!agent || !environment) {
+        console.warn("Cannot save state: Simulation components not ready.");
+        return false;
+    }
+
+    try {
+        const stateToSave = buildSimulationStateSnapshot(agent, environment, simulationMetrics);
+
+        localStorage.setItem(SAVED_STATE_KEY, JSON.stringify(stateToSave));
+        console.log(`Simulation state (V${stateToSave.version}) saved to localStorage (Key: ${SAVED_STATE_KEY}).`);
 
+        return true;
     } catch (e) {
-        console.error("Error parsing or validating loaded state data:", e);
+        console.error("Error saving state:", e);
+        displayError(`Error saving state: ${e.message}`, false, 'error-message');
+        return false;
+    }
+}
+
+/**
+ * Loads a saved simulation state from localStorage.
+ * Does NOT directly modify agent/environment. Returns the data.
+ * @returns {Object} - Result object: { success: boolean, message: string, data: Object | null }
+ *                    'data' contains { version, timestamp, environmentState, agentState, metrics, migrationReport } if successful.
+ */
+export function loadSimulationStateData() {
+    const stateString = localStorage.getItem(SAVED_STATE_KEY);
+    if (!stateString) {
+        return { success: false, message: "No saved state found", data: null };
+    }
+
+    try {
+        return parseSimulationStateData(JSON.parse(stateString));
+    } catch (e) {
+        console.error("Error parsing loaded state data:", e);
         displayError(`Load data failed: ${e.message}. Check console for details.`, false, 'error-message');
         // Attempt to remove potentially corrupted state? Or leave it for manual inspection.
         // localStorage.removeItem(SAVED_STATE_KEY); // Use with caution
@@ -116,15 +152,15 @@ export function loadSimulationStateData() {
 
 
 /**
- * Checks if a saved state exists and matches the current version.
- * @returns {boolean} - Whether a valid saved state exists.
+ * Checks if a saved state exists and can be migrated to the current version.
+ * @returns {boolean} - Whether a loadable saved state exists.
  */
 export function hasSavedState() {
     const stateString = localStorage.getItem(SAVED_STATE_KEY);
     if (!stateString) return false;
     try {
         const state = JSON.parse(stateString);
-        return state && state.version === "2.3.1"; // Check version compatibility
+        return !!state && isStateVersionLoadable(state.version); // Check a migration path exists
     } catch (e) {
         console.warn("Error parsing saved state for check:", e);
         return false; // Treat invalid JSON as no valid state
@@ -156,3 +192,260 @@ export function getSavedStateInfo() {
         return null; // Invalid JSON
     }
 }
+
+// --- Named Save Slots (IndexedDB) ---
+
+let slotDatabasePromise = null;
+
+/**
+ * Opens (and on first use creates) the save slot database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSlotDatabase() {
+    if (slotDatabasePromise) return slotDatabasePromise;
+    slotDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error("IndexedDB is not available in this browser."));
+            return;
+        }
+        const request = indexedDB.open(SLOT_DB_NAME, SLOT_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SLOT_STORE_NAME)) {
+                db.createObjectStore(SLOT_STORE_NAME, { keyPath: 'name' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error ?? new Error("Failed to open save slot database."));
+    });
+    slotDatabasePromise.catch(() => { slotDatabasePromise = null; }); // Allow retry after a failure
+    return slotDatabasePromise;
+}
+
+/**
+ * Runs a single operation against the slot store inside a transaction.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest (or nothing)
+ * @returns {Promise<any>} Resolves with the request result once the transaction completes
+ */
+async function runSlotTransaction(mode, operation) {
+    const db = await openSlotDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SLOT_STORE_NAME, mode);
+        const request = operation(transaction.objectStore(SLOT_STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error ?? new Error("Save slot transaction failed."));
+        transaction.onabort = () => reject(transaction.error ?? new Error("Save slot transaction aborted."));
+    });
+}
+
+/** Normalizes a user-provided slot name. */
+function normalizeSlotName(slotName) {
+    return typeof slotName === 'string' ? slotName.trim().slice(0, 60) : '';
+}
+
+/**
+ * Lists all save slots, most recently saved first.
+ * @returns {Promise<Object[]>} - [{ name, version, timestamp, metrics }], empty on error.
+ */
+export async function listSaveSlots() {
+    try {
+        const records = await runSlotTransaction('readonly', store => store.getAll());
+        return (records ?? [])
+            .map(record => ({
+                name: record.name,
+                version: record.state?.version ?? null,
+                timestamp: record.state?.timestamp ?? null,
+                metrics: record.state?.metrics ?? null
+            }))
+            .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    } catch (e) {
+        console.error("Error listing save slots:", e);
+        displayError(`Could not list save slots: ${e.message}`, false, 'error-message');
+        return [];
+    }
+}
+
+/**
+ * Saves the current simulation state into a named slot, overwriting a slot of the same name.
+ * @param {string} slotName - Slot name
+ * @param {Object} agent - The agent instance
+ * @param {Object} environment - The environment instance
+ * @param {Object} simulationMetrics - Current simulation metrics from app.js
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveSimulationStateToSlot(slotName, agent, environment, simulationMetrics) {
+    const name = normalizeSlotName(slotName);
+    if (!name) {
+        console.warn("Cannot save state: Slot name is empty.");
+        return false;
+    }
+    if (!agent || !environment) {
+        console.warn("Cannot save state: Simulation components not ready.");
+        return false;
+    }
+
+    try {
+        const stateToSave = buildSimulationStateSnapshot(agent, environment, simulationMetrics);
+        await runSlotTransaction('readwrite', store => store.put({ name, state: stateToSave }));
+        console.log(`Simulation state (V${stateToSave.version}) saved to slot "${name}".`);
+        return true;
+    } catch (e) {
+        console.error(`Error saving state to slot "${name}":`, e);
+        displayError(`Error saving state: ${e.message}`, false, 'error-message');
+        return false;
+    }
+}
+
+/**
+ * Loads a saved simulation state from a named slot.
+ * Does NOT directly modify agent/environment. Returns the data like loadSimulationStateData().
+ * @param {string} slotName - Slot name
+ * @returns {Promise<Object>} - Result object: { success: boolean, message: string, data: Object | null }
+ */
+export async function loadSimulationStateFromSlot(slotName) {
+    const name = normalizeSlotName(slotName);
+    try {
+        const record = await runSlotTransaction('readonly', store => store.get(name));
+        if (!record?.state) {
+            return { success: false, message: `No saved state in slot "${name}"`, data: null };
+        }
+        return parseSimulationStateData(record.state);
+    } catch (e) {
+        console.error(`Error reading slot "${name}":`, e);
+        displayError(`Load data failed: ${e.message}. Check console for details.`, false, 'error-message');
+        return { success: false, message: e.message, data: null };
+    }
+}
+
+/**
+ * Renames a save slot. Fails if the target name is already taken.
+ * @param {string} oldName - Existing slot name
+ * @param {string} newName - New slot name
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function renameSaveSlot(oldName, newName) {
+    const from = normalizeSlotName(oldName);
+    const to = normalizeSlotName(newName);
+    if (!from || !to || from === to) return false;
+
+    try {
+        const db = await openSlotDatabase();
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SLOT_STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(SLOT_STORE_NAME);
+            let renamed = false;
+            const existingTarget = store.get(to);
+            existingTarget.onsuccess = () => {
+                if (existingTarget.result) return; // Name taken, leave both untouched
+                const source = store.get(from);
+                source.onsuccess = () => {
+                    if (!source.result) return;
+                    store.put({ ...source.result, name: to });
+                    store.delete(from);
+                    renamed = true;
+                };
+            };
+            transaction.oncomplete = () => resolve(renamed);
+            transaction.onerror = () => reject(transaction.error ?? new Error("Rename transaction failed."));
+        });
+    } catch (e) {
+        console.error(`Error renaming slot "${from}" to "${to}":`, e);
+        displayError(`Could not rename save slot: ${e.message}`, false, 'error-message');
+        return false;
+    }
+}
+
+/**
+ * Deletes a save slot.
+ * @param {string} slotName - Slot name
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function deleteSaveSlot(slotName) {
+    const name = normalizeSlotName(slotName);
+    try {
+        await runSlotTransaction('readwrite', store => store.delete(name));
+        return true;
+    } catch (e) {
+        console.error(`Error deleting slot "${name}":`, e);
+        displayError(`Could not delete save slot: ${e.message}`, false, 'error-message');
+        return false;
+    }
+}
+
+/**
+ * Downloads a save slot as a .json file.
+ * @param {string} slotName - Slot name
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function exportSaveSlot(slotName) {
+    const name = normalizeSlotName(slotName);
+    try {
+        const record = await runSlotTransaction('readonly', store => store.get(name));
+        if (!record?.state) throw new Error(`Slot "${name}" not found.`);
+
+        const fileContent = JSON.stringify({ format: EXPORT_FORMAT, name, state: record.state });
+        const blob = new Blob([fileContent], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.replace(/[^\w.-]+/g, '_') || 'save-slot'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // Let the download start before the URL goes away
+        return true;
+    } catch (e) {
+        console.error(`Error exporting slot "${name}":`, e);
+        displayError(`Could not export save slot: ${e.message}`, false, 'error-message');
+        return false;
+    }
+}
+
+/**
+ * Imports a state file (an exported slot or a raw saved state) into a save slot.
+ * An existing slot with the same name is not overwritten; a suffix is appended instead.
+ * @param {File} file - The .json file chosen by the user
+ * @returns {Promise<string|null>} - The slot name it was stored under, or null on failure
+ */
+export async function importSaveSlotFromFile(file) {
+    try {
+        const parsed = JSON.parse(await file.text());
+        const state = parsed?.format === EXPORT_FORMAT ? parsed.state : parsed;
+        if (!state || typeof state !== 'object' || !state.environment || !state.agent || !state.metrics) {
+            throw new Error("File does not contain a simulation state.");
+        }
+
+        const baseName = normalizeSlotName(parsed?.name) || normalizeSlotName(file.name.replace(/\.json$/i, '')) || 'Imported';
+        const existingNames = new Set((await listSaveSlots()).map(slot => slot.name));
+        let name = baseName;
+        for (let i = 2; existingNames.has(name); i++) name = `${baseName} (${i})`;
+
+        await runSlotTransaction('readwrite', store => store.put({ name, state }));
+        console.log(`Imported state file "${file.name}" into slot "${name}".`);
+        return name;
+    } catch (e) {
+        console.error("Error importing state file:", e);
+        displayError(`Could not import state file: ${e.message}`, false, 'error-message');
+        return null;
+    }
+}
+
+/**
+ * Moves a single-key localStorage save (pre-slot versions) into a save slot, once.
+ * @returns {Promise<boolean>} - True if a legacy save was migrated
+ */
+export async function migrateLegacySaveToSlot() {
+    const stateString = localStorage.getItem(SAVED_STATE_KEY);
+    if (!stateString) return false;
+    try {
+        const state = JSON.parse(stateString);
+        await runSlotTransaction('readwrite', store => store.put({ name: LEGACY_SLOT_NAME, state }));
+        localStorage.removeItem(SAVED_STATE_KEY);
+        console.log(`Migrated localStorage save into slot "${LEGACY_SLOT_NAME}".`);
+        return true;
+    } catch (e) {
+        console.warn("Could not migrate legacy localStorage save:", e);
+        return false;
+    }
+}
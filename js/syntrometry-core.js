@@ -1,7 +1,7 @@
 // js/syntrometry-core.js
 
 import { Config } from './config.js';
-import { zeros, tensor, clamp, displayError } from './utils.js'; // Assuming tf is global or correctly managed
+import { zeros, tensor, clamp, displayError, getSharedRandom } from './utils.js'; // Assuming tf is global or correctly managed
 
 /**
  * Represents the Enyphansyntrix, applying transformations to state tensors.
@@ -9,8 +9,13 @@ import { zeros, tensor, clamp, displayError } from './utils.js'; // Assuming tf
  * In 'discrete' mode (less used now), it quantizes based on METRON_TAU.
  */
 export class Enyphansyntrix {
-    constructor(type = 'continuous') {
+    /**
+     * @param {string} [type='continuous'] - 'continuous' or 'discrete'.
+     * @param {SeededRandom} [rng] - Random source for the continuous noise (defaults to the shared generator).
+     */
+    constructor(type = 'continuous', rng = getSharedRandom()) {
         this.type = type;
+        this.rng = rng;
         if (type !== 'continuous' && type !== 'discrete') {
             console.warn(`[Enyphansyntrix] Unknown type "${type}". Defaulting to "continuous".`);
             this.type = 'continuous';
@@ -46,25 +51,80 @@ export class Enyphansyntrix {
                 const rounded = tf.round(scaled);
                 return rounded.mul(tauScalar).clipByValue(-1, 1);
             } else { 
-                const noise = tf.randomNormal(stateTensor.shape, 0, perturbationScale);
+                const noiseValues = Array.from({ length: stateTensor.size }, () => this.rng.normal(0, perturbationScale));
+                const noise = tf.tensor(noiseValues, stateTensor.shape);
                 return stateTensor.add(noise).clipByValue(-1, 1);
             }
         });
     }
 }
 
+/** Alignment modes of the Affinitaetssyndrom for syndromes of different lengths. */
+export const AFFINITY_ALIGNMENTS = ['pad', 'interpolate', 'dtw'];
+
+/** Cosine similarity of two equal-length arrays, 0 if either is (near) zero. */
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i]; normA += a[i] * a[i]; normB += b[i] * b[i];
+    }
+    const normProd = Math.sqrt(normA) * Math.sqrt(normB);
+    return normProd < 1e-9 ? 0 : clamp(dot / normProd, -1, 1);
+}
+
+/**
+ * Dynamic time warping of two sequences with |a_i - b_j| as the local cost.
+ * @returns {[number[], number[]]} Both sequences expanded along the optimal warping path (equal lengths).
+ */
+function dtwAlign(a, b) {
+    const n = a.length, m = b.length;
+    const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+    cost[0][0] = 0;
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            cost[i][j] = Math.abs(a[i - 1] - b[j - 1]) + Math.min(cost[i - 1][j - 1], cost[i - 1][j], cost[i][j - 1]);
+        }
+    }
+    const alignedA = [], alignedB = [];
+    let i = n, j = m;
+    while (i > 0 && j > 0) {
+        alignedA.push(a[i - 1]); alignedB.push(b[j - 1]);
+        const diagonal = cost[i - 1][j - 1], up = cost[i - 1][j], left = cost[i][j - 1];
+        if (diagonal <= up && diagonal <= left) { i--; j--; }
+        else if (up <= left) { i--; }
+        else { j--; }
+    }
+    return [alignedA.reverse(), alignedB.reverse()];
+}
+
 /**
  * Computes affinity (cosine similarity) between two syndromes or tensors.
- * Handles tensors of potentially different lengths by padding the shorter one.
+ * Syndromes of different lengths are aligned first:
+ *  - 'pad': the shorter one is zero-padded (the original behaviour).
+ *  - 'interpolate': the shorter one is linearly resampled to the longer one's length (resampleLevel).
+ *  - 'dtw': both are warped along the dynamic-time-warping path, so shifted or stretched shapes still match.
  */
 export class Affinitaetssyndrom {
+    /**
+     * @param {'pad'|'interpolate'|'dtw'} [alignment='pad'] - Default alignment for compute() and computeMatrix().
+     */
+    constructor(alignment = 'pad') {
+        if (!AFFINITY_ALIGNMENTS.includes(alignment)) {
+            console.warn(`[Affinitaetssyndrom] Unknown alignment "${alignment}", using pad.`);
+            alignment = 'pad';
+        }
+        this.alignment = alignment;
+    }
+
     /**
      * Calculates the cosine similarity between two input tensors or arrays.
      * @param {tf.Tensor | number[]} syndromeA - The first input.
      * @param {tf.Tensor | number[]} syndromeB - The second input.
+     * @param {Object} [options]
+     * @param {'pad'|'interpolate'|'dtw'} [options.alignment] - Overrides the instance alignment.
      * @returns {number} The affinity score (cosine similarity) between -1 and 1, or 0 on error/invalid input.
      */
-    compute(syndromeA, syndromeB) {
+    compute(syndromeA, syndromeB, { alignment = this.alignment } = {}) {
         if (typeof tf === 'undefined') {
             console.error("[Affinitaetssyndrom] TensorFlow not available.");
             return 0;
@@ -88,11 +148,17 @@ export class Affinitaetssyndrom {
 
                 if (lenA === 0 || lenB === 0) return tf.scalar(0);
 
+                if (alignment === 'dtw') {
+                    const [alignedA, alignedB] = dtwAlign(Array.from(tensorA.dataSync()), Array.from(tensorB.dataSync()));
+                    return tf.scalar(cosineSimilarity(alignedA, alignedB));
+                }
+
                 const maxLength = Math.max(lenA, lenB);
+                const align = (t, length) => alignment === 'interpolate' ? resampleLevel(t, maxLength) : tf.pad(t, [[0, maxLength - length]]);
                 if (lenA < maxLength) {
-                    tensorA = tf.pad(tensorA, [[0, maxLength - lenA]]);
+                    tensorA = align(tensorA, lenA);
                 } else if (lenB < maxLength) {
-                    tensorB = tf.pad(tensorB, [[0, maxLength - lenB]]);
+                    tensorB = align(tensorB, lenB);
                 }
 
                 const normA = tf.norm(tensorA);
@@ -114,22 +180,214 @@ export class Affinitaetssyndrom {
             return 0;
         }
     }
+
+    /**
+     * Batched affinities between every level of A and every level of B (e.g. a cascade with itself, or with
+     * a remembered cascade). For 'pad' and 'interpolate' all levels are aligned to the longest level and the
+     * matrix is one matMul of the row-normalized stacks; 'dtw' warps each pair separately.
+     * @param {Array<tf.Tensor|number[]>} levelsA - Rows of the matrix.
+     * @param {Array<tf.Tensor|number[]>} [levelsB=levelsA] - Columns of the matrix.
+     * @param {Object} [options]
+     * @param {'pad'|'interpolate'|'dtw'} [options.alignment] - Overrides the instance alignment.
+     * @returns {number[][]} [levelsA.length][levelsB.length] cosine similarities; 0 for empty levels or on error.
+     */
+    computeMatrix(levelsA, levelsB = levelsA, { alignment = this.alignment } = {}) {
+        const emptyMatrix = () => levelsA.map(() => new Array(levelsB.length).fill(0));
+        if (typeof tf === 'undefined') {
+            console.error("[Affinitaetssyndrom] TensorFlow not available.");
+            return emptyMatrix();
+        }
+        if (!Array.isArray(levelsA) || !Array.isArray(levelsB) || levelsA.length === 0 || levelsB.length === 0) return emptyMatrix();
+
+        try {
+            return tf.tidy(() => {
+                const toFlat = level => {
+                    const t = (level instanceof tf.Tensor) ? level : tensor(level);
+                    return (!t || t.isDisposed) ? null : t.flatten();
+                };
+                const flatA = levelsA.map(toFlat);
+                const flatB = levelsB.map(toFlat);
+                const isValid = t => t !== null && t.shape[0] > 0;
+
+                if (alignment === 'dtw') {
+                    const arraysB = flatB.map(t => isValid(t) ? Array.from(t.dataSync()) : null);
+                    return flatA.map(t => {
+                        const a = isValid(t) ? Array.from(t.dataSync()) : null;
+                        return arraysB.map(b => (a && b) ? cosineSimilarity(...dtwAlign(a, b)) : 0);
+                    });
+                }
+
+                const length = Math.max(0, ...[...flatA, ...flatB].filter(isValid).map(t => t.shape[0]));
+                if (length === 0) return emptyMatrix();
+                const align = t => {
+                    if (!isValid(t)) return tf.zeros([length]);
+                    if (t.shape[0] === length) return t;
+                    return alignment === 'interpolate' ? resampleLevel(t, length) : tf.pad(t, [[0, length - t.shape[0]]]);
+                };
+                const stackA = tf.stack(flatA.map(align));
+                const stackB = tf.stack(flatB.map(align));
+                const normProd = tf.norm(stackA, 'euclidean', 1).reshape([-1, 1]).mul(tf.norm(stackB, 'euclidean', 1).reshape([1, -1]));
+                return stackA.matMul(stackB, false, true)
+                    .div(normProd.maximum(1e-12))
+                    .clipByValue(-1, 1)
+                    .mul(tf.step(normProd.sub(1e-9))) // Zero rows/columns (empty or all-zero levels) give 0
+                    .arraySync();
+            });
+        } catch (e) {
+            console.error("[Affinitaetssyndrom] Matrix error:", e);
+            return emptyMatrix();
+        }
+    }
 }
 
 
+let synkolatorWeightCounter = 0; // Keeps tf.variable names unique across Synkolators
+
+/** Combination functions of the 'combinatorial' Synkolator: reduce a [m, k] tensor of gathered elements to [m]. */
+export const SYNKOLATOR_COMBINATIONS = ['mean', 'product', 'max', 'learned'];
+
+/**
+ * Number of k-element subsets of n elements, or Infinity once it exceeds `limit`.
+ * @param {number} n
+ * @param {number} k
+ * @param {number} [limit=Infinity] - Stops counting early above this value.
+ * @returns {number}
+ */
+export function countCombinations(n, k, limit = Infinity) {
+    if (k < 0 || k > n) return 0;
+    let count = 1;
+    for (let i = 1; i <= Math.min(k, n - k); i++) {
+        count = count * (n - Math.min(k, n - k) + i) / i;
+        if (count > limit) return Infinity;
+    }
+    return Math.round(count);
+}
+
 /**
  * Represents a Synkolator, combining elements at a given stage using Tensors.
- * Implements the 'pyramidal' reduction rule (sliding window mean).
+ * Types:
+ *  - 'pyramidal': sliding-window mean over `stage` neighbouring elements.
+ *  - 'average': global mean (a single syndrome).
+ *  - 'combinatorial': one syndrome per m-element subset of the level (Heim's Syndrombesetzung, m = stage).
+ *    If there are more than `maxCombinations` subsets, a fixed random selection of that many is used
+ *    (drawn once per level size, so the occupancy is stable across steps).
  */
 export class Synkolator {
-    constructor(type = 'pyramidal', stage = Config.CASCADE_STAGE || 2) {
+    /**
+     * @param {'pyramidal'|'average'|'combinatorial'} [type='pyramidal']
+     * @param {number} [stage] - Arity m of the combined subsets/windows (at least 2).
+     * @param {Object} [options] - Settings for 'combinatorial'.
+     * @param {'mean'|'product'|'max'|'learned'} [options.combination='mean'] - How the elements of a subset are combined.
+     *        'learned' uses a softmax over trainable per-element weights within each subset (see getTrainableVariables).
+     * @param {number} [options.maxCombinations] - Cap on syndromes per level (defaults to Config.CASCADE_SYNKOLATOR.MAX_COMBINATIONS).
+     * @param {SeededRandom} [options.rng] - Random source for sampling subsets when the cap applies.
+     */
+    constructor(type = 'pyramidal', stage = Config.CASCADE_STAGE || 2, options = {}) {
         this.type = type;
         this.stage = Math.max(2, stage);
+        this.combination = options.combination ?? 'mean';
+        this.maxCombinations = Math.max(1, options.maxCombinations ?? Config.CASCADE_SYNKOLATOR?.MAX_COMBINATIONS ?? 64);
+        this.rng = options.rng ?? getSharedRandom();
+        this.combinationIndices = new Map(); // level size -> number[][] of subset indices
+        this.elementWeights = new Map(); // level size -> tf.Variable [n] ('learned' only)
 
-        if (type !== 'pyramidal' && type !== 'average') {
+        if (type !== 'pyramidal' && type !== 'average' && type !== 'combinatorial') {
             console.warn(`[Synkolator] Unsupported type "${type}". Defaulting to "pyramidal".`);
             this.type = 'pyramidal';
         }
+        if (!SYNKOLATOR_COMBINATIONS.includes(this.combination)) {
+            console.warn(`[Synkolator] Unsupported combination "${this.combination}". Defaulting to "mean".`);
+            this.combination = 'mean';
+        }
+    }
+
+    /**
+     * Subsets used for a level of `numElements` elements: all of them in lexicographic order,
+     * or `maxCombinations` distinct random ones (sorted) if there are more.
+     * @param {number} numElements
+     * @returns {number[][]}
+     */
+    getCombinationIndices(numElements) {
+        if (this.combinationIndices.has(numElements)) return this.combinationIndices.get(numElements);
+
+        const k = this.stage;
+        const total = countCombinations(numElements, k, this.maxCombinations);
+        let subsets = [];
+        if (total <= this.maxCombinations) {
+            const current = [];
+            const enumerate = (start) => {
+                if (current.length === k) { subsets.push([...current]); return; }
+                for (let i = start; i <= numElements - (k - current.length); i++) {
+                    current.push(i);
+                    enumerate(i + 1);
+                    current.pop();
+                }
+            };
+            enumerate(0);
+        } else {
+            const seen = new Set();
+            const pool = Array.from({ length: numElements }, (_, i) => i);
+            for (let attempt = 0; subsets.length < this.maxCombinations && attempt < this.maxCombinations * 20; attempt++) {
+                for (let i = 0; i < k; i++) { // Partial Fisher-Yates: the first k entries form the subset
+                    const j = i + this.rng.int(numElements - i);
+                    [pool[i], pool[j]] = [pool[j], pool[i]];
+                }
+                const subset = pool.slice(0, k).sort((a, b) => a - b);
+                const key = subset.join(',');
+                if (!seen.has(key)) { seen.add(key); subsets.push(subset); }
+            }
+            subsets.sort((a, b) => { for (let i = 0; i < k; i++) if (a[i] !== b[i]) return a[i] - b[i]; return 0; });
+        }
+        this.combinationIndices.set(numElements, subsets);
+        return subsets;
+    }
+
+    /**
+     * Number of syndromes apply() produces for a level of `numElements` elements (0 if the level is too small).
+     * @param {number} numElements
+     * @returns {number}
+     */
+    outputSize(numElements) {
+        if (numElements <= 0) return 0;
+        if (this.type === 'average') return 1;
+        if (numElements < this.stage) return 0;
+        if (this.type === 'combinatorial') return Math.min(countCombinations(numElements, this.stage, this.maxCombinations), this.maxCombinations);
+        return numElements - this.stage + 1;
+    }
+
+    /** Trainable per-element weights for a level size, created on first use ('learned' only). */
+    _getElementWeights(numElements) {
+        if (!this.elementWeights.has(numElements)) {
+            this.elementWeights.set(numElements, tf.tidy(() => tf.variable(tf.zeros([numElements]), true, `synkolatorWeights_${synkolatorWeightCounter++}`)));
+        }
+        return this.elementWeights.get(numElements);
+    }
+
+    /** @returns {tf.Variable[]} Weights of the 'learned' combination (empty for other modes). */
+    getTrainableVariables() {
+        return [...this.elementWeights.values()];
+    }
+
+    /** @returns {Array<{size: number, weights: number[]}>} Serializable learned weights, one entry per level size. */
+    getWeightsState() {
+        return [...this.elementWeights.entries()].map(([size, weights]) => ({ size, weights: Array.from(weights.dataSync()) }));
+    }
+
+    /**
+     * Assigns saved learned weights (creating the variables if needed). Entries of the wrong length are skipped.
+     * @param {Array<{size: number, weights: number[]}>} entries - From getWeightsState().
+     * @returns {number} Number of entries applied.
+     */
+    loadWeightsState(entries) {
+        if (this.combination !== 'learned' || !Array.isArray(entries)) return 0;
+        let applied = 0;
+        entries.forEach(entry => {
+            if (!Number.isInteger(entry?.size) || entry.size <= 0 || !Array.isArray(entry.weights) || entry.weights.length !== entry.size) return;
+            const weights = this._getElementWeights(entry.size);
+            tf.tidy(() => { weights.assign(tf.tensor1d(entry.weights)); });
+            applied++;
+        });
+        return applied;
     }
 
     /**
@@ -164,9 +422,32 @@ export class Synkolator {
 
         } else if (this.type === 'average') {
             return tf.mean(elementsTensor).reshape([1]);
+        } else if (this.type === 'combinatorial') {
+            if (numElements < this.stage) {
+                return tf.tensor([]);
+            }
+            const subsets = this.getCombinationIndices(numElements);
+            const weights = this.combination === 'learned' ? this._getElementWeights(numElements) : null;
+
+            return tf.tidy(() => {
+                const indices = tf.tensor2d(subsets, [subsets.length, this.stage], 'int32');
+                const gathered = tf.gather(elementsTensor, indices); // [m, k]
+                switch (this.combination) {
+                    case 'product': return gathered.prod(1);
+                    case 'max': return gathered.max(1);
+                    case 'learned': return tf.softmax(tf.gather(weights, indices)).mul(gathered).sum(1);
+                    default: return gathered.mean(1);
+                }
+            });
         }
         return tf.tensor([]);
     }
+
+    /** Disposes the learned weights. */
+    dispose() {
+        this.elementWeights.forEach(weights => { if (!weights.isDisposed) weights.dispose(); });
+        this.elementWeights.clear();
+    }
 }
 
 /**
@@ -189,47 +470,162 @@ export class ReflexiveIntegration {
             return 0;
         }
 
-        const flatTensor = syndromesTensor.flatten(); // Keep reference to dispose
-        if (flatTensor.shape[0] < 2) {
-            if (!flatTensor.isDisposed) tf.dispose(flatTensor); // Dispose manually
-            return 0;
-        }
-
         try {
-            return tf.tidy(() => {
-                const { mean, variance } = tf.moments(flatTensor);
-                const varianceVal = variance.arraySync();
-
-                if (varianceVal < 1e-9) {
-                     return tf.scalar(0);
-                }
-                const rihScoreTensor = tf.abs(mean.div(tf.sqrt(variance)))
-                                  .mul(tf.scalar(Config.RIH_SCALE))
-                                  .clipByValue(0, 1);
-                return rihScoreTensor;
-            }).arraySync();
+            return tf.tidy(() => this.computeTensor(syndromesTensor)).arraySync();
         } catch (e) {
             // displayError(`TF Error in ReflexiveIntegration: ${e.message}`, false); // Noisy
             console.error("[ReflexiveIntegration] Full error:", e);
             return 0;
-        } finally {
-             if (flatTensor && !flatTensor.isDisposed) tf.dispose(flatTensor); // Ensure disposal
         }
     }
+
+    /**
+     * Tensor form of compute() for use inside tf.tidy / tf.variableGrads: no reads back to JS, no keeps.
+     * With `smooth`, |mean| and the standard deviation are epsilon-regularized and the [0, 1] clip is
+     * replaced by tanh, so the score has useful gradients everywhere (a surrogate for training).
+     * @param {tf.Tensor} syndromesTensor - Syndromes of any shape (flattened).
+     * @param {Object} [options]
+     * @param {boolean} [options.smooth=false] - Use the differentiable surrogate.
+     * @param {number} [options.epsilon=1e-4] - Regularizer of the surrogate.
+     * @returns {tf.Scalar} RIH score in [0, 1]; 0 for fewer than 2 elements or (exact form) near-zero variance.
+     */
+    computeTensor(syndromesTensor, { smooth = false, epsilon = 1e-4 } = {}) {
+        const flatTensor = syndromesTensor.flatten();
+        if (flatTensor.shape[0] < 2) return tf.scalar(0);
+
+        const { mean, variance } = tf.moments(flatTensor);
+        if (smooth) {
+            const magnitude = mean.square().add(epsilon).sqrt();
+            return tf.tanh(magnitude.div(variance.add(epsilon).sqrt()).mul(Config.RIH_SCALE));
+        }
+        // Zero below the variance floor via a step mask (comparisons have no gradient); the tiny offset
+        // keeps the masked-out score finite so its zero gradient does not turn into NaN
+        const score = tf.abs(mean).div(tf.sqrt(variance.add(1e-12))).mul(Config.RIH_SCALE).clipByValue(0, 1);
+        return score.mul(tf.step(variance.sub(1e-9)));
+    }
 }
 
 
 /**
  * Processes the Structural Condensation cascade using Tensors.
- * Applies Synkolators iteratively across levels to reduce dimensionality.
+ * Applies Synkolators iteratively across levels; each level may use its own type and stage,
+ * so levels can reduce (pyramidal, average) or expand (combinatorial) the number of syndromes.
  */
 export class Strukturkondensation {
-    constructor(levels = Config.CASCADE_LEVELS, synkolatorStage = Config.CASCADE_STAGE || 2) {
-        this.levels = levels;
-        this.synkolators = [];
-        for (let i = 0; i < levels; i++) {
-            this.synkolators.push(new Synkolator('pyramidal', synkolatorStage));
+    /**
+     * @param {number|Array<{type: string, stage: number, combination?: string, maxCombinations?: number}>} [levels]
+     *        Number of uniform levels, or one spec per level (missing fields fall back to the other arguments).
+     * @param {number} [synkolatorStage] - Default arity of a level's Synkolator.
+     * @param {'pyramidal'|'average'|'combinatorial'} [synkolatorType='pyramidal'] - Default Synkolator type.
+     * @param {Object} [synkolatorOptions] - Default Synkolator options (combination, maxCombinations, rng), plus
+     *        `inputSize` (defaults to Config.DIMENSIONS) used to validate the level sizes.
+     */
+    constructor(levels = Config.CASCADE_LEVELS, synkolatorStage = Config.CASCADE_STAGE || 2, synkolatorType = 'pyramidal', synkolatorOptions = {}) {
+        const { inputSize = Config.DIMENSIONS, ...defaultOptions } = synkolatorOptions;
+        const specs = Array.isArray(levels)
+            ? levels
+            : Array.from({ length: Math.max(0, levels) }, () => ({}));
+
+        this.inputSize = inputSize;
+        this.synkolators = specs.map(spec => new Synkolator(spec?.type ?? synkolatorType, spec?.stage ?? synkolatorStage, {
+            ...defaultOptions,
+            ...(spec?.combination !== undefined ? { combination: spec.combination } : {}),
+            ...(spec?.maxCombinations !== undefined ? { maxCombinations: spec.maxCombinations } : {})
+        }));
+
+        const plan = Strukturkondensation.planLevels(this.synkolators, inputSize);
+        if (plan.collapseLevel !== null) {
+            // Levels after the collapse would only ever see empty input; drop them instead of producing empty history
+            console.warn(`[Strukturkondensation] Cascade collapses to 0 elements at level ${plan.collapseLevel} (sizes ${plan.sizes.join(' -> ')}). Using the first ${plan.collapseLevel - 1} level(s).`);
+            this.synkolators.slice(plan.collapseLevel - 1).forEach(synkolator => synkolator.dispose());
+            this.synkolators = this.synkolators.slice(0, plan.collapseLevel - 1);
+        }
+        const finalSize = plan.sizes[this.synkolators.length];
+        if (finalSize < 2) {
+            console.warn(`[Strukturkondensation] Final level has ${finalSize} element(s); RIH needs at least 2 and will be 0.`);
+        }
+        this.levels = this.synkolators.length;
+    }
+
+    /**
+     * Computes the level sizes a sequence of Synkolators produces from `inputSize` elements.
+     * @param {Synkolator[]} synkolators
+     * @param {number} inputSize
+     * @returns {{sizes: number[], collapseLevel: number|null}} Sizes of level 0..n and the first level (1-based) with 0 elements, or null.
+     */
+    static planLevels(synkolators, inputSize) {
+        const sizes = [inputSize];
+        let collapseLevel = null;
+        synkolators.forEach((synkolator, i) => {
+            const size = synkolator.outputSize(sizes[i]);
+            sizes.push(size);
+            if (size === 0 && collapseLevel === null) collapseLevel = i + 1;
+        });
+        return { sizes, collapseLevel };
+    }
+
+    /**
+     * Describes each cascade level for viewers and logs.
+     * @param {number[]} [sizes] - Actual level sizes (e.g. from the last history); planned sizes if omitted.
+     * @returns {Array<{level: number, type: string, stage: number|null, combination: string|null, size: number, change: 'input'|'reduce'|'expand'|'keep'}>}
+     */
+    getLevelMetadata(sizes = Strukturkondensation.planLevels(this.synkolators, this.inputSize).sizes) {
+        return sizes.map((size, level) => {
+            if (level === 0) return { level, type: 'input', stage: null, combination: null, size, change: 'input' };
+            const synkolator = this.synkolators[level - 1];
+            const previous = sizes[level - 1];
+            return {
+                level,
+                type: synkolator?.type ?? 'unknown',
+                stage: synkolator?.stage ?? null,
+                combination: synkolator?.type === 'combinatorial' ? synkolator.combination : null,
+                size,
+                change: size > previous ? 'expand' : size < previous ? 'reduce' : 'keep'
+            };
+        });
+    }
+
+    /** @returns {tf.Variable[]} Trainable weights of all levels ('learned' combinatorial Synkolators). */
+    getTrainableVariables() {
+        return this.synkolators.flatMap(synkolator => synkolator.getTrainableVariables());
+    }
+
+    /** @returns {Array<{level: number, size: number, weights: number[]}>} Learned weights keyed by level (1-based) and input size. */
+    getWeightsState() {
+        return this.synkolators.flatMap((synkolator, i) => synkolator.getWeightsState().map(entry => ({ level: i + 1, ...entry })));
+    }
+
+    /**
+     * Restores weights saved by getWeightsState(). Entries for levels that no longer exist or are not 'learned' are skipped.
+     * @param {Array<{level: number, size: number, weights: number[]}>} entries
+     * @returns {number} Number of entries applied.
+     */
+    loadWeightsState(entries) {
+        if (!Array.isArray(entries)) return 0;
+        return this.synkolators.reduce((applied, synkolator, i) =>
+            applied + synkolator.loadWeightsState(entries.filter(entry => entry?.level === i + 1)), 0);
+    }
+
+    /** Disposes any learned Synkolator weights. */
+    dispose() {
+        this.synkolators.forEach(synkolator => synkolator.dispose());
+    }
+
+    /**
+     * Functional, differentiable form of process(): returns the level tensors without cloning or keeping them,
+     * so it can run inside tf.tidy or tf.variableGrads and gradients flow from any level back into the input
+     * (and into 'learned' Synkolator weights). Stops at the first empty level.
+     * @param {tf.Tensor} initialElementsTensor - 1D Tensor of initial elements.
+     * @returns {tf.Tensor[]} Level tensors [level 0 (the input itself), level 1, ...].
+     */
+    forward(initialElementsTensor) {
+        const history = [initialElementsTensor];
+        for (const synkolator of this.synkolators) {
+            const next = synkolator.apply(history[history.length - 1]);
+            if (next.shape[0] === 0) break;
+            history.push(next);
         }
+        return history;
     }
 
     /**
@@ -287,3 +683,80 @@ export class Strukturkondensation {
         return history;
     }
 }
+
+
+/**
+ * Resamples a 1D tensor to `length` elements by linear interpolation (differentiable).
+ * @param {tf.Tensor} values - 1D tensor with at least one element.
+ * @param {number} length - Target length.
+ * @returns {tf.Tensor} 1D tensor of `length` elements.
+ */
+export function resampleLevel(values, length) {
+    const size = values.shape[0];
+    if (size === length) return values;
+    if (size === 1) return values.tile([length]);
+    const positions = Array.from({ length }, (_, i) => (length === 1 ? 0 : i * (size - 1) / (length - 1)));
+    const lower = positions.map(Math.floor);
+    const upper = lower.map(index => Math.min(index + 1, size - 1));
+    const fraction = tf.tensor1d(positions.map((position, i) => position - lower[i]));
+    const lowerValues = tf.gather(values, tf.tensor1d(lower, 'int32'));
+    const upperValues = tf.gather(values, tf.tensor1d(upper, 'int32'));
+    return lowerValues.add(upperValues.sub(lowerValues).mul(fraction));
+}
+
+/** Korporation modes of the Korporator. */
+export const KORPORATION_MODES = ['konzenter', 'exzenter'];
+
+/**
+ * The Korporator combines two syntrices (cascade histories) level by level into a composite syntrix.
+ *  - 'konzenter' (concentric): both syntrices are composed around a shared centre. Each composite level is
+ *    the blend (1 - weight) * A_i + weight * B_i, with B_i resampled to A_i's length; the composite keeps A's shape.
+ *  - 'exzenter' (excentric): both syntrices keep their own syndromes side by side and are coupled crosswise.
+ *    Each composite level is concat(A_i + coupling * B_i, B_i + coupling * A_i), each term resampled to its partner.
+ * Levels are paired from level 0 up to the shallower syntrix's depth; a pair with an empty level ends the
+ * composite (a Nullsyntrix beyond it). All operations are tensor ops without keeps, so korporate() is
+ * tidy-safe and differentiable like Strukturkondensation.forward.
+ */
+export class Korporator {
+    /**
+     * @param {'konzenter'|'exzenter'} [mode='konzenter']
+     * @param {Object} [options]
+     * @param {number} [options.weight=0.5] - Share of syntrix B in a Konzenter level.
+     * @param {number} [options.coupling=0.5] - Cross-coupling strength of an Exzenter level.
+     */
+    constructor(mode = 'konzenter', { weight = 0.5, coupling = 0.5 } = {}) {
+        this.mode = mode;
+        this.weight = clamp(weight, 0, 1);
+        this.coupling = coupling;
+        if (!KORPORATION_MODES.includes(mode)) {
+            console.warn(`[Korporator] Unsupported mode "${mode}". Defaulting to "konzenter".`);
+            this.mode = 'konzenter';
+        }
+    }
+
+    /**
+     * Korporates two syntrices.
+     * @param {tf.Tensor[]} historyA - Level tensors of the first syntrix (e.g. the belief cascade).
+     * @param {tf.Tensor[]} historyB - Level tensors of the second syntrix (e.g. an environment-state cascade).
+     * @returns {tf.Tensor[]} Level tensors of the composite syntrix (not kept; empty if level 0 cannot be paired).
+     */
+    korporate(historyA, historyB) {
+        const composite = [];
+        const depth = Math.min(historyA?.length ?? 0, historyB?.length ?? 0);
+        for (let i = 0; i < depth; i++) {
+            const levelA = historyA[i].flatten();
+            const levelB = historyB[i].flatten();
+            if (levelA.shape[0] === 0 || levelB.shape[0] === 0) break;
+
+            if (this.mode === 'exzenter') {
+                composite.push(tf.concat([
+                    levelA.add(resampleLevel(levelB, levelA.shape[0]).mul(this.coupling)),
+                    levelB.add(resampleLevel(levelA, levelB.shape[0]).mul(this.coupling))
+                ]));
+            } else {
+                composite.push(levelA.mul(1 - this.weight).add(resampleLevel(levelB, levelA.shape[0]).mul(this.weight)));
+            }
+        }
+        return composite;
+    }
+}
@@ -0,0 +1,169 @@
+// js/telezentrum.js
+
+import { Config } from './config.js';
+
+/**
+ * Online estimation of Telezentren (attractor points) in belief-embedding space.
+ * Every belief that enters the agent's memory buffer is also assigned to its nearest attractor (leader
+ * clustering): within CREATE_RADIUS the attractor's centre moves toward it, otherwise a new attractor is
+ * opened. Attractor weights decay, so the estimate spans far more steps than the memory buffer while still
+ * forgetting regions the agent has left. Attractors whose centres come within MERGE_RADIUS are merged.
+ */
+
+function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - (b[i] ?? 0)) ** 2;
+    return Math.sqrt(sum);
+}
+
+export class TelezentrumEstimator {
+    /**
+     * @param {Object} [settings] - Overrides for Config.Telezentrum.
+     */
+    constructor(settings = {}) {
+        this.settings = { ...Config.Telezentrum, ...settings };
+        this.reset();
+    }
+
+    /** Forgets all attractors. */
+    reset() {
+        this.attractors = []; // { id, center, weight, visits, spread, drift }
+        this.nextId = 0;
+        this.currentId = null; // Established attractor the belief is currently assigned to
+        this.candidateId = null;
+        this.candidateSteps = 0;
+        this.stepCount = 0;
+        this.transitions = []; // Recent { step, from, to }, oldest first
+        this.latest = null;
+    }
+
+    /** Seeds the estimate with stored embeddings (e.g. a restored memory buffer), oldest first. */
+    seed(embeddings) {
+        (embeddings ?? []).forEach(embedding => this.observe(embedding));
+        this.transitions = [];
+    }
+
+    /** True once an attractor has collected enough (decayed) weight to count as a Telezentrum. */
+    _isEstablished(attractor) {
+        return attractor.weight >= this.settings.MIN_WEIGHT;
+    }
+
+    /**
+     * Stability in [0, 1]: grows with the attractor's weight and shrinks when its centre is still moving
+     * relative to its spread.
+     */
+    _stability(attractor) {
+        const support = 1 - Math.exp(-attractor.weight / this.settings.MIN_WEIGHT);
+        return support * Math.exp(-attractor.drift / Math.max(attractor.spread, 1e-6));
+    }
+
+    _nearest(belief, filter = () => true) {
+        let best = null, bestDistance = Infinity;
+        this.attractors.forEach(attractor => {
+            if (!filter(attractor)) return;
+            const d = distance(belief, attractor.center);
+            if (d < bestDistance) { best = attractor; bestDistance = d; }
+        });
+        return { attractor: best, distance: bestDistance };
+    }
+
+    _mergeClose() {
+        for (let i = 0; i < this.attractors.length; i++) {
+            for (let j = i + 1; j < this.attractors.length; j++) {
+                const a = this.attractors[i], b = this.attractors[j];
+                if (distance(a.center, b.center) > this.settings.MERGE_RADIUS) continue;
+                const total = a.weight + b.weight;
+                a.center = a.center.map((value, k) => (value * a.weight + b.center[k] * b.weight) / total);
+                a.spread = (a.spread * a.weight + b.spread * b.weight) / total;
+                a.weight = total;
+                a.visits += b.visits;
+                if (this.currentId === b.id) this.currentId = a.id;
+                if (this.candidateId === b.id) this.candidateId = a.id;
+                this.attractors.splice(j, 1);
+                j--;
+            }
+        }
+    }
+
+    /**
+     * Assigns one belief embedding and updates the attractors.
+     * @param {number[]} belief - Belief embedding.
+     * @returns {Object|null} Report (see getReport), or null for an invalid belief.
+     */
+    observe(belief) {
+        if (!Array.isArray(belief) || belief.length === 0 || belief.some(v => !Number.isFinite(v))) return null;
+        const s = this.settings;
+        this.stepCount++;
+        this.attractors.forEach(attractor => { attractor.weight *= s.DECAY; });
+
+        const { attractor: nearest, distance: nearestDistance } = this._nearest(belief);
+        if (nearest && nearestDistance <= s.CREATE_RADIUS) {
+            const rate = Math.max(1 / (nearest.visits + 1), s.MIN_LEARN_RATE);
+            const previous = nearest.center;
+            nearest.center = previous.map((value, i) => value + rate * (belief[i] - value));
+            nearest.drift += s.SMOOTHING * (distance(previous, nearest.center) - nearest.drift);
+            nearest.spread += s.SMOOTHING * (nearestDistance - nearest.spread);
+            nearest.weight += 1;
+            nearest.visits++;
+        } else {
+            if (this.attractors.length >= s.MAX_ATTRACTORS) {
+                const weakest = this.attractors.reduce((a, b) => (b.weight < a.weight ? b : a));
+                this.attractors.splice(this.attractors.indexOf(weakest), 1);
+                if (this.currentId === weakest.id) this.currentId = null;
+            }
+            this.attractors.push({ id: this.nextId++, center: [...belief], weight: 1, visits: 1, spread: s.CREATE_RADIUS / 2, drift: 0 });
+        }
+        this._mergeClose();
+
+        // Transitions between established attractors, adopted after MIN_DWELL consecutive steps
+        const { attractor: established } = this._nearest(belief, attractor => this._isEstablished(attractor));
+        let transition = null;
+        if (established && established.id !== this.currentId) {
+            this.candidateSteps = established.id === this.candidateId ? this.candidateSteps + 1 : 1;
+            this.candidateId = established.id;
+            if (this.currentId === null || this.candidateSteps >= s.MIN_DWELL) {
+                if (this.currentId !== null) {
+                    transition = { step: this.stepCount, from: this.currentId, to: established.id };
+                    this.transitions.push(transition);
+                    while (this.transitions.length > s.MAX_TRANSITIONS) this.transitions.shift();
+                }
+                this.currentId = established.id;
+                this.candidateSteps = 0;
+            }
+        } else {
+            this.candidateSteps = 0;
+        }
+
+        this.latest = this.getReport(belief, transition);
+        return this.latest;
+    }
+
+    /**
+     * @param {number[]} belief - Belief to measure against the current attractor.
+     * @param {Object|null} [transition=null] - Transition that happened on this step.
+     * @returns {{attractorCount: number, current: Object|null, distance: number|null, stability: number,
+     *            goal: number, transition: Object|null}}
+     *   `current` is { id, weight, visits, spread } of the attractor the trajectory is assigned to;
+     *   `goal` in [0, 1] is the proximity exp(-distance / spread) to it (0 while no Telezentrum is established).
+     */
+    getReport(belief, transition = null) {
+        const established = this.attractors.filter(attractor => this._isEstablished(attractor));
+        const current = established.find(attractor => attractor.id === this.currentId) ?? null;
+        const currentDistance = current ? distance(belief, current.center) : null;
+        return {
+            attractorCount: established.length,
+            current: current ? { id: current.id, weight: current.weight, visits: current.visits, spread: current.spread } : null,
+            distance: currentDistance,
+            stability: current ? this._stability(current) : 0,
+            goal: current ? Math.exp(-currentDistance / Math.max(current.spread, 1e-6)) : 0,
+            transition
+        };
+    }
+
+    /** @returns {Array<{id: number, center: number[], weight: number, stability: number}>} Established attractors. */
+    getAttractors() {
+        return this.attractors
+            .filter(attractor => this._isEstablished(attractor))
+            .map(attractor => ({ id: attractor.id, center: [...attractor.center], weight: attractor.weight, stability: this._stability(attractor) }));
+    }
+}
@@ -0,0 +1,160 @@
+// js/trajectoryAnalysis.js
+
+import { Config } from './config.js';
+
+/**
+ * Classification of the agent's recent trajectory into the phases of the äonische Area:
+ *  - 'televariant': converging toward a Telezentrum — the belief approaches the attractor estimate without
+ *    losing coherence, or has settled there with high, steady RIH (mean >= Config.TELE_THRESHOLD).
+ *  - 'dysvariant': diverging or unstable — the belief moves away from the attractor, or RIH/affinity
+ *    fluctuate strongly, or RIH collapses.
+ *  - 'aequivariant': neither — the trajectory keeps its distance and coherence (äquivariant).
+ * The Telezentrum is approximated by a slow exponential average of the belief embedding unless the caller
+ * passes its own distance (the agent passes the distance to its TelezentrumEstimator attractor once established).
+ * Distances to different Telezentren are not comparable, so the window's distances are dropped whenever the
+ * distance source (internal estimate or external attractor id) changes.
+ */
+
+/** Trajectory phases in the order of the concept graph (Telewarianz, Äquivarianz, Dyswarianz). */
+export const TRAJECTORY_PHASES = ['televariant', 'aequivariant', 'dysvariant'];
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / Math.max(1, values.length);
+}
+
+function std(values) {
+    const m = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+}
+
+/** Least-squares slope of values over their index (per step). */
+function slope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const xMean = (n - 1) / 2;
+    const yMean = mean(values);
+    let numerator = 0, denominator = 0;
+    values.forEach((y, x) => {
+        numerator += (x - xMean) * (y - yMean);
+        denominator += (x - xMean) ** 2;
+    });
+    return numerator / denominator;
+}
+
+/**
+ * Sliding-window classifier of the RIH / affinity / belief trajectory with hysteresis.
+ */
+export class TrajectoryAnalyzer {
+    /**
+     * @param {Object} [settings] - Overrides for Config.Trajectory (and TELE_THRESHOLD).
+     */
+    constructor(settings = {}) {
+        this.settings = { TELE_THRESHOLD: Config.TELE_THRESHOLD, ...Config.Trajectory, ...settings };
+        this.reset();
+    }
+
+    /** Clears the history; the phase restarts as 'aequivariant'. */
+    reset() {
+        this.window = []; // { rih, affinity, distance }
+        this.telezentrum = null; // Slow belief average used when no distance is supplied
+        this.distanceSource = null; // 'internal' or 'attractor:<id>' of the distances in the window
+        this.phase = 'aequivariant';
+        this.candidate = null;
+        this.candidateSteps = 0;
+        this.stepCount = 0;
+        this.lastScores = null;
+        this.events = []; // Recent phase changes, oldest first
+    }
+
+    /** Distance of the belief to the internal Telezentrum estimate, updating the estimate afterwards. */
+    _telezentrumDistance(belief) {
+        if (!Array.isArray(belief) || belief.length === 0) return null;
+        if (!this.telezentrum || this.telezentrum.length !== belief.length) this.telezentrum = [...belief];
+        const distance = Math.sqrt(belief.reduce((sum, value, i) => sum + (value - this.telezentrum[i]) ** 2, 0));
+        const rate = this.settings.TELEZENTRUM_SMOOTHING;
+        this.telezentrum = this.telezentrum.map((value, i) => value + rate * (belief[i] - value));
+        return distance;
+    }
+
+    /**
+     * Window statistics:
+     *  approach   - relative decrease of the Telezentrum distance over the window (> 0 = converging).
+     *  rihMean / rihTrend - mean RIH and its change over the window (slope × window length).
+     *  volatility - standard deviation of RIH plus that of the affinity.
+     */
+    _scores() {
+        const rih = this.window.map(entry => entry.rih);
+        const affinity = this.window.map(entry => entry.affinity);
+        const distances = this.window.map(entry => entry.distance).filter(distance => distance !== null);
+        const meanDistance = mean(distances);
+        return {
+            approach: distances.length >= 2 && meanDistance > 1e-9 ? -slope(distances) * distances.length / meanDistance : 0,
+            rihMean: mean(rih),
+            rihTrend: slope(rih) * rih.length,
+            volatility: std(rih) + std(affinity),
+            distance: distances.length > 0 ? distances[distances.length - 1] : null
+        };
+    }
+
+    /** Phase suggested by the current scores (before hysteresis). */
+    _classify(scores) {
+        const s = this.settings;
+        if (scores.approach <= -s.DIVERGENCE_RATE || scores.volatility >= s.DYS_VOLATILITY || scores.rihTrend <= -s.RIH_DROP) {
+            return 'dysvariant';
+        }
+        const converging = scores.approach >= s.CONVERGENCE_RATE && scores.rihTrend > -s.RIH_DROP / 2;
+        const settled = scores.rihMean >= s.TELE_THRESHOLD && scores.volatility <= s.DYS_VOLATILITY / 2;
+        return converging || settled ? 'televariant' : 'aequivariant';
+    }
+
+    /**
+     * Adds one step of the trajectory and updates the phase. A new phase is adopted once it has been
+     * suggested for MIN_DWELL consecutive steps.
+     * @param {Object} observation
+     * @param {number} observation.rih - RIH score of the step.
+     * @param {number} [observation.affinity=0] - Average affinity of the step.
+     * @param {number[]} [observation.belief] - Belief embedding (used for the internal Telezentrum estimate).
+     * @param {number} [observation.telezentrumDistance] - Distance to an external attractor estimate; overrides `belief`.
+     * @param {number|string} [observation.telezentrumId] - Id of that attractor; a change restarts the distance window.
+     * @returns {{phase: string, scores: Object|null, event: Object|null}} `event` is { step, from, to, scores } on a phase change.
+     */
+    observe({ rih, affinity = 0, belief = null, telezentrumDistance = null, telezentrumId = null }) {
+        this.stepCount++;
+        const external = Number.isFinite(telezentrumDistance);
+        const distance = external ? telezentrumDistance : this._telezentrumDistance(belief);
+        const distanceSource = external ? `attractor:${telezentrumId}` : 'internal';
+        if (distanceSource !== this.distanceSource) {
+            // Distances to another Telezentrum would read as a jump in the approach; keep only RIH and affinity
+            this.window.forEach(entry => { entry.distance = null; });
+            this.distanceSource = distanceSource;
+        }
+        this.window.push({ rih: Number.isFinite(rih) ? rih : 0, affinity: Number.isFinite(affinity) ? affinity : 0, distance });
+        while (this.window.length > this.settings.WINDOW) this.window.shift();
+        if (this.window.length < this.settings.MIN_SAMPLES) return { phase: this.phase, scores: null, event: null };
+
+        const scores = this._scores();
+        this.lastScores = scores;
+        const suggested = this._classify(scores);
+        if (suggested === this.phase) {
+            this.candidate = null;
+            this.candidateSteps = 0;
+            return { phase: this.phase, scores, event: null };
+        }
+        this.candidateSteps = suggested === this.candidate ? this.candidateSteps + 1 : 1;
+        this.candidate = suggested;
+        if (this.candidateSteps < this.settings.MIN_DWELL) return { phase: this.phase, scores, event: null };
+
+        const event = { step: this.stepCount, from: this.phase, to: suggested, scores };
+        this.phase = suggested;
+        this.candidate = null;
+        this.candidateSteps = 0;
+        this.events.push(event);
+        while (this.events.length > this.settings.MAX_EVENTS) this.events.shift();
+        return { phase: this.phase, scores, event };
+    }
+
+    /** @returns {{phase: string, scores: Object|null, events: Object[]}} Current phase, last scores and recent events. */
+    getState() {
+        return { phase: this.phase, scores: this.lastScores, events: [...this.events] };
+    }
+}
@@ -54,7 +54,7 @@ export function updateAllUI(
     try {
         appUpdateDashboardDisplay(simulationMetrics);
         appUpdateEmotionBars(currentEmotionsTensorForViz); // Pass the tensor
-        appUpdateCascadeViewer(simulationMetrics.currentCascadeHistory);
+        appUpdateCascadeViewer(simulationMetrics.currentCascadeHistory, simulationMetrics.currentCascadeLevels);
         // Slider displays reflect agent's internal state, updated here for consistency
         appUpdateSliderDisplays(simulationMetrics.currentIntegrationParam, simulationMetrics.currentReflexivityParam);
     } catch (e) { console.error("Error updating basic UI panels:", e); }
@@ -80,7 +80,8 @@ export function updateAllUI(
                 simulationMetrics.currentIntegrationParam,
                 simulationMetrics.currentReflexivityParam,
                 simulationMetrics.currentCascadeHistory,
-                simulationMetrics.currentContext
+                simulationMetrics.currentContext,
+                simulationMetrics.currentAffinityMatrix
             );
             updateSyntrometryInfoPanel(); // Reads latest cached state internally
         }
@@ -94,7 +95,9 @@ export function updateAllUI(
                 simulationMetrics.currentRIHScore,
                 simulationMetrics.currentAvgAffinity,
                 simulationMetrics.currentHmLabel,
-                simulationMetrics.currentTrustScore
+                simulationMetrics.currentTrustScore,
+                simulationMetrics.currentTrajectory?.phase ?? null,
+                simulationMetrics.currentTelezentrum
             );
             animateConceptNodes(deltaTime, simulationMetrics.currentIntegrationParam, simulationMetrics.currentReflexivityParam,
                  timeRefs.elapsedTime - timeRefs.lastIntegrationInputTime < timeRefs.inputFeedbackDuration ? timeRefs.lastIntegrationInputTime : -1,
@@ -1,5 +1,7 @@
 // js/utils.js
 
+import { Config } from './config.js';
+
 // Assume tf is loaded globally via CDN and checked where used
 
 // Cache for DOM elements to avoid repeated lookups
@@ -11,6 +13,8 @@ const elementCache = new Map();
  * @returns {HTMLElement|null} The DOM element or null if not found
  */
 function getCachedElement(id) {
+    if (typeof document === 'undefined') return null; // Headless (Node) runs have no DOM
+
     if (elementCache.has(id)) {
         const element = elementCache.get(id);
         // Verify element is still in DOM
@@ -103,6 +107,8 @@ export function displayError(message, isCritical = false, targetId = 'error-mess
     
     console.error(fullMessage);
 
+    if (typeof document === 'undefined') return; // Console only when running headless
+
     const errorDiv = getCachedElement(targetId);
     if (errorDiv) {
         // Use Set to track unique messages more efficiently
@@ -700,3 +706,95 @@ export function withRetry(fn, maxRetries = 3, delay = 1000) {
 export function clearElementCache() {
     elementCache.clear();
 }
+
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * A single instance is shared by the environment, the core modules and the agent so that
+ * the same seed plus the same inputs replays to identical traces.
+ */
+export class SeededRandom {
+    /**
+     * @param {number|null} [seed=null] - 32-bit integer seed. A random seed is chosen when omitted.
+     */
+    constructor(seed = null) {
+        this.seed = isFiniteNumber(seed) ? (Math.floor(seed) >>> 0) : Math.floor(Math.random() * 4294967296);
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the next uniform value in [0, 1).
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a normally distributed value (Box-Muller transform).
+     * @param {number} [mean=0] - Mean of the distribution
+     * @param {number} [stdDev=1] - Standard deviation of the distribution
+     * @returns {number}
+     */
+    normal(mean = 0, stdDev = 1) {
+        const u1 = Math.max(this.next(), 1e-12);
+        const u2 = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * Returns a random integer in [0, max).
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Returns an integer suitable as a seed for TensorFlow.js initializers/random ops.
+     * @returns {number}
+     */
+    tfSeed() {
+        return this.int(2147483647);
+    }
+
+    /** @returns {{seed: number, state: number}} Serializable generator state */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /** @param {{seed: number, state: number}} savedState - State previously returned by getState() */
+    setState(savedState) {
+        if (!savedState || !isFiniteNumber(savedState.state)) {
+            console.warn("[SeededRandom] Invalid state provided, keeping current state.");
+            return;
+        }
+        this.seed = isFiniteNumber(savedState.seed) ? savedState.seed >>> 0 : this.seed;
+        this.state = savedState.state >>> 0;
+    }
+}
+
+let sharedRandom = null;
+
+/**
+ * Returns the shared generator, creating it from Config.RANDOM_SEED on first use.
+ * @returns {SeededRandom}
+ */
+export function getSharedRandom() {
+    if (!sharedRandom) sharedRandom = new SeededRandom(Config.RANDOM_SEED ?? null);
+    return sharedRandom;
+}
+
+/**
+ * Re-seeds the shared generator. Components created afterwards replay identically for the same seed.
+ * @param {number|null} seed - New seed, or null for a random one
+ * @returns {SeededRandom} The new shared generator
+ */
+export function setRandomSeed(seed) {
+    sharedRandom = new SeededRandom(seed);
+    return sharedRandom;
+}
@@ -41,6 +41,7 @@ let latestRIHScore = 0;
 let latestAvgAffinity = 0;
 let latestTrustScore = 1.0;
 let latestHmLabel = "idle";
+let latestTelezentrum = null; // Agent's Telezentrum report ({ attractorCount, current, distance, stability, goal })
 
 const debouncedOnConceptWindowResize = debounce(onConceptWindowResize, 250); // Debounced resize handler
 
@@ -487,7 +488,7 @@ function createAgentSimulationPlaceholders() {
 }
 
 /** Updates placeholder visuals based on simulation metrics */
-export function updateAgentSimulationVisuals(emotionsTensor, rihScore, avgAffinity, hmLabel, trustScore) {
+export function updateAgentSimulationVisuals(emotionsTensor, rihScore, avgAffinity, hmLabel, trustScore, trajectoryPhase = null, telezentrum = null) {
     if (!conceptInitialized || !agentStateMesh || !emergenceCoreMesh || !live2dPlaneConcept) return;
 
     // Cache latest simulation data
@@ -498,6 +499,7 @@ export function updateAgentSimulationVisuals(emotionsTensor, rihScore, avgAffini
     latestAvgAffinity = clamp(avgAffinity, -1, 1);
     latestHmLabel = hmLabel;
     latestTrustScore = clamp(trustScore, 0, 1);
+    latestTelezentrum = telezentrum;
 
     // --- Update Agent State Mesh (Reflects Emotions) ---
     if (agentStateMesh?.material && agentStateMesh.userData) {
@@ -537,6 +539,26 @@ export function updateAgentSimulationVisuals(emotionsTensor, rihScore, avgAffini
         live2dPlaneConcept.userData.baseScale = 1.0;
     }
 
+    // --- Highlight the Concept Node of the Current Trajectory Phase ---
+    const phaseNodes = { televariant: 'telewarianz', dysvariant: 'dyswarianz' };
+    Object.entries(phaseNodes).forEach(([phase, nodeId]) => {
+        const node = conceptNodes[nodeId]?.object;
+        if (!node?.userData) return;
+        const active = trajectoryPhase === phase;
+        node.userData.baseEmissive = active ? new THREE.Color(node.userData.originalColor).multiplyScalar(0.6).getHex() : node.userData.originalEmissive;
+        node.userData.baseScale = active ? 1.4 : 1.0;
+    });
+
+    // --- Telezentrum Node Grows and Glows with the Stability of the Current Attractor ---
+    const telezentrumNode = conceptNodes['telezentrum']?.object;
+    if (telezentrumNode?.userData) {
+        const stability = telezentrum?.current ? clamp(telezentrum.stability, 0, 1) : 0;
+        telezentrumNode.userData.baseEmissive = stability > 0
+            ? new THREE.Color(telezentrumNode.userData.originalColor).multiplyScalar(0.2 + stability * 0.5).getHex()
+            : telezentrumNode.userData.originalEmissive;
+        telezentrumNode.userData.baseScale = 1.0 + stability * 0.5;
+    }
+
     // --- Update Edge Base Opacity Based on Global Metrics (RIH/Affinity) ---
     conceptEdges.forEach(edge => {
         if (edge?.material && edge.userData) {
@@ -735,6 +757,11 @@ export function updateInfoPanel() {
             dynamicInfoHtml = `<br><span class="simulated-data">RIH: ${(latestRIHScore * 100).toFixed(1)}% | ` +
                 `Affinity: ${latestAvgAffinity.toFixed(2)} | ` +
                 `Trust: ${(latestTrustScore * 100).toFixed(1)}%</span>`;
+        } else if (data.id === 'telezentrum') {
+            dynamicInfoHtml = latestTelezentrum?.current
+                ? `<br><span class="simulated-data">Attractors: ${latestTelezentrum.attractorCount} | Current: #${latestTelezentrum.current.id}<br>` +
+                  `Distance: ${latestTelezentrum.distance.toFixed(3)} | Stability: ${(latestTelezentrum.stability * 100).toFixed(0)}% | Goal: ${latestTelezentrum.goal.toFixed(2)}</span>`
+                : `<br><span class="simulated-data">No Telezentrum established yet</span>`;
         } else if (data.id === 'live2d_avatar_ref') {
              const live2dStatus = live2dInitialized ? 'Active' : 'Inactive';
              displayName = `Live2D Avatar Ref (${live2dStatus})`; // Update name dynamically
@@ -26,6 +26,7 @@ let selectedDimension = null;
 let latestStateVector = null;
 let latestRihScore = 0;
 let latestAffinities = [];
+let latestAffinityMatrix = []; // Level × level affinities of the agent's cascade
 let latestCascadeHistory = [];
 let latestContext = "Initializing...";
 let latestIntegrationParam = 0.5;
@@ -398,6 +399,22 @@ function onSyntrometryClick(event, interactableObjects) {
     updateSyntrometryInfoPanel();
 }
 
+/**
+ * Summarizes the level affinity matrix for the info panel: mean off-diagonal affinity and the strongest level pair.
+ */
+function describeAffinityMatrix(matrix) {
+    if (!Array.isArray(matrix) || matrix.length < 2) return '';
+    let sum = 0, count = 0, best = { value: -Infinity, i: 0, j: 1 };
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            const value = matrix[i]?.[j] ?? 0;
+            sum += value; count++;
+            if (value > best.value) best = { value, i, j };
+        }
+    }
+    return ` | Level affinity: mean ${(sum / count).toFixed(3)}, strongest L${best.i}↔L${best.j} ${best.value.toFixed(3)}`;
+}
+
 /**
  * Updates the Syntrometry info panel with current focus information.
  */
@@ -407,7 +424,7 @@ export function updateSyntrometryInfoPanel() {
     if (displayObject?.userData) {
         const data = displayObject.userData;
         if (data.type === 'rih_node') {
-            infoText = `Syntrometry Focus: RIH Node (Score: ${latestRihScore.toFixed(3)})`;
+            infoText = `Syntrometry Focus: RIH Node (Score: ${latestRihScore.toFixed(3)})${describeAffinityMatrix(latestAffinityMatrix)}`;
         } else if (data.type === 'dimension' && data.dimensionIndex !== undefined) {
             const dimIndex = data.dimensionIndex;
             const value = (latestStateVector && latestStateVector.length > dimIndex) ? latestStateVector[dimIndex] : NaN;
@@ -424,11 +441,12 @@ export function updateSyntrometryInfoPanel() {
  * Updates the Three.js visualization based on the latest simulation state.
  * Optimized for better performance with reduced garbage collection.
  */
-export function updateThreeJS(deltaTime, stateVector, rihScore, affinities, integrationParam, reflexivityParam, cascadeHistory, context) {
+export function updateThreeJS(deltaTime, stateVector, rihScore, affinities, integrationParam, reflexivityParam, cascadeHistory, context, affinityMatrix = []) {
     if (!threeInitialized || !scene || !camera || !renderer || !labelRenderer || !nodes || nodes.length === 0 || !rihNode || !edgesGroup) return;
     latestStateVector = stateVector;
     latestRihScore = rihScore;
     latestAffinities = affinities;
+    latestAffinityMatrix = affinityMatrix;
     latestCascadeHistory = cascadeHistory;
     latestContext = context;
     latestIntegrationParam = integrationParam;